@@ -7,25 +7,44 @@ const gradient = require('gradient-string');
 const EnvironmentMonitor = require('../lib/monitor');
 const ProductivityOptimizer = require('../lib/optimizer');
 const AIAssistant = require('../lib/ai-assistant');
+const HistoryReport = require('../lib/history-report');
+const IncidentTracker = require('../lib/incidents');
+const ProcessTracker = require('../lib/process-tracker');
+const ChangeJournal = require('../lib/change-journal');
+const ProfileSwitcher = require('../lib/profile-switcher');
+const AtmosphereServer = require('../lib/server');
+const QuestionAnswerer = require('../lib/question-answerer');
+const ProcessClassifier = require('../lib/process-classifier');
+const Daemon = require('../lib/daemon');
+const FocusTracker = require('../lib/focus-tracker');
+const { parseDuration } = require('../lib/time');
+const { recordSnapshot, createMetricsSource } = require('../lib/metrics-source');
+const { loadConfig } = require('../lib/config');
 
 const program = new Command();
 
-console.log(
-  gradient.pastel.multiline(figlet.textSync('Terminal Atmosphere', { font: 'Small' }))
-);
+// The daemon's stdout is its log file
+if (!process.env.ATMOSPHERE_DAEMON) {
+  console.log(
+    gradient.pastel.multiline(figlet.textSync('Terminal Atmosphere', { font: 'Small' }))
+  );
+}
 
 program
   .name('atmosphere')
   .description('AI-powered terminal environment monitor and productivity optimizer')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--fixture <path>', 'Read metrics from recorded snapshots instead of the live system');
 
 program
   .command('monitor')
   .description('Start real-time environment monitoring')
   .option('-i, --interval <seconds>', 'Monitoring interval in seconds', '5')
   .option('-v, --verbose', 'Verbose output', false)
+  .option('-d, --dashboard', 'Full-screen dashboard with live charts', false)
+  .option('-p, --profile <name>', 'Take alert thresholds from this profile instead of the active one')
   .action(async (options) => {
-    const monitor = new EnvironmentMonitor(options);
+    const monitor = new EnvironmentMonitor({ ...program.opts(), ...options });
     await monitor.start();
   });
 
@@ -34,7 +53,7 @@ program
   .description('Analyze current environment and provide insights')
   .option('-d, --depth <level>', 'Analysis depth (basic/advanced/deep)', 'advanced')
   .action(async (options) => {
-    const optimizer = new ProductivityOptimizer();
+    const optimizer = new ProductivityOptimizer({ ...program.opts(), daemon: true });
     await optimizer.analyze(options.depth);
   });
 
@@ -42,19 +61,35 @@ program
   .command('optimize')
   .description('Get AI-powered optimization suggestions')
   .option('-f, --focus <area>', 'Focus area (memory/cpu/network/productivity)', 'all')
+  .option('-n, --dry-run', 'Show the commands suggestions would run without running them', false)
+  .option('--offline', 'Use only the built-in analysis, even if a language model is configured', false)
   .action(async (options) => {
-    const ai = new AIAssistant();
+    const ai = new AIAssistant({ ...program.opts(), daemon: true, dryRun: options.dryRun, offline: options.offline });
     await ai.optimize(options.focus);
   });
 
-program
+// Runs a profile subcommand, reporting failures the same way for all of them
+function profileAction(fn) {
+  return async (...args) => {
+    // Options like --dry-run may land on `profile` or on the subcommand
+    const optimizer = new ProductivityOptimizer({ ...program.opts(), ...profile.opts(), ...args[args.length - 2] });
+    try {
+      await fn(optimizer, ...args);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  };
+}
+
+const profile = program
   .command('profile')
   .description('Create and manage productivity profiles')
   .option('-c, --create <name>', 'Create new profile')
   .option('-l, --list', 'List all profiles')
   .option('-a, --apply <name>', 'Apply existing profile')
+  .option('-n, --dry-run', 'With --apply, show what would change without changing anything')
   .action(async (options) => {
-    const optimizer = new ProductivityOptimizer();
+    const optimizer = new ProductivityOptimizer({ ...program.opts(), dryRun: options.dryRun });
     if (options.create) {
       await optimizer.createProfile(options.create);
     } else if (options.list) {
@@ -62,17 +97,357 @@ program
     } else if (options.apply) {
       await optimizer.applyProfile(options.apply);
     } else {
-      console.log(chalk.yellow('Please specify an action: --create, --list, or --apply'));
+      profile.help();
+    }
+  });
+
+profile
+  .command('list')
+  .description('List all profiles')
+  .action(profileAction(optimizer => optimizer.listProfiles()));
+
+profile
+  .command('create <name>')
+  .description('Create a profile interactively')
+  .action(profileAction((optimizer, name) => optimizer.createProfile(name)));
+
+profile
+  .command('apply <name>')
+  .description('Apply a profile and make it the active one')
+  .option('-n, --dry-run', 'Show what would change without changing anything')
+  .action(profileAction((optimizer, name) => optimizer.applyProfile(name)));
+
+profile
+  .command('show <name>')
+  .description('Show every setting of a profile')
+  .action(profileAction((optimizer, name) => optimizer.showProfile(name)));
+
+profile
+  .command('edit <name>')
+  .description('Change a profile without prompts')
+  .option('-s, --set <assignments...>', 'Settings to change, e.g. cpu.maxUsage=70 disk.cleanupTargets=temp,cache')
+  .option('-e, --enable <optimizations...>', 'Optimizations to turn on (cpu, memory, disk, processes, network)')
+  .option('-x, --disable <optimizations...>', 'Optimizations to turn off')
+  .option('-d, --description <text>', 'New description')
+  .action(profileAction(async (optimizer, name, options) => {
+    const updated = await optimizer.profiles.edit(name, options);
+    console.log(chalk.green(`✅ Profile "${name}" updated`));
+    optimizer.displayProfile(updated);
+  }));
+
+profile
+  .command('rename <name> <newName>')
+  .description('Rename a profile')
+  .action(profileAction(async (optimizer, name, newName) => {
+    await optimizer.profiles.rename(name, newName);
+    console.log(chalk.green(`✅ Profile "${name}" renamed to "${newName}"`));
+  }));
+
+profile
+  .command('delete <name>')
+  .description('Delete a profile (undo with atmosphere undo)')
+  .action(profileAction(async (optimizer, name) => {
+    const entry = await optimizer.profiles.remove(name);
+    console.log(chalk.green(`✅ Profile "${name}" deleted`) + chalk.gray(` - undo with: atmosphere undo ${entry.id}`));
+  }));
+
+profile
+  .command('export <name>')
+  .description('Write a profile to a portable file')
+  .option('-o, --output <file>', 'File to write (default: <name>.profile.json)')
+  .action(profileAction(async (optimizer, name, options) => {
+    const file = options.output || `${name}.profile.json`;
+    await optimizer.profiles.exportTo(name, file);
+    console.log(chalk.green(`✅ Profile "${name}" exported to ${file}`));
+  }));
+
+profile
+  .command('import <file>')
+  .description('Add a profile from an exported file')
+  .option('--name <name>', 'Import under a different name')
+  .option('--force', 'Replace an existing profile with the same name', false)
+  .action(profileAction(async (optimizer, file, options) => {
+    const imported = await optimizer.profiles.importFrom(file, options);
+    console.log(chalk.green(`✅ Profile "${imported.name}" imported from ${file}`));
+  }));
+
+program
+  .command('status')
+  .description('Show the active profile, why it is active and the automatic switching rules')
+  .action(async () => {
+    try {
+      const switcher = ProfileSwitcher.fromConfig(await loadConfig());
+      await switcher.displayStatus();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+program
+  .command('ask <question...>')
+  .description('Ask about your machine in plain English, e.g. "why is my machine slow right now?"')
+  .option('--offline', 'Never send the question to a language model', false)
+  .action(async (words, options) => {
+    const question = words.join(' ');
+    const answerer = new QuestionAnswerer({ ...program.opts(), daemon: true, offline: options.offline });
+    try {
+      answerer.display(question, await answerer.ask(question));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
     }
   });
 
 program
   .command('weather')
   .description('Check your development "weather" - current system state')
-  .option('-f, --forecast', 'Show 1-hour forecast based on current trends')
+  .option('-f, --forecast', 'Show a 4-hour forecast based on recorded history')
   .action(async (options) => {
-    const monitor = new EnvironmentMonitor();
+    const monitor = new EnvironmentMonitor({ ...program.opts(), daemon: true });
     await monitor.weatherReport(options.forecast);
   });
 
+program
+  .command('history')
+  .description('Query and aggregate recorded metrics')
+  .option('-s, --since <time>', 'Start of range (e.g. 2h, yesterday, 09:00, 2024-05-01T09:00)', '1h')
+  .option('-u, --until <time>', 'End of range', 'now')
+  .option('-m, --metrics <list>', 'Metrics to show (cpu,memory,network,disk,processes,latency)', 'cpu,memory')
+  .option('-a, --agg <list>', 'Aggregations (min,max,avg,p95)', 'avg,max,p95')
+  .option('-b, --bucket <duration>', 'Break the range into buckets (e.g. 5m, 1h)')
+  .option('--sparkline', 'Render ASCII sparklines instead of tables', false)
+  .action(async (options) => {
+    const report = new HistoryReport();
+    try {
+      await report.show(options);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+program
+  .command('serve')
+  .description('Run the collection loop and serve Prometheus metrics and a local JSON API')
+  .option('-i, --interval <seconds>', 'Monitoring interval in seconds', '5')
+  .option('-H, --host <host>', 'Address to bind', '127.0.0.1')
+  .option('-P, --port <port>', 'Port to listen on', '9464')
+  .option('-p, --profile <name>', 'Take alert thresholds from this profile instead of the active one')
+  .action(async (options) => {
+    const server = new AtmosphereServer({ ...program.opts(), ...options });
+    try {
+      await server.start();
+      const base = `http://${server.host}:${server.port}`;
+      console.log(chalk.cyan(`📡 Serving metrics on ${base}/metrics`));
+      console.log(chalk.gray(`   JSON API: ${base}/api/snapshot, /api/history, /api/weather, /api/optimize`));
+      console.log(chalk.gray(`   Live events: ${base}/api/events`));
+      if (!['127.0.0.1', '::1', 'localhost'].includes(server.host)) {
+        console.log(chalk.yellow(`⚠️  The API has no authentication and is reachable on ${server.host}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not start server: ${error.message}`));
+      process.exit(1);
+    }
+
+    process.on('SIGINT', async () => {
+      await server.stop();
+      console.log(chalk.yellow('\n👋 Server stopped gracefully'));
+      process.exit(0);
+    });
+  });
+
+const daemon = program
+  .command('daemon')
+  .description('Run the collection loop in the background');
+
+daemon
+  .command('start')
+  .description('Start collecting in the background')
+  .option('-i, --interval <seconds>', 'Monitoring interval in seconds', '5')
+  .option('-p, --profile <name>', 'Take alert thresholds from this profile instead of the active one')
+  .action(async (options) => {
+    try {
+      const status = await new Daemon().start({ ...program.opts(), ...options });
+      console.log(chalk.green(`✅ Daemon started (pid ${status.pid}, every ${status.interval}s)`));
+      console.log(chalk.gray(`   Log: ${status.logFile}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+daemon
+  .command('stop')
+  .description('Stop the background daemon')
+  .action(async () => {
+    try {
+      const stopped = await new Daemon().stop();
+      console.log(stopped ? chalk.green(`✅ Daemon (pid ${stopped.pid}) stopped`) : chalk.yellow('Daemon is not running.'));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+daemon
+  .command('status')
+  .description('Show whether the daemon is running and how fresh its data is')
+  .action(async () => {
+    await new Daemon().displayStatus();
+  });
+
+daemon
+  .command('logs')
+  .description('Show the daemon log')
+  .option('-n, --lines <count>', 'Number of lines to show', '50')
+  .option('-f, --follow', 'Keep printing new lines as they are written', false)
+  .action(async (options) => {
+    await new Daemon().displayLogs(options);
+  });
+
+// What `daemon start` spawns; runs in the foreground, e.g. under systemd
+daemon
+  .command('run', { hidden: true })
+  .option('-i, --interval <seconds>', 'Monitoring interval in seconds', '5')
+  .option('-p, --profile <name>', 'Take alert thresholds from this profile instead of the active one')
+  .action(async (options) => {
+    try {
+      await new Daemon().run({ ...program.opts(), ...options });
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('incidents')
+  .description('List, acknowledge and snooze alert incidents')
+  .option('-a, --all', 'Include incidents resolved more than a day ago', false)
+  .option('--ack <id>', 'Acknowledge an incident')
+  .option('--snooze <id>', 'Silence notifications for an incident\'s rule')
+  .option('--for <duration>', 'How long to snooze (e.g. 30m, 2h)', '1h')
+  .option('--unsnooze <id>', 'Resume notifications for an incident\'s rule')
+  .action(async (options) => {
+    const tracker = new IncidentTracker();
+    try {
+      if (options.ack) {
+        const incident = await tracker.acknowledge(options.ack);
+        console.log(chalk.green(`✅ Incident #${incident.id} acknowledged`));
+      } else if (options.snooze) {
+        const { incident, until } = await tracker.snooze(options.snooze, parseDuration(options.for));
+        console.log(chalk.green(`😴 "${incident.message}" snoozed until ${new Date(until).toLocaleString()}`));
+      } else if (options.unsnooze) {
+        const incident = await tracker.unsnooze(options.unsnooze);
+        console.log(chalk.green(`🔔 Notifications resumed for "${incident.message}"`));
+      } else {
+        await tracker.displayIncidents(options);
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+program
+  .command('classify')
+  .description('Show how running processes fall into categories (editor, build, browser, ...)')
+  .option('-a, --all', 'Also list processes that match no category', false)
+  .action(async (options) => {
+    try {
+      const classifier = await ProcessClassifier.load();
+      const frame = await createMetricsSource({ ...program.opts(), daemon: true }).sample(['processes']);
+      classifier.display(frame.processes.list, options);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+const focus = program
+  .command('focus')
+  .description('Timed focus sessions that track distractions');
+
+focus
+  .command('start')
+  .description('Start a focus session in the foreground and summarize it at the end')
+  .option('-m, --minutes <minutes>', 'Session length in minutes (default 50)')
+  .option('-l, --label <text>', 'What the session is for')
+  .option('-i, --interval <duration>', 'How often to sample, e.g. 10s')
+  .action(async (options) => {
+    try {
+      await new FocusTracker({ ...program.opts(), ...options }).start();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+focus
+  .command('review')
+  .description('Summarize recent focus sessions')
+  .option('-d, --days <days>', 'Number of days to review', '7')
+  .action(async (options) => {
+    await new FocusTracker().displayReview(options);
+  });
+
+focus
+  .command('show [id]')
+  .description('Show the summary of a focus session (the latest by default)')
+  .action(async (id) => {
+    try {
+      await new FocusTracker().show(id);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+program
+  .command('leaks')
+  .description('Show processes whose memory keeps growing, from what the monitor has tracked')
+  .action(async () => {
+    const tracker = new ProcessTracker();
+    await tracker.displayLeaks();
+  });
+
+program
+  .command('journal')
+  .description('List the changes applied profiles and suggestions have made')
+  .option('-l, --limit <count>', 'Number of entries to show', '20')
+  .action(async (options) => {
+    const journal = new ChangeJournal();
+    await journal.displayJournal({ limit: parseInt(options.limit, 10) });
+  });
+
+program
+  .command('undo [id]')
+  .description('Revert a journal entry (the latest undoable one by default)')
+  .option('-n, --dry-run', 'Show what would be reverted without changing anything', false)
+  .option('--force', 'Revert even where things were changed again since', false)
+  .action(async (id, options) => {
+    const journal = new ChangeJournal();
+    try {
+      if (!id) {
+        const latest = await journal.latestRevertable();
+        if (!latest) {
+          console.log(chalk.yellow('Nothing to undo.'));
+          return;
+        }
+        id = latest.id;
+      }
+      const outcome = await journal.revert(id, options);
+      journal.displayRevert(outcome, options);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  });
+
+program
+  .command('snapshot')
+  .description('Record a snapshot of the current system for replay with --fixture')
+  .requiredOption('-o, --output <file>', 'Fixture file to write (appends if it exists)')
+  .action(async (options) => {
+    try {
+      const frame = await recordSnapshot(options.output);
+      console.log(chalk.green(`✅ Snapshot recorded at ${frame.timestamp} -> ${options.output}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not record snapshot: ${error.message}`));
+    }
+  });
+
 program.parse();
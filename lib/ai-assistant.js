@@ -3,14 +3,43 @@ const inquirer = require('inquirer');
 const ora = require('ora');
 const fs = require('fs-extra');
 const path = require('path');
-const si = require('systeminformation');
-const { spawn } = require('child_process');
+const { createMetricsSource } = require('./metrics-source');
+const HistoryStore = require('./history-store');
+const Forecaster = require('./forecast');
+const NetworkRates = require('./network-rates');
+const CommandExecutor = require('./command-executor');
+const ChangeJournal = require('./change-journal');
+const LLMAdvisor = require('./llm-advisor');
+const ProcessClassifier = require('./process-classifier');
+const { loadConfig } = require('./config');
 
 class AIAssistant {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.source = createMetricsSource(options);
     this.dataDir = path.join(process.env.HOME, '.terminal-atmosphere');
     this.contextFile = path.join(this.dataDir, 'context.json');
     this.suggestionsFile = path.join(this.dataDir, 'suggestions.json');
+    this.forecaster = new Forecaster({ store: options.store || new HistoryStore({ dataDir: this.dataDir }) });
+    this.networkRates = new NetworkRates();
+    this.executor = new CommandExecutor({ dataDir: this.dataDir, dryRun: options.dryRun });
+    this.journal = new ChangeJournal({ dataDir: this.dataDir });
+    this.advisor = options.advisor;
+    this.classifier = options.classifier || null;
+  }
+
+  // The model is configured in config.json under "llm"; --offline skips it
+  async loadAdvisor() {
+    if (this.advisor !== undefined) return this.advisor;
+    this.advisor = null;
+    if (this.options.offline) return null;
+
+    try {
+      this.advisor = LLMAdvisor.fromConfig(await loadConfig());
+    } catch (error) {
+      console.warn('Could not set up the language model:', error.message);
+    }
+    return this.advisor;
   }
 
   async optimize(focusArea = 'all') {
@@ -19,9 +48,7 @@ class AIAssistant {
     const spinner = ora('Gathering system intelligence...').start();
     
     try {
-      const systemData = await this.gatherSystemData();
-      const context = await this.loadContext();
-      const analysis = await this.performAIAnalysis(systemData, context, focusArea);
+      const analysis = await this.analyzeEnvironment(focusArea);
       
       spinner.stop();
       
@@ -47,19 +74,31 @@ class AIAssistant {
     }
   }
 
+  async analyzeEnvironment(focusArea = 'all') {
+    const systemData = await this.gatherSystemData();
+    const context = await this.loadContext();
+    return this.performAIAnalysis(systemData, context, focusArea);
+  }
+
   async gatherSystemData() {
-    const [cpu, mem, disk, network, processes, osInfo, graphics] = await Promise.all([
-      si.currentLoad(),
-      si.mem(),
-      si.fsSize(),
-      si.networkStats(),
-      si.processes(),
-      si.osInfo(),
-      si.graphics()
+    const frame = await this.source.sample([
+      'currentLoad', 'mem', 'fsSize', 'networkStats', 'processes', 'osInfo', 'graphics'
     ]);
+    const {
+      currentLoad: cpu, mem, fsSize: disk, networkStats: network, processes, osInfo, graphics
+    } = frame;
+
+    let rates = this.networkRates.update(network, Date.parse(frame.timestamp));
+    if (rates.rate === null) {
+      rates = await this.networkRates.measure(this.source);
+    }
+
+    if (!this.classifier) {
+      this.classifier = await ProcessClassifier.load();
+    }
 
     return {
-      timestamp: new Date().toISOString(),
+      timestamp: frame.timestamp,
       system: {
         cpu: {
           usage: cpu.currentLoad,
@@ -82,18 +121,20 @@ class AIAssistant {
           available: d.available,
           usage: d.use
         })),
-        network: network.map(n => ({
-          interface: n.iface,
-          rx_bytes: n.rx_bytes,
-          tx_bytes: n.tx_bytes,
-          rx_sec: n.rx_sec,
-          tx_sec: n.tx_sec
-        })),
+        network: {
+          interface: rates.interface,
+          rxRate: rates.rxRate,
+          txRate: rates.txRate,
+          rate: rates.rate,
+          interfaces: rates.interfaces
+        },
         processes: {
           running: processes.running,
           blocked: processes.blocked,
           sleeping: processes.sleeping,
-          list: processes.list.slice(0, 20) // Top 20 processes
+          list: processes.list.slice(0, 20), // Top 20 processes
+          // Classified over every process, not just the first 20
+          categories: this.classifier.summarize(processes.list)
         },
         graphics: graphics.controllers || [],
         os: {
@@ -165,14 +206,35 @@ class AIAssistant {
     analysis.suggestions = this.generateSuggestions(analysis.insights, systemData);
     
     // Make predictions
-    analysis.predictions = this.makePredictions(systemData, context);
+    analysis.predictions = await this.makePredictions(systemData, context);
     
     // Calculate optimization score
     analysis.score = this.calculateAIScore(analysis);
 
+    // Scored before the model adds anything, so scores stay comparable offline
+    await this.consultModel(systemData, analysis);
+
     return analysis;
   }
 
+  // Merges the model's advice into the analysis; any failure leaves the
+  // heuristic result as it was
+  async consultModel(systemData, analysis) {
+    const advisor = await this.loadAdvisor();
+    if (!advisor) return;
+
+    try {
+      const advice = await advisor.advise(systemData, analysis);
+      const known = new Set(analysis.suggestions.map(s => s.command));
+      analysis.insights.push(...advice.insights);
+      analysis.suggestions.push(...advice.suggestions.filter(s => !s.command || !known.has(s.command)));
+      analysis.suggestions = this.sortSuggestions(analysis.suggestions);
+      analysis.model = { name: advisor.name, summary: advice.summary, warnings: advice.warnings };
+    } catch (error) {
+      analysis.model = { name: advisor.name, error: error.message };
+    }
+  }
+
   analyzeCPU(cpu) {
     const insights = [];
 
@@ -240,15 +302,30 @@ class AIAssistant {
   analyzeNetwork(network) {
     const insights = [];
 
-    const totalTraffic = network.reduce((sum, n) => sum + (n.rx_sec + n.tx_sec), 0);
-    
-    if (totalTraffic > 1000000) { // 1MB/s
+    const totalTraffic = network.rate || 0;
+
+    if (totalTraffic > 1024 * 1024) {
+      const busiest = network.interfaces
+        .filter(i => i.kind !== 'loopback' && i.rxRate !== null)
+        .sort((a, b) => (b.rxRate + b.txRate) - (a.rxRate + a.txRate))[0];
       insights.push({
         type: 'bandwidth',
         category: 'network',
-        message: 'High network traffic detected',
+        message: `High network traffic detected (${NetworkRates.formatRate(totalTraffic)}${busiest ? `, mostly on ${busiest.iface}` : ''})`,
+        severity: totalTraffic > 10 * 1024 * 1024 ? 'medium' : 'low',
+        data: { traffic: totalTraffic, download: network.rxRate, upload: network.txRate, interface: busiest?.iface }
+      });
+    }
+
+    // Traffic on bridges and tunnels usually means containers or a VPN at work
+    const virtual = network.interfaces.filter(i => i.kind === 'virtual' && (i.rxRate + i.txRate) > 1024 * 1024);
+    if (virtual.length > 0) {
+      insights.push({
+        type: 'virtual-traffic',
+        category: 'network',
+        message: `Heavy traffic on virtual interfaces: ${virtual.map(i => i.iface).join(', ')}`,
         severity: 'low',
-        data: { traffic: totalTraffic }
+        data: { interfaces: virtual.map(i => ({ iface: i.iface, rate: i.rxRate + i.txRate })) }
       });
     }
 
@@ -259,32 +336,30 @@ class AIAssistant {
     const insights = [];
 
     // Analyze process patterns
-    const devProcesses = systemData.system.processes.list.filter(p => 
-      ['node', 'npm', 'yarn', 'git', 'code', 'vim', 'emacs'].includes(p.name.toLowerCase())
-    );
+    const categories = Object.values(systemData.system.processes.categories || {});
+    const development = categories.filter(c => c.kind === 'development');
 
-    if (devProcesses.length === 0) {
+    if (development.length === 0) {
       insights.push({
         type: 'productivity',
         category: 'development',
         message: 'No development tools detected - are you in a coding session?',
         severity: 'info',
-        data: { devProcesses: devProcesses.length }
+        data: { devProcesses: 0 }
       });
     }
 
-    // Check for distractions
-    const distractionProcesses = systemData.system.processes.list.filter(p =>
-      ['chrome', 'firefox', 'safari', 'slack', 'discord'].includes(p.name.toLowerCase())
-    );
+    // Check for distractions; a browser's helper processes count as one program
+    const distractions = categories.filter(c => c.kind === 'distraction');
+    const programs = distractions.flatMap(c => c.programs);
 
-    if (distractionProcesses.length > 3) {
+    if (programs.length >= 2) {
       insights.push({
         type: 'productivity',
         category: 'focus',
-        message: 'Multiple potential distractions detected',
+        message: `Multiple potential distractions detected (${programs.join(', ')})`,
         severity: 'low',
-        data: { distractions: distractionProcesses.length }
+        data: { distractions: programs.length, programs, pids: distractions.flatMap(c => c.pids) }
       });
     }
 
@@ -360,6 +435,10 @@ class AIAssistant {
     // Add AI-powered smart suggestions
     suggestions.push(...this.getSmartSuggestions(systemData));
 
+    return this.sortSuggestions(suggestions);
+  }
+
+  sortSuggestions(suggestions) {
     return suggestions.sort((a, b) => {
       const priorityOrder = { high: 3, medium: 2, low: 1 };
       return priorityOrder[b.priority] - priorityOrder[a.priority];
@@ -397,12 +476,16 @@ class AIAssistant {
   }
 
   getOptimizationCommand(insight) {
+    if (insight.data?.pids?.length) {
+      return `ps -o pid,pcpu,pmem,comm -p ${insight.data.pids.slice(0, 50).join(',')}`;
+    }
+
     const commands = {
       cpu: 'ps aux --sort=-%cpu | head -10',
       memory: 'ps aux --sort=-%mem | head -10',
       network: 'netstat -i',
       disk: 'du -sh /* | sort -hr | head -10',
-      productivity: 'ps aux | grep -E "(chrome|firefox|slack|discord)"'
+      productivity: 'atmosphere classify'
     };
     return commands[insight.category] || 'top';
   }
@@ -427,7 +510,7 @@ class AIAssistant {
         category: 'processes',
         priority: 'medium',
         action: 'High process count detected - consider process cleanup',
-        command: 'ps aux | awk "$8 ~ /^Z/ { print $2 }" | xargs kill -9',
+        command: "ps -eo pid,stat | awk '$2 ~ /^Z/ { print $1 }' | xargs -r kill -9",
         impact: 'Medium',
         automated: true
       });
@@ -436,18 +519,15 @@ class AIAssistant {
     return suggestions;
   }
 
-  makePredictions(systemData, context) {
+  async makePredictions(systemData, context) {
     const predictions = [];
+    const now = Date.parse(systemData.timestamp) || Date.now();
 
-    // Predict system behavior based on current trends
-    const cpuTrend = this.predictTrend(systemData.system.cpu.usage, context.history, 'cpu');
-    const memTrend = this.predictTrend(
-      (systemData.system.memory.used / systemData.system.memory.total) * 100,
-      context.history,
-      'memory'
-    );
+    // Predict system behavior from recorded history
+    const cpuTrend = await this.predictTrend('cpu', 30 * 60 * 1000, now);
+    const memTrend = await this.predictTrend('memory', 60 * 60 * 1000, now);
 
-    if (cpuTrend.direction === 'increasing' && cpuTrend.rate > 5) {
+    if (cpuTrend.direction === 'increasing' && cpuTrend.value > 90) {
       predictions.push({
         type: 'cpu',
         timeframe: '30 minutes',
@@ -468,21 +548,22 @@ class AIAssistant {
     return predictions;
   }
 
-  predictTrend(currentValue, history, metric) {
-    // Simplified trend prediction
-    const recentHistory = history.slice(-5).filter(h => h[metric]);
-    
-    if (recentHistory.length < 2) {
-      return { direction: 'stable', rate: 0, confidence: 0.3 };
+  async predictTrend(metric, horizon, now) {
+    const { metrics } = await this.forecaster.forecast({ metrics: [metric], horizons: [horizon], now });
+    const forecast = metrics[metric];
+    const [prediction] = forecast.predictions;
+
+    if (!prediction) {
+      return { direction: 'stable', rate: 0, value: null, confidence: 0.3 };
     }
 
-    const values = recentHistory.map(h => h[metric]);
-    const trend = (values[values.length - 1] - values[0]) / values.length;
-    
+    // Rate is in percentage points per hour; narrower intervals mean more confidence
+    const rate = forecast.trendPerHour;
     return {
-      direction: trend > 2 ? 'increasing' : trend < -2 ? 'decreasing' : 'stable',
-      rate: Math.abs(trend),
-      confidence: Math.min(0.9, 0.3 + (recentHistory.length * 0.1))
+      direction: rate > 2 ? 'increasing' : rate < -2 ? 'decreasing' : 'stable',
+      rate: Math.abs(rate),
+      value: prediction.value,
+      confidence: Math.min(0.95, Math.max(0.3, 1 - (prediction.upper - prediction.lower) / 100))
     };
   }
 
@@ -511,6 +592,13 @@ class AIAssistant {
     console.log(chalk.bold.cyan('\n🤖 AI Assistant Analysis Results'));
     console.log(chalk.gray(`Focus Area: ${analysis.focusArea}`));
     console.log(chalk.gray(`Optimization Score: ${analysis.score}/100`));
+    if (analysis.model?.error) {
+      console.log(chalk.yellow(`⚠️  Model ${analysis.model.name} unavailable (${analysis.model.error}) - showing built-in analysis only`));
+    } else if (analysis.model) {
+      console.log(chalk.gray(`Model: ${analysis.model.name}`));
+      if (analysis.model.summary) console.log(chalk.cyan(`\n🧠 ${analysis.model.summary}`));
+      analysis.model.warnings.forEach(warning => console.log(chalk.gray(`   (${warning})`)));
+    }
 
     // Display insights
     if (analysis.insights.length > 0) {
@@ -523,7 +611,8 @@ class AIAssistant {
           info: 'gray'
         }[insight.severity];
         
-        console.log(`\n${index + 1}. ${chalk[severityColor](`[${insight.severity.toUpperCase()}]`)} ${insight.message}`);
+        const from = insight.source === 'model' ? chalk.magenta(' 🧠') : '';
+        console.log(`\n${index + 1}. ${chalk[severityColor](`[${insight.severity.toUpperCase()}]`)} ${insight.message}${from}`);
         console.log(`   Category: ${insight.category}`);
       });
     }
@@ -539,9 +628,11 @@ class AIAssistant {
           low: 'blue'
         }[suggestion.priority];
         
-        console.log(`\n${index + 1}. ${chalk[priorityColor](`[${suggestion.priority.toUpperCase()}]`)} ${suggestion.action}`);
+        const from = suggestion.source === 'model' ? chalk.magenta(' 🧠') : '';
+        console.log(`\n${index + 1}. ${chalk[priorityColor](`[${suggestion.priority.toUpperCase()}]`)} ${suggestion.action}${from}`);
         console.log(`   Impact: ${suggestion.impact} | Automated: ${suggestion.automated ? 'Yes' : 'No'}`);
-        console.log(`   Command: ${chalk.cyan(suggestion.command)}`);
+        if (suggestion.command) console.log(`   Command: ${chalk.cyan(suggestion.command)}`);
+        if (suggestion.rationale) console.log(chalk.gray(`   Why: ${suggestion.rationale}`));
       });
     }
 
@@ -572,9 +663,10 @@ class AIAssistant {
         choices: suggestions
           .filter(s => s.automated)
           .map(s => ({
-            name: `${s.action} (${s.impact} impact)`,
+            name: `${s.action} (${s.impact} impact)${s.source === 'model' ? ' 🧠' : ''}`,
             value: s,
-            checked: s.priority === 'high'
+            // The model's commands are never picked for the user
+            checked: s.priority === 'high' && s.source !== 'model'
           }))
       }
     ]);
@@ -584,37 +676,34 @@ class AIAssistant {
       return;
     }
 
-    console.log(chalk.cyan('\n🚀 Applying AI suggestions...'));
-    
+    const dryRun = this.executor.dryRun;
+    console.log(chalk.cyan(dryRun ? '\n🔍 Dry run - these commands would be executed:' : '\n🚀 Applying AI suggestions...'));
+
+    const counts = { ok: 0, failed: 0, refused: 0, 'dry-run': 0 };
+    const changes = [];
     for (const suggestion of selectedSuggestions) {
-      const spinner = ora(`Applying: ${suggestion.action}`).start();
-      
+      console.log(chalk.bold(`\n▶ ${suggestion.action}`));
+
       try {
-        await this.executeCommand(suggestion.command);
-        spinner.succeed(`Applied: ${suggestion.action}`);
+        const { status } = await this.executor.run(suggestion.command, { source: `suggestion: ${suggestion.action}`, origin: suggestion.source });
+        counts[status]++;
+        if (status === 'ok') {
+          changes.push({ type: 'command', command: suggestion.command, action: suggestion.action });
+          console.log(chalk.green(`  ✅ Applied: ${suggestion.action}`));
+        }
       } catch (error) {
-        spinner.fail(`Failed: ${suggestion.action} - ${error.message}`);
+        counts.failed++;
+        console.log(chalk.red(`  ❌ Failed: ${suggestion.action} - ${error.message}`));
       }
     }
 
-    console.log(chalk.green('\n✅ AI suggestions applied successfully!'));
-  }
-
-  async executeCommand(command) {
-    return new Promise((resolve, reject) => {
-      const [cmd, ...args] = command.split(' ');
-      const child = spawn(cmd, args, { stdio: 'pipe' });
-      
-      child.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`Command failed with code ${code}`));
-        }
-      });
-
-      child.on('error', reject);
-    });
+    if (dryRun) {
+      console.log(chalk.gray(`\n${counts['dry-run']} command(s) previewed; nothing was changed.`));
+    } else {
+      const color = counts.failed ? 'yellow' : 'green';
+      console.log(chalk[color](`\n${counts.ok} applied, ${counts.failed} failed, ${counts.refused} skipped. Details in ${this.executor.auditFile}`));
+      await this.journal.record({ source: 'optimize', description: `Applied ${changes.length} suggestion(s)`, changes });
+    }
   }
 
   async saveContext(analysis) {
@@ -0,0 +1,227 @@
+const HistoryStore = require('./history-store');
+const { parseDuration } = require('./time');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const ARRAY_REDUCERS = {
+  max: values => Math.max(...values),
+  min: values => Math.min(...values),
+  avg: values => values.reduce((sum, v) => sum + v, 0) / values.length,
+  sum: values => values.reduce((sum, v) => sum + v, 0),
+  count: values => values.length
+};
+
+// Equivalent to the thresholds checkAlerts used to hard-code
+const DEFAULT_RULES = [
+  { id: 'cpu-critical', metric: 'cpu.usage', op: '>', value: 90, severity: 'critical', message: 'CPU usage critically high!' },
+  { id: 'cpu-warning', metric: 'cpu.usage', op: '>', value: 75, severity: 'warning', message: 'CPU usage elevated' },
+  { id: 'memory-critical', metric: 'memory.percentage', op: '>', value: 90, severity: 'critical', message: 'Memory usage critically high!' },
+  { id: 'memory-warning', metric: 'memory.percentage', op: '>', value: 75, severity: 'warning', message: 'Memory usage elevated' },
+  { id: 'processes-high', metric: 'processes.running', op: '>', value: 200, severity: 'info', message: 'High number of running processes' }
+];
+
+class AlertEngine {
+  constructor(rules = DEFAULT_RULES) {
+    this.rules = rules.map(rule => AlertEngine.normalizeRule(rule));
+    this.state = new Map();
+    this.errors = [];
+  }
+
+  static normalizeRule(rule) {
+    if (!rule.id) throw new Error('Alert rule is missing an "id"');
+    if (!rule.metric) throw new Error(`Alert rule "${rule.id}" is missing a "metric"`);
+    if (!OPERATORS[rule.op]) {
+      throw new Error(`Alert rule "${rule.id}" has unknown operator "${rule.op}" (use ${Object.keys(OPERATORS).join(' ')})`);
+    }
+    if (typeof rule.value !== 'number') {
+      throw new Error(`Alert rule "${rule.id}" needs a numeric "value"`);
+    }
+
+    const severity = rule.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Alert rule "${rule.id}" has unknown severity "${severity}" (use ${SEVERITIES.join(', ')})`);
+    }
+
+    // "clear" is an explicit threshold; "hysteresis" is a margin back from "value"
+    let clear = rule.clear;
+    if (clear === undefined && rule.hysteresis !== undefined) {
+      clear = rule.op.startsWith('>') ? rule.value - rule.hysteresis : rule.value + rule.hysteresis;
+    }
+
+    return {
+      ...rule,
+      severity,
+      clear,
+      for: rule.for ? parseDuration(rule.for) : 0,
+      message: rule.message || `${rule.metric} ${rule.op} ${rule.value}`
+    };
+  }
+
+  // Defaults, then the active profile's limits, then user rules; a later rule
+  // with the same id replaces an earlier one
+  static fromConfig(config = {}, profile = null) {
+    const alerts = config.alerts || {};
+    const errors = [];
+    if (alerts.rules !== undefined && !Array.isArray(alerts.rules)) {
+      errors.push('"alerts.rules" must be a list');
+    }
+
+    const merged = new Map();
+    const sources = [
+      alerts.useDefaults === false ? [] : DEFAULT_RULES,
+      profile ? AlertEngine.rulesFromProfile(profile) : [],
+      Array.isArray(alerts.rules) ? alerts.rules : []
+    ];
+    sources.forEach(rules => rules.forEach((rule, i) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`Alert rule ${i + 1} is not an object`);
+        return;
+      }
+      // Without an id a rule overrides nothing, and each one is reported
+      merged.set(rule.id || Symbol('unnamed'), rule);
+    }));
+
+    const valid = [];
+    for (const rule of merged.values()) {
+      try {
+        AlertEngine.normalizeRule(rule);
+        valid.push(rule);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    const engine = new AlertEngine(valid);
+    engine.errors = errors;
+    return engine;
+  }
+
+  static rulesFromProfile(profile) {
+    const settings = profile?.settings || {};
+    const rules = [];
+    const add = (id, metric, value, message) => {
+      if (typeof value === 'number') {
+        rules.push({ id: `profile-${id}`, metric, op: '>', value, for: '30s', severity: 'warning', message });
+      }
+    };
+
+    add('cpu', 'cpu.usage', settings.cpu?.maxUsage, `CPU above "${profile.name}" profile limit`);
+    add('memory', 'memory.percentage', settings.memory?.maxUsage, `Memory above "${profile.name}" profile limit`);
+    add('disk', 'disk.usage.use.max', settings.disk?.cleanupThreshold, `Disk usage above "${profile.name}" cleanup threshold`);
+    add('processes', 'processes.running', settings.processes?.maxProcesses, `Running processes above "${profile.name}" profile limit`);
+    add('latency', 'latency.avg', settings.network?.maxLatency, `Network latency above "${profile.name}" profile limit`);
+
+    return rules;
+  }
+
+  // Dotted paths into a sample; array steps map over elements and can end
+  // in max/min/avg/sum/count, e.g. "cpu.cores.max" or "disk.usage.use.max"
+  static resolveMetric(sample, metric) {
+    if (HistoryStore.METRICS[metric]) {
+      return HistoryStore.METRICS[metric].extract(sample);
+    }
+
+    let value = sample;
+    for (const key of metric.split('.')) {
+      if (value === undefined || value === null) return undefined;
+      if (Array.isArray(value)) {
+        value = ARRAY_REDUCERS[key]
+          ? (value.length ? ARRAY_REDUCERS[key](value) : undefined)
+          : value.map(item => item?.[key]);
+      } else {
+        value = value[key];
+      }
+    }
+    return typeof value === 'number' ? value : undefined;
+  }
+
+  evaluate(sample) {
+    const now = Date.parse(sample.timestamp) || Date.now();
+    const transitions = [];
+
+    for (const rule of this.rules) {
+      const value = AlertEngine.resolveMetric(sample, rule.metric);
+      if (value === undefined) continue;
+
+      const state = this.state.get(rule.id) || { status: 'ok' };
+      const matches = OPERATORS[rule.op](value, rule.value);
+
+      if (state.status === 'firing') {
+        state.value = value;
+        state.peak = this.worse(rule, state.peak, value);
+        const threshold = rule.clear !== undefined ? rule.clear : rule.value;
+        if (!OPERATORS[rule.op](value, threshold)) {
+          transitions.push({ type: 'resolved', alert: this.toAlert(rule, state, now) });
+          this.state.set(rule.id, { status: 'ok' });
+          continue;
+        }
+      } else if (matches) {
+        if (state.status === 'ok') {
+          state.status = 'pending';
+          state.since = now;
+        }
+        state.value = value;
+        state.peak = this.worse(rule, state.peak, value);
+        if (now - state.since >= rule.for) {
+          state.status = 'firing';
+          state.firedAt = now;
+          transitions.push({ type: 'fired', alert: this.toAlert(rule, state, now) });
+        }
+      } else {
+        this.state.set(rule.id, { status: 'ok' });
+        continue;
+      }
+
+      this.state.set(rule.id, state);
+    }
+
+    return { alerts: this.activeAlerts(now), transitions };
+  }
+
+  activeAlerts(now = Date.now()) {
+    const firing = this.rules
+      .filter(rule => this.state.get(rule.id)?.status === 'firing')
+      .map(rule => this.toAlert(rule, this.state.get(rule.id), now));
+
+    // A critical alert on a metric supersedes a warning on the same metric
+    return firing.filter(alert => !firing.some(other =>
+      other.metric === alert.metric &&
+      SEVERITIES.indexOf(other.type) > SEVERITIES.indexOf(alert.type)
+    ));
+  }
+
+  worse(rule, peak, value) {
+    if (peak === undefined) return value;
+    return rule.op.startsWith('<') ? Math.min(peak, value) : Math.max(peak, value);
+  }
+
+  toAlert(rule, state, now) {
+    return {
+      ruleId: rule.id,
+      kind: 'threshold',
+      type: rule.severity,
+      metric: rule.metric,
+      message: rule.message,
+      threshold: rule.value,
+      value: state.value,
+      peak: state.peak,
+      since: new Date(state.since || now).toISOString(),
+      timestamp: new Date(now).toISOString()
+    };
+  }
+}
+
+AlertEngine.DEFAULT_RULES = DEFAULT_RULES;
+AlertEngine.SEVERITIES = SEVERITIES;
+AlertEngine.OPERATORS = OPERATORS;
+
+module.exports = AlertEngine;
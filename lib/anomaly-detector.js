@@ -0,0 +1,273 @@
+const HistoryStore = require('./history-store');
+const { percentile } = require('./stats');
+const { parseDuration } = require('./time');
+const { formatRate } = require('./network-rates');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULTS = {
+  enabled: true,
+  metrics: ['cpu', 'memory', 'processes', 'network'],
+  sigma: 3,
+  criticalSigma: 5,
+  for: '30s',
+  minSamples: 30,
+  halfLife: '7d',
+  window: 500
+};
+
+// Below this spread a baseline is too flat to judge: a machine idling at
+// exactly 2% CPU would otherwise call 4% a six-sigma event
+const MIN_SPREAD = {
+  cpu: 2,
+  memory: 2,
+  disk: 1,
+  processes: 2,
+  network: 64 * 1024
+};
+
+const ALL_HOURS = 'all';
+
+// Per-metric, per-hour-of-day baseline: a time-decayed EWMA of mean and
+// variance plus a rolling window of per-minute readings for percentiles
+class Baseline {
+  constructor(halfLife, windowSize) {
+    this.halfLife = halfLife;
+    this.windowSize = windowSize;
+    this.weight = 0;
+    this.mean = 0;
+    this.variance = 0;
+    this.samples = 0;
+    this.time = null;
+    this.window = [];
+    this.windowTime = null;
+  }
+
+  add(value, time, weight = 1) {
+    if (this.time !== null && time > this.time) {
+      this.weight *= 0.5 ** ((time - this.time) / this.halfLife);
+    }
+    this.time = Math.max(this.time || 0, time);
+
+    const total = this.weight + weight;
+    const share = weight / total;
+    const delta = value - this.mean;
+    this.mean += share * delta;
+    this.variance = (1 - share) * (this.variance + share * delta * delta);
+    this.weight = total;
+    this.samples += weight;
+
+    // Live samples arrive every few seconds; one reading a minute keeps the
+    // window spread across days instead of the last half hour
+    if (this.windowTime === null || time - this.windowTime >= MINUTE) {
+      this.window.push(value);
+      this.windowTime = time;
+      if (this.window.length > this.windowSize) {
+        this.window.shift();
+      }
+    }
+  }
+
+  stddev(minSpread = 0) {
+    return Math.max(Math.sqrt(this.variance), minSpread);
+  }
+
+  percentile(p) {
+    return percentile(this.window, p);
+  }
+}
+
+class AnomalyDetector {
+  constructor(options = {}) {
+    this.settings = { ...DEFAULTS, ...options };
+    this.settings.for = parseDuration(this.settings.for);
+    this.settings.halfLife = parseDuration(this.settings.halfLife);
+    this.baselines = new Map();
+    this.state = new Map();
+  }
+
+  static fromConfig(config = {}) {
+    const settings = config.anomalies || {};
+    const unknown = (settings.metrics || []).filter(name => !HistoryStore.METRICS[name]);
+    if (unknown.length) {
+      throw new Error(`Unknown anomaly metric(s) ${unknown.join(', ')} (use ${Object.keys(HistoryStore.METRICS).join(', ')})`);
+    }
+    return new AnomalyDetector(settings);
+  }
+
+  get enabled() {
+    return this.settings.enabled !== false;
+  }
+
+  baseline(metric, slot) {
+    const key = `${metric}:${slot}`;
+    if (!this.baselines.has(key)) {
+      this.baselines.set(key, new Baseline(this.settings.halfLife, this.settings.window));
+    }
+    return this.baselines.get(key);
+  }
+
+  observe(metric, value, time, weight = 1) {
+    this.baseline(metric, new Date(time).getHours()).add(value, time, weight);
+    this.baseline(metric, ALL_HOURS).add(value, time, weight);
+  }
+
+  // Seeds the baselines from recorded history; rollups count for the
+  // number of samples they summarise
+  async learn(store, now = Date.now()) {
+    const points = await store.query({ from: now - 14 * DAY, to: now });
+    for (const point of points) {
+      for (const name of this.settings.metrics) {
+        const summary = point.metrics[name];
+        if (summary) {
+          this.observe(name, summary.avg, point.time, summary.count || 1);
+        }
+      }
+    }
+    return points.length;
+  }
+
+  // The hour's own baseline once it has seen enough, otherwise the
+  // machine-wide one, otherwise nothing to compare against yet
+  reference(metric, time) {
+    const hour = new Date(time).getHours();
+    for (const slot of [hour, ALL_HOURS]) {
+      const baseline = this.baselines.get(`${metric}:${slot}`);
+      if (baseline && baseline.samples >= this.settings.minSamples && baseline.window.length >= 2) {
+        return { slot, baseline };
+      }
+    }
+    return null;
+  }
+
+  score(metric, value, time) {
+    const reference = this.reference(metric, time);
+    if (!reference) return null;
+
+    const { slot, baseline } = reference;
+    const stddev = baseline.stddev(MIN_SPREAD[metric] || 0);
+    return {
+      slot,
+      value,
+      mean: baseline.mean,
+      stddev,
+      zScore: (value - baseline.mean) / stddev,
+      p1: baseline.percentile(1),
+      p99: baseline.percentile(99),
+      samples: Math.round(baseline.samples)
+    };
+  }
+
+  // A reading is anomalous when it is both far from the EWMA in standard
+  // deviations and outside the range the rolling window has actually seen
+  isAnomalous(score, sigma) {
+    if (score.zScore >= sigma) return score.value > score.p99;
+    if (score.zScore <= -sigma) return score.value < score.p1;
+    return false;
+  }
+
+  evaluate(sample) {
+    const now = Date.parse(sample.timestamp) || Date.now();
+    const transitions = [];
+    if (!this.enabled) return { alerts: [], transitions };
+
+    for (const metric of this.settings.metrics) {
+      const value = HistoryStore.METRICS[metric].extract(sample);
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+      const score = this.score(metric, value, now);
+      const state = this.state.get(metric) || { status: 'ok' };
+
+      if (score && state.status === 'firing') {
+        state.score = score;
+        state.peak = Math.abs(score.zScore) > Math.abs(state.peak.zScore) ? score : state.peak;
+        // Hysteresis: stay open until the reading is well back inside the band
+        if (Math.abs(score.zScore) < this.settings.sigma - 1) {
+          transitions.push({ type: 'resolved', alert: this.toAlert(metric, state, now) });
+          this.state.set(metric, { status: 'ok' });
+        }
+      } else if (score && this.isAnomalous(score, this.settings.sigma)) {
+        if (state.status === 'ok') {
+          state.status = 'pending';
+          state.since = now;
+          state.peak = score;
+        }
+        state.score = score;
+        state.peak = Math.abs(score.zScore) > Math.abs(state.peak.zScore) ? score : state.peak;
+        if (now - state.since >= this.settings.for) {
+          state.status = 'firing';
+          transitions.push({ type: 'fired', alert: this.toAlert(metric, state, now) });
+        }
+        this.state.set(metric, state);
+      } else if (state.status !== 'firing') {
+        this.state.set(metric, { status: 'ok' });
+      }
+
+      // Every reading is learned: a lasting change of habits becomes the new
+      // normal as older days decay away
+      this.observe(metric, value, now);
+    }
+
+    return { alerts: this.activeAlerts(now), transitions };
+  }
+
+  activeAlerts(now = Date.now()) {
+    return [...this.state.entries()]
+      .filter(([, state]) => state.status === 'firing')
+      .map(([metric, state]) => this.toAlert(metric, state, now));
+  }
+
+  toAlert(metric, state, now) {
+    const { score, peak } = state;
+    const definition = HistoryStore.METRICS[metric];
+    // Described by the worst reading, so a resolution still reads "unusually high"
+    const direction = peak.zScore >= 0 ? 'above' : 'below';
+    const critical = Math.abs(peak.zScore) >= this.settings.criticalSigma;
+
+    return {
+      ruleId: `anomaly-${metric}`,
+      kind: 'anomaly',
+      type: critical ? 'critical' : 'warning',
+      metric,
+      message: `${definition.label} unusually ${direction === 'above' ? 'high' : 'low'} for ${this.describeSlot(score.slot)}`,
+      explanation: this.explain(metric, peak),
+      threshold: peak.mean + Math.sign(peak.zScore) * this.settings.sigma * peak.stddev,
+      value: score.value,
+      peak: peak.value,
+      zScore: score.zScore,
+      baseline: {
+        hour: score.slot === ALL_HOURS ? null : score.slot,
+        mean: score.mean,
+        stddev: score.stddev,
+        p1: score.p1,
+        p99: score.p99,
+        samples: score.samples
+      },
+      since: new Date(state.since || now).toISOString(),
+      timestamp: new Date(now).toISOString()
+    };
+  }
+
+  explain(metric, score) {
+    const { unit } = HistoryStore.METRICS[metric];
+    const format = value => {
+      if (unit === '%') return `${value.toFixed(1)}%`;
+      if (unit === 'B/s') return formatRate(value);
+      return value.toFixed(0);
+    };
+    const direction = score.zScore >= 0 ? 'above' : 'below';
+    return `${format(score.value)} is ${Math.abs(score.zScore).toFixed(1)}σ ${direction} the usual ` +
+      `${format(score.mean)} ± ${format(score.stddev)} for ${this.describeSlot(score.slot)} ` +
+      `(p1–p99 ${format(score.p1)}–${format(score.p99)}, ${score.samples} samples)`;
+  }
+
+  describeSlot(slot) {
+    return slot === ALL_HOURS ? 'this machine' : `${String(slot).padStart(2, '0')}:00–${String(slot).padStart(2, '0')}:59`;
+  }
+}
+
+AnomalyDetector.DEFAULTS = DEFAULTS;
+
+module.exports = AnomalyDetector;
@@ -0,0 +1,313 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { withFileLock, writeJsonAtomic } = require('./locks');
+
+const run = promisify(execFile);
+
+const MAX_ENTRIES = 200;
+
+function isRoot() {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+// Linux keeps only the first 15 characters of a process name in comm
+async function isSameProcess(change) {
+  try {
+    process.kill(change.pid, 0);
+  } catch (error) {
+    if (error.code !== 'EPERM') return false;
+  }
+  const commFile = `/proc/${change.pid}/comm`;
+  if (change.name && await fs.pathExists(commFile)) {
+    const comm = (await fs.readFile(commFile, 'utf8')).trim();
+    return change.name.startsWith(comm) || comm.startsWith(change.name);
+  }
+  return true;
+}
+
+async function readIfExists(file) {
+  return (await fs.pathExists(file)) ? fs.readFile(file, 'utf8') : null;
+}
+
+// How each kind of change is put back. `check` says whether the thing still
+// looks the way we left it; reverting over someone else's change needs --force
+const REVERTERS = {
+  priority: {
+    describe: c => `nice ${c.before} → ${c.after} for ${c.name} (${c.pid})`,
+    async check(c) {
+      if (!await isSameProcess(c)) return `${c.name} (${c.pid}) is no longer running`;
+      const current = os.getPriority(c.pid);
+      if (current !== c.after) return `${c.name} (${c.pid}) is now at nice ${current}`;
+      return c.before < current && !isRoot() ? `lowering ${c.name} (${c.pid}) back to nice ${c.before} needs root` : null;
+    },
+    async revert(c) {
+      os.setPriority(c.pid, c.before);
+      return `${c.name} (${c.pid}) back to nice ${c.before}`;
+    }
+  },
+
+  affinity: {
+    describe: c => `CPU affinity ${c.before} → ${c.after} for ${c.name} (${c.pid})`,
+    async check(c) {
+      return (await isSameProcess(c)) ? null : `${c.name} (${c.pid}) is no longer running`;
+    },
+    async revert(c) {
+      await run('taskset', ['-p', '-c', c.before, String(c.pid)]);
+      return `${c.name} (${c.pid}) back on CPUs ${c.before}`;
+    }
+  },
+
+  // Any file we overwrote: config, sysfs/procfs values, cgroup controls
+  file: {
+    describe: c => `${c.before === null ? 'created' : 'changed'} ${c.path}`,
+    async check(c) {
+      if (c.after === undefined) return null;
+      const current = await readIfExists(c.path);
+      return current === c.after ? null : `${c.path} has changed since`;
+    },
+    async revert(c) {
+      if (c.before === null) {
+        await fs.remove(c.path);
+        return `removed ${c.path}`;
+      }
+      await fs.writeFile(c.path, c.before);
+      return `restored ${c.path}`;
+    }
+  },
+
+  // Deleted files are gone; the manifest says what they were
+  delete: {
+    describe: c => `deleted ${c.files.length} file(s) from ${c.dir}`,
+    revertable: false
+  },
+
+  // Shell commands are recorded for the log; what they did is unknown
+  command: {
+    describe: c => `ran ${c.command}`,
+    revertable: false
+  }
+};
+
+// Every mutating action records what it changed and what was there before,
+// so `atmosphere undo` can put it back
+class ChangeJournal {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.journalFile = path.join(this.dataDir, 'journal.json');
+  }
+
+  static register(type, reverter) {
+    REVERTERS[type] = reverter;
+  }
+
+  // A change can also be one-way on its own, e.g. a renice without root
+  static isRevertable(change) {
+    const reverter = REVERTERS[change.type];
+    return Boolean(reverter) && reverter.revertable !== false && change.revertable !== false;
+  }
+
+  static describe(change) {
+    const reverter = REVERTERS[change.type];
+    const description = reverter ? reverter.describe(change) : change.type;
+    return reverter && reverter.revertable !== false && change.revertable === false ? `${description} (one-way)` : description;
+  }
+
+  // Puts back a single change that never made it into an entry
+  static async revertChange(change) {
+    if (!ChangeJournal.isRevertable(change)) return null;
+    return REVERTERS[change.type].revert(change);
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.journalFile)) {
+        return await fs.readJson(this.journalFile);
+      }
+    } catch (error) {
+      console.warn('Could not load journal:', error.message);
+    }
+    return { nextId: 1, entries: [] };
+  }
+
+  async save(state) {
+    await fs.ensureDir(this.dataDir);
+    state.entries = state.entries.slice(-MAX_ENTRIES);
+    await writeJsonAtomic(this.journalFile, state, { spaces: 2 });
+  }
+
+  // The monitor, the daemon and one-shot commands all record changes
+  async update(fn) {
+    await fs.ensureDir(this.dataDir);
+    return withFileLock(this.journalFile, async () => {
+      const state = await this.load();
+      const result = await fn(state);
+      await this.save(state);
+      return result;
+    });
+  }
+
+  async record({ source, description, changes }) {
+    if (!changes || changes.length === 0) return null;
+
+    return this.update(state => {
+      const entry = {
+        id: state.nextId++,
+        timestamp: new Date().toISOString(),
+        source,
+        description,
+        changes,
+        revertedAt: null,
+        results: null
+      };
+      state.entries.push(entry);
+      return entry;
+    });
+  }
+
+  // The file's current content, to be recorded before overwriting it
+  async captureFile(file) {
+    return { type: 'file', path: file, before: await readIfExists(file) };
+  }
+
+  // Writes a file and returns the change to record for it
+  async writeFile(file, content) {
+    const change = await this.captureFile(file);
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, content);
+    return { ...change, after: content };
+  }
+
+  async removeFiles(files, dir) {
+    const removed = [];
+    for (const file of files) {
+      try {
+        const stat = await fs.lstat(file);
+        await fs.remove(file);
+        removed.push({ path: file, size: stat.size, mtime: stat.mtime.toISOString() });
+      } catch (error) {
+        // Temp files often go away on their own between plan and run
+        if (error.code !== 'ENOENT') console.warn(`Could not delete ${file}:`, error.message);
+      }
+    }
+    return { type: 'delete', dir, files: removed, bytes: removed.reduce((sum, f) => sum + f.size, 0) };
+  }
+
+  async list(options = {}) {
+    const { entries } = await this.load();
+    return entries.slice(-(options.limit || 20)).reverse();
+  }
+
+  find(state, id) {
+    const entry = state.entries.find(e => String(e.id) === String(id).replace(/^#/, ''));
+    if (!entry) {
+      throw new Error(`Journal entry #${id} not found`);
+    }
+    return entry;
+  }
+
+  // Newest entry that still has something to put back
+  async latestRevertable() {
+    const { entries } = await this.load();
+    return entries
+      .slice()
+      .reverse()
+      .find(entry => !entry.revertedAt && entry.changes.some(c => ChangeJournal.isRevertable(c))) || null;
+  }
+
+  async revert(id, options = {}) {
+    return this.update(async state => {
+      const entry = this.find(state, id);
+      if (entry.revertedAt && !options.force) {
+        throw new Error(`Entry #${entry.id} was already reverted at ${new Date(entry.revertedAt).toLocaleString()}`);
+      }
+
+      const results = [];
+      // Last change first, so stacked changes unwind in order
+      for (const change of entry.changes.slice().reverse()) {
+        const reverter = REVERTERS[change.type];
+        const description = ChangeJournal.describe(change);
+
+        if (!ChangeJournal.isRevertable(change)) {
+          results.push({ description, status: 'skipped', message: 'cannot be reverted automatically' });
+          continue;
+        }
+
+        try {
+          const conflict = reverter.check ? await reverter.check(change) : null;
+          if (conflict && !options.force) {
+            results.push({ description, status: 'conflict', message: conflict });
+            continue;
+          }
+          if (options.dryRun) {
+            results.push({ description, status: 'would-revert', message: conflict || '' });
+            continue;
+          }
+          results.push({ description, status: 'reverted', message: await reverter.revert(change) });
+        } catch (error) {
+          results.push({ description, status: 'failed', message: error.message });
+        }
+      }
+
+      if (!options.dryRun && results.some(r => r.status === 'reverted')) {
+        entry.revertedAt = new Date().toISOString();
+        entry.results = results;
+      }
+      return { entry, results };
+    });
+  }
+
+  async displayJournal(options = {}) {
+    const entries = await this.list(options);
+    if (entries.length === 0) {
+      console.log(chalk.green('\n📒 The journal is empty - nothing has been changed yet.'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['ID', 'When', 'Source', 'Changes', 'State'].map(h => chalk.blue(h)),
+      colWidths: [6, 22, 24, 60, 14],
+      wordWrap: true
+    });
+
+    entries.forEach(entry => {
+      const revertable = entry.changes.some(c => ChangeJournal.isRevertable(c));
+      let state = revertable ? chalk.green('undoable') : chalk.gray('log only');
+      if (entry.revertedAt) {
+        state = entry.results?.every(r => r.status === 'reverted' || r.status === 'skipped') ? chalk.gray('reverted') : chalk.yellow('partly reverted');
+      }
+      table.push([
+        `#${entry.id}`,
+        new Date(entry.timestamp).toLocaleString(),
+        entry.source,
+        [entry.description, ...entry.changes.map(c => chalk.gray(`• ${ChangeJournal.describe(c)}`))].join('\n'),
+        state
+      ]);
+    });
+
+    console.log(chalk.bold.cyan('\n📒 Change Journal'));
+    console.log(table.toString());
+    console.log(chalk.gray('  Revert with: atmosphere undo [id]'));
+  }
+
+  displayRevert({ entry, results }, options = {}) {
+    const title = options.dryRun ? `Would revert #${entry.id}` : `Reverting #${entry.id}`;
+    console.log(chalk.bold.cyan(`\n↩️  ${title}: ${entry.description}`));
+
+    const icons = { reverted: '✅', 'would-revert': '🔍', skipped: '⏭️ ', conflict: '⚠️ ', failed: '❌' };
+    results.forEach(result => {
+      const message = result.message ? chalk.gray(` - ${result.message}`) : '';
+      console.log(`  ${icons[result.status]} ${result.description}${message}`);
+    });
+
+    if (results.some(r => r.status === 'conflict')) {
+      console.log(chalk.yellow('\n  Some changes were modified since; re-run with --force to overwrite them.'));
+    }
+  }
+}
+
+module.exports = ChangeJournal;
@@ -0,0 +1,28 @@
+const TICKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Missing values (null/undefined) render as gaps
+function sparkline(values, options = {}) {
+  const present = values.filter(v => typeof v === 'number');
+  if (present.length === 0) return ' '.repeat(values.length);
+
+  const min = options.min !== undefined ? options.min : Math.min(...present);
+  const max = options.max !== undefined ? options.max : Math.max(...present);
+  const range = max - min || 1;
+
+  return values.map(v => {
+    if (typeof v !== 'number') return ' ';
+    const index = Math.round(((Math.min(Math.max(v, min), max) - min) / range) * (TICKS.length - 1));
+    return TICKS[index];
+  }).join('');
+}
+
+function bar(fraction, width, options = {}) {
+  const clamped = Math.min(Math.max(fraction || 0, 0), 1);
+  const filled = Math.round(clamped * width);
+  return (options.fill || '█').repeat(filled) + (options.empty || '░').repeat(width - filled);
+}
+
+module.exports = {
+  sparkline,
+  bar
+};
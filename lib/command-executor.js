@@ -0,0 +1,421 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MAX_CAPTURE = 1024 * 1024;
+const MAX_LOGGED = 4096;
+
+const REASONS = {
+  root: 'runs as root (sudo)',
+  kill: 'kills processes',
+  delete: 'deletes files',
+  destroy: 'destroys file contents',
+  disk: 'writes to disks',
+  power: 'stops the machine'
+};
+
+const DESTRUCTIVE_COMMANDS = {
+  sudo: 'root', doas: 'root',
+  kill: 'kill', killall: 'kill', pkill: 'kill',
+  rm: 'delete', rmdir: 'delete', unlink: 'delete',
+  shred: 'destroy', truncate: 'destroy',
+  dd: 'disk', fdisk: 'disk', parted: 'disk', wipefs: 'disk',
+  shutdown: 'power', reboot: 'power', halt: 'power', poweroff: 'power'
+};
+
+// Checked against the whole command line, whatever runs it
+const DESTRUCTIVE_TEXT = [
+  { pattern: /drop_caches/, reason: 'drops kernel caches' },
+  { pattern: />\s*\/(?:proc|sys|etc)\/|>\s*\/dev\/(?!null\b)/, reason: 'writes to system files' },
+  { pattern: /\s--force\b/, reason: 'forces a change' }
+];
+
+// Commands that run the rest of the line as another command, with the
+// options that take a separate value
+const WRAPPERS = {
+  env: ['-u', '--unset', '-C', '--chdir', '-S', '--split-string'],
+  nice: ['-n', '--adjustment'],
+  nohup: [],
+  command: [],
+  exec: ['-a'],
+  timeout: ['-s', '--signal', '-k', '--kill-after'],
+  time: ['-f', '--format', '-o', '--output'],
+  ionice: ['-c', '--class', '-n', '--classdata', '-p', '--pid'],
+  stdbuf: ['-i', '-o', '-e'],
+  sudo: ['-u', '--user', '-g', '--group', '-C', '-D', '-h', '-p', '-r', '-t', '-U'],
+  doas: ['-u', '-C'],
+  xargs: ['-a', '-d', '-E', '-e', '-I', '-i', '-L', '-l', '-n', '-P', '-s', '--delimiter', '--max-args', '--max-procs']
+};
+const SHELLS = ['sh', 'bash', 'dash', 'zsh', 'ksh'];
+
+// Commands the language model may suggest without an extra confirmation:
+// they only read system state. Interpreters like awk can run anything, so
+// they are not on it
+const MODEL_ALLOWLIST = [
+  'ps', 'top', 'free', 'df', 'du', 'ls', 'cat', 'head', 'tail', 'grep', 'egrep', 'sort', 'uniq', 'wc',
+  'cut', 'tr', 'echo', 'printf', 'uptime', 'vmstat', 'iostat', 'mpstat', 'lsof', 'pgrep', 'nproc', 'uname',
+  'which', 'date', 'id', 'whoami', 'journalctl', 'dmesg', 'ss', 'netstat', 'lscpu', 'lsblk', 'findmnt', 'stat'
+];
+
+const FOLLOWS = 'runs until it is stopped';
+
+// Letters of short option clusters: -bn1 gives b, n and 1
+function shortFlags(args) {
+  return new Set(args.filter(arg => /^-[^-]/.test(arg)).flatMap(arg => [...arg.slice(1)]));
+}
+
+function hasOption(args, short, long) {
+  const flags = shortFlags(args);
+  return short.some(letter => flags.has(letter)) || args.some(arg => long.some(name => arg === name || arg.startsWith(`${name}=`)));
+}
+
+// vmstat 2 repeats forever; vmstat 2 5 stops
+function repeatsForever(args) {
+  return args.filter(arg => /^\d+$/.test(arg)).length === 1;
+}
+
+// Allowlisted commands that still change something, or never return, with
+// some of their options
+const MODEL_LIMITS = {
+  // date MMDDhhmm[[CC]YY] sets the clock too, unless it is the value of -d
+  date: args => {
+    const setsTime = args.some((arg, i) => /^\d{8}/.test(arg) && !/^(-[dfr]|--date|--file|--reference)$/.test(args[i - 1] || ''));
+    return setsTime || hasOption(args, ['s'], ['--set']) ? 'sets the clock' : null;
+  },
+  dmesg: args => {
+    if (hasOption(args, ['C', 'c', 'D', 'E', 'n'], ['--clear', '--read-clear', '--console-off', '--console-on', '--console-level'])) {
+      return 'changes the kernel log';
+    }
+    return hasOption(args, ['w', 'W'], ['--follow', '--follow-new']) ? FOLLOWS : null;
+  },
+  journalctl: args => {
+    if (args.some(arg => /^--(vacuum-|rotate|flush|sync|relinquish-var|setup-keys)/.test(arg))) return 'changes the journal';
+    return hasOption(args, ['f'], ['--follow']) ? FOLLOWS : null;
+  },
+  tail: args => (hasOption(args, ['f', 'F'], ['--follow', '--retry']) ? FOLLOWS : null),
+  top: args => (hasOption(args, ['b'], []) && hasOption(args, ['n'], []) ? null : FOLLOWS),
+  vmstat: args => (repeatsForever(args) ? FOLLOWS : null),
+  iostat: args => (repeatsForever(args) ? FOLLOWS : null),
+  mpstat: args => (repeatsForever(args) ? FOLLOWS : null),
+  netstat: args => (hasOption(args, ['c'], ['--continuous']) ? FOLLOWS : null),
+  lsof: args => (args.some(arg => /^[-+]r/.test(arg)) ? FOLLOWS : null),
+  sort: args => (hasOption(args, ['o'], ['--output']) ? 'writes to a file' : null),
+  uniq: args => (args.filter(arg => !arg.startsWith('-')).length > 1 ? 'writes to a file' : null)
+};
+
+// Splits a shell command line into simple commands (lists of words),
+// honouring quotes and escapes. Command substitutions and subshells are
+// cut out as commands of their own. An approximation of sh, on the safe
+// side: anything that could start a new command does
+function splitCommands(line) {
+  const commands = [];
+  let words = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+  // Open substitutions and subshells, each with the quoting around it
+  const nesting = [];
+
+  const endWord = () => {
+    if (inWord) words.push(word);
+    word = '';
+    inWord = false;
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length) commands.push(words);
+    words = [];
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else word += ch;
+      continue;
+    }
+    if (ch === '\\' && i + 1 < line.length) {
+      if (line[i + 1] !== '\n') word += line[i + 1];
+      inWord = true;
+      i++;
+      continue;
+    }
+    // Substitutions run even inside double quotes
+    const closing = nesting.length && nesting[nesting.length - 1].closer === ch && (ch === '`' || !quote);
+    if (closing) {
+      endCommand();
+      quote = nesting.pop().quote;
+      continue;
+    }
+    if (ch === '`' || (ch === '$' && line[i + 1] === '(')) {
+      endCommand();
+      nesting.push({ quote, closer: ch === '$' ? ')' : '`' });
+      quote = null;
+      if (ch === '$') i++;
+      continue;
+    }
+    if (quote === '"') {
+      if (ch === '"') quote = null;
+      else word += ch;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      inWord = true;
+    } else if (ch === '(') {
+      endCommand();
+      nesting.push({ quote: null, closer: ')' });
+    } else if ('\n;&|)'.includes(ch)) {
+      endCommand();
+    } else if (/\s/.test(ch)) {
+      endWord();
+    } else if (ch === '<' || ch === '>') {
+      // Redirections are not arguments; keep them as their own word
+      if (!/^\d+$/.test(word)) endWord();
+      word = '';
+      let op = ch;
+      while (line[i + 1] === '>' || line[i + 1] === '&') op += line[++i];
+      words.push(op);
+      inWord = false;
+    } else {
+      word += ch;
+      inWord = true;
+    }
+  }
+  endCommand();
+  return commands;
+}
+
+// Separates redirection targets from the words of a simple command
+function stripRedirects(words) {
+  const args = [];
+  const redirects = [];
+  for (let i = 0; i < words.length; i++) {
+    if (/^[<>]/.test(words[i])) {
+      const target = /&$/.test(words[i]) ? `&${words[i + 1] || ''}` : words[i + 1];
+      if (words[i].startsWith('>')) redirects.push(target || '');
+      i++;
+    } else {
+      args.push(words[i]);
+    }
+  }
+  return { args, redirects };
+}
+
+// Reasons a single simple command is destructive, looking through wrappers
+// like env, nice or sudo to the command they start
+function inspect(words, found, depth = 0) {
+  let i = 0;
+  // Leading variable assignments: FOO=bar cmd
+  while (i < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i])) i++;
+  if (i >= words.length || depth > 8) return;
+
+  const name = path.basename(words[i]);
+  found.commands.push(name);
+  const args = words.slice(i + 1);
+
+  const kind = DESTRUCTIVE_COMMANDS[name] || (/^mkfs(?:\.\w+)?$/.test(name) ? 'disk' : null);
+  if (kind) found.reasons.add(REASONS[kind]);
+  const limit = MODEL_LIMITS[name] && MODEL_LIMITS[name](args);
+  if (limit) found.limits.add(`${name} ${limit}`);
+
+  // command -v only looks the name up
+  if (name === 'command' && args.some(arg => arg === '-v' || arg === '-V')) return;
+
+  if (WRAPPERS[name]) {
+    let j = 0;
+    while (j < args.length && (args[j].startsWith('-') || (name === 'env' && args[j].includes('=')))) {
+      if (args[j] === '--') {
+        j++;
+        break;
+      }
+      if (WRAPPERS[name].includes(args[j])) j++;
+      j++;
+    }
+    // timeout DURATION COMMAND
+    if (name === 'timeout' && j < args.length) j++;
+    inspect(args.slice(j), found, depth + 1);
+    return;
+  }
+
+  if (SHELLS.includes(name) || name === 'eval') {
+    const script = name === 'eval' ? args.join(' ') : args[args.indexOf('-c') + 1];
+    if (name === 'eval' || args.includes('-c')) {
+      splitCommands(script || '').forEach(command => inspect(stripRedirects(command).args, found, depth + 1));
+    }
+    return;
+  }
+
+  if (name === 'find') {
+    if (args.includes('-delete')) found.reasons.add(REASONS.delete);
+    args.forEach((arg, j) => {
+      if (['-exec', '-execdir', '-ok', '-okdir'].includes(arg)) {
+        const rest = args.slice(j + 1);
+        const end = rest.findIndex(word => word === ';' || word === '+');
+        inspect(end === -1 ? rest : rest.slice(0, end), found, depth + 1);
+      }
+    });
+  }
+
+  if (name === 'mv' && args.length >= 2 && args[args.length - 1] === '/dev/null') {
+    found.reasons.add(REASONS.delete);
+  }
+
+  if (name === 'systemctl' && args.some(arg => ['reboot', 'poweroff', 'halt', 'kexec'].includes(arg))) {
+    found.reasons.add(REASONS.power);
+  }
+}
+
+function truncate(text, limit = MAX_LOGGED) {
+  return text.length > limit ? `${text.slice(0, limit)}… (${text.length - limit} more bytes)` : text;
+}
+
+// Runs suggested commands through a real shell, so pipes, quotes and
+// redirects behave as shown. Destructive commands need their own yes, and
+// every attempt (including dry runs and refusals) lands in the audit log
+class CommandExecutor {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.auditFile = path.join(this.dataDir, 'audit.log');
+    this.dryRun = Boolean(options.dryRun);
+    this.timeout = options.timeout || 60000;
+    this.confirm = options.confirm || (command => this.promptConfirm(command));
+  }
+
+  // With `allowlist`, also flags every command outside MODEL_ALLOWLIST, any
+  // write to a file and allowlisted commands used with options in
+  // MODEL_LIMITS; used for commands the language model wrote
+  static classify(command, options = {}) {
+    const found = { reasons: new Set(), commands: [], writes: [], limits: new Set() };
+    DESTRUCTIVE_TEXT.filter(({ pattern }) => pattern.test(command)).forEach(({ reason }) => found.reasons.add(reason));
+
+    splitCommands(command).forEach(words => {
+      const { args, redirects } = stripRedirects(words);
+      found.writes.push(...redirects.filter(target => target !== '/dev/null' && !target.startsWith('&')));
+      inspect(args, found);
+    });
+
+    if (options.allowlist) {
+      const unknown = [...new Set(found.commands)].filter(name => !MODEL_ALLOWLIST.includes(name));
+      if (unknown.length) {
+        found.reasons.add(`runs ${unknown.join(', ')}, which is not on the read-only allowlist`);
+      }
+      if (found.writes.length) found.reasons.add(`writes to ${found.writes.join(', ')}`);
+      found.limits.forEach(limit => found.reasons.add(limit));
+    }
+
+    const reasons = [...found.reasons];
+    return { destructive: reasons.length > 0, reasons, commands: found.commands };
+  }
+
+  async promptConfirm(command) {
+    // Without a terminal nobody can say yes
+    if (!process.stdin.isTTY) return false;
+
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Run ${chalk.bold(command)}?`,
+        default: false
+      }
+    ]);
+    return confirmed;
+  }
+
+  async run(command, options = {}) {
+    const { destructive, reasons } = CommandExecutor.classify(command, { allowlist: options.origin === 'model' });
+    const entry = { command, source: options.source || null, destructive, reasons };
+
+    console.log(chalk.gray('  $ ') + chalk.white(command));
+
+    if (this.dryRun) {
+      console.log(chalk.gray('    (dry run - not executed)'));
+      await this.audit({ ...entry, status: 'dry-run' });
+      return { status: 'dry-run', command };
+    }
+
+    if (destructive) {
+      console.log(chalk.yellow(`  ⚠️  This command ${reasons.join(', ')}.`));
+      if (!await this.confirm(command)) {
+        console.log(chalk.yellow('    Skipped.'));
+        await this.audit({ ...entry, status: 'refused' });
+        return { status: 'refused', command };
+      }
+    }
+
+    const started = Date.now();
+    const result = await this.execute(command);
+    const status = result.code === 0 ? 'ok' : 'failed';
+
+    this.display(result);
+    await this.audit({
+      ...entry,
+      status,
+      exitCode: result.code,
+      signal: result.signal,
+      durationMs: Date.now() - started,
+      stdout: truncate(result.stdout),
+      stderr: truncate(result.stderr)
+    });
+
+    if (status === 'failed') {
+      const detail = result.stderr.trim().split('\n')[0] || (result.signal ? `killed by ${result.signal}` : `exit code ${result.code}`);
+      const error = new Error(`Command failed: ${detail}`);
+      error.result = result;
+      throw error;
+    }
+    return { status, command, ...result };
+  }
+
+  execute(command) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('/bin/sh', ['-c', command], { stdio: ['ignore', 'pipe', 'pipe'], timeout: this.timeout });
+      const output = { stdout: '', stderr: '' };
+
+      ['stdout', 'stderr'].forEach(stream => {
+        child[stream].on('data', (chunk) => {
+          if (output[stream].length < MAX_CAPTURE) {
+            output[stream] += chunk.toString();
+          }
+        });
+      });
+
+      child.on('close', (code, signal) => resolve({ code, signal, ...output }));
+      child.on('error', reject);
+    });
+  }
+
+  display(result) {
+    const indent = text => text.replace(/\n$/, '').split('\n').map(line => `    ${line}`).join('\n');
+    if (result.stdout.trim()) {
+      console.log(indent(truncate(result.stdout, 8192)));
+    }
+    if (result.stderr.trim()) {
+      console.log(chalk.yellow(indent(truncate(result.stderr, 8192))));
+    }
+  }
+
+  async audit(entry) {
+    try {
+      await fs.ensureDir(this.dataDir);
+      const record = {
+        timestamp: new Date().toISOString(),
+        user: os.userInfo().username,
+        cwd: process.cwd(),
+        ...entry
+      };
+      await fs.appendFile(this.auditFile, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.warn('Could not write audit log:', error.message);
+    }
+  }
+}
+
+CommandExecutor.MODEL_ALLOWLIST = MODEL_ALLOWLIST;
+CommandExecutor.splitCommands = splitCommands;
+
+module.exports = CommandExecutor;
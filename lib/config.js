@@ -0,0 +1,29 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+function configPath() {
+  return process.env.ATMOSPHERE_CONFIG ||
+    path.join(process.env.HOME, '.terminal-atmosphere', 'config.json');
+}
+
+// Missing config is normal; a broken one is reported but never fatal
+async function loadConfig(file = configPath()) {
+  try {
+    if (await fs.pathExists(file)) {
+      return await fs.readJson(file);
+    }
+  } catch (error) {
+    console.warn(`Could not load config ${file}:`, error.message);
+  }
+  return {};
+}
+
+function expandHome(file) {
+  return file.startsWith('~/') ? path.join(process.env.HOME, file.slice(2)) : file;
+}
+
+module.exports = {
+  configPath,
+  expandHome,
+  loadConfig
+};
@@ -0,0 +1,318 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const EnvironmentMonitor = require('./monitor');
+const { formatDuration } = require('./time');
+const { isAlive, writeJsonAtomic } = require('./locks');
+
+const BIN = path.join(__dirname, '..', 'bin', 'atmosphere.js');
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+const START_TIMEOUT = 10000;
+const STOP_TIMEOUT = 15000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Field 22 of /proc/<pid>/stat, in clock ticks since boot; null off Linux.
+// The name in field 2 may itself contain spaces and parentheses
+async function processStartTime(pid) {
+  try {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || null;
+  } catch {
+    return null;
+  }
+}
+
+function timestamped(message) {
+  return `[${new Date().toISOString()}] ${message}`;
+}
+
+// Runs the collection loop detached from any terminal. The pidfile doubles
+// as the single-instance lock; the last two raw frames are written out for
+// one-shot commands to read through DaemonMetricsSource
+class Daemon {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.pidFile = path.join(this.dataDir, 'daemon.pid');
+    this.logFile = path.join(this.dataDir, 'daemon.log');
+    this.framesFile = path.join(this.dataDir, 'daemon-frames.json');
+  }
+
+  async readPidFile() {
+    try {
+      return await fs.readJson(this.pidFile);
+    } catch {
+      return null;
+    }
+  }
+
+  // A pid from a crashed daemon may since belong to something else. The
+  // kernel's start time for the pid is recorded in the pidfile; a reused pid
+  // has a different one. Pidfiles without it are checked by their argv
+  async isDaemon(info) {
+    if (!info || !isAlive(info.pid)) return false;
+    const startTime = await processStartTime(info.pid);
+    if (info.startTime && startTime) return info.startTime === startTime;
+
+    const cmdline = `/proc/${info.pid}/cmdline`;
+    if (await fs.pathExists(cmdline)) {
+      // node [flags] <bin> [--fixture f] daemon run; installed copies run
+      // through a symlink such as /usr/local/bin/atmosphere
+      const argv = (await fs.readFile(cmdline, 'utf8')).split('\0');
+      const bin = await fs.realpath(BIN);
+      for (let i = 1; i < argv.length; i++) {
+        if (await fs.realpath(path.resolve(`/proc/${info.pid}/cwd`, argv[i])).catch(() => null) === bin) {
+          const command = argv.indexOf('daemon', i + 1);
+          return command !== -1 && argv[command + 1] === 'run';
+        }
+      }
+      return false;
+    }
+    return true;
+  }
+
+  async status() {
+    const info = await this.readPidFile();
+    const running = await this.isDaemon(info);
+
+    let lastSample = null;
+    try {
+      const { frames } = await fs.readJson(this.framesFile);
+      lastSample = frames[frames.length - 1]?.timestamp || null;
+    } catch {
+      // no frames yet
+    }
+
+    return { running, stale: Boolean(info) && !running, ...info, lastSample, logFile: this.logFile };
+  }
+
+  async acquireLock(info) {
+    await fs.ensureDir(this.dataDir);
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // "wx" fails if the file exists, so two daemons cannot both win
+        await fs.writeFile(this.pidFile, JSON.stringify(info, null, 2), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const existing = await this.readPidFile();
+        if (existing && existing.pid !== info.pid && await this.isDaemon(existing)) {
+          throw new Error(`Daemon already running (pid ${existing.pid})`);
+        }
+        await fs.remove(this.pidFile);
+      }
+    }
+    throw new Error(`Could not lock ${this.pidFile}`);
+  }
+
+  async releaseLock() {
+    const info = await this.readPidFile();
+    if (info && info.pid === process.pid) {
+      await fs.remove(this.pidFile);
+    }
+  }
+
+  async rotateLog() {
+    try {
+      const stat = await fs.stat(this.logFile);
+      if (stat.size > MAX_LOG_SIZE) {
+        await fs.move(this.logFile, `${this.logFile}.1`, { overwrite: true });
+        return true;
+      }
+    } catch {
+      // no log yet
+    }
+    return false;
+  }
+
+  // A detached daemon inherits the log as stdout/stderr, which would keep
+  // writing into the rotated file. Node cannot reopen those descriptors, so
+  // output is sent to a log descriptor the daemon opens, and reopens, itself
+  openLog() {
+    const fd = fs.openSync(this.logFile, 'a');
+    if (this.logFd !== undefined) fs.closeSync(this.logFd);
+    this.logFd = fd;
+
+    const write = (chunk, encoding, callback) => {
+      fs.writeSync(this.logFd, chunk);
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (done) done();
+      return true;
+    };
+    process.stdout.write = write;
+    process.stderr.write = write;
+  }
+
+  async keepLogSmall() {
+    if (await this.rotateLog()) this.openLog();
+  }
+
+  async start(options = {}) {
+    const current = await this.status();
+    if (current.running) {
+      throw new Error(`Daemon already running (pid ${current.pid})`);
+    }
+
+    await fs.ensureDir(this.dataDir);
+    await this.rotateLog();
+
+    const args = [BIN];
+    if (options.fixture) args.push('--fixture', options.fixture);
+    args.push('daemon', 'run', '--interval', String(options.interval || 5));
+    if (options.profile) args.push('--profile', options.profile);
+
+    const log = await fs.open(this.logFile, 'a');
+    const child = spawn(process.execPath, args, {
+      detached: true,
+      stdio: ['ignore', log, log],
+      env: { ...process.env, ATMOSPHERE_DAEMON: '1', FORCE_COLOR: '0' }
+    });
+    let exited = false;
+    child.on('exit', () => {
+      exited = true;
+    });
+    child.unref();
+    await fs.close(log);
+
+    // Wait for the child to take the lock, so start reports what really happened
+    for (let waited = 0; waited < START_TIMEOUT && !exited; waited += 200) {
+      const status = await this.status();
+      if (status.running && status.pid === child.pid) return status;
+      await sleep(200);
+    }
+    throw new Error(`Daemon did not start - see ${this.logFile}`);
+  }
+
+  async stop() {
+    const status = await this.status();
+    if (!status.running) {
+      if (status.stale) await fs.remove(this.pidFile);
+      return null;
+    }
+
+    process.kill(status.pid, 'SIGTERM');
+    for (let waited = 0; waited < STOP_TIMEOUT; waited += 200) {
+      if (!isAlive(status.pid)) return status;
+      await sleep(200);
+    }
+    throw new Error(`Daemon (pid ${status.pid}) did not stop within ${formatDuration(STOP_TIMEOUT)} - check ${this.logFile}`);
+  }
+
+  // The detached process itself (`atmosphere daemon run`); also usable in
+  // the foreground under a service manager
+  async run(options = {}) {
+    const log = message => console.log(timestamped(message));
+    const interval = Number(options.interval) || 5;
+
+    await this.acquireLock({
+      pid: process.pid,
+      startTime: await processStartTime(process.pid),
+      startedAt: new Date().toISOString(),
+      interval
+    });
+    // Under a service manager output goes wherever it points; only the log
+    // `daemon start` set up is this process's to rotate
+    const ownsLog = process.env.ATMOSPHERE_DAEMON === '1';
+    if (ownsLog) this.openLog();
+
+    const monitor = new EnvironmentMonitor({ ...options, interval });
+    // Console output from the monitor would be untimed; events are logged instead
+    monitor.quiet = true;
+    monitor.on('error', error => log(`Collection failed: ${error.message}`));
+    monitor.on('warning', message => log(message));
+    monitor.on('alert', ({ event, alert }) => log(`Alert ${event}: ${alert.message}${alert.incidentId ? ` (incident #${alert.incidentId})` : ''}`));
+    monitor.on('profile', change => log(`Switched to profile "${change.to}": ${change.reason}`));
+
+    let previous = null;
+    monitor.on('sample', () => {
+      const frames = [previous, monitor.latestFrame].filter(Boolean);
+      previous = monitor.latestFrame;
+      this.writeFrames(frames, interval).catch(error => log(`Could not write frames: ${error.message}`));
+      if (ownsLog) this.keepLogSmall().catch(error => log(`Could not rotate log: ${error.message}`));
+    });
+
+    let stopping = false;
+    const shutdown = async (signal) => {
+      if (stopping) return;
+      stopping = true;
+      log(`Received ${signal}, shutting down`);
+
+      monitor.stopCollecting();
+      // Let a sample that is being written finish, so history stays whole
+      while (monitor.ticking) await sleep(100);
+      await monitor.processTracker.save(Date.now(), true);
+      await monitor.flushAlerts();
+      await fs.remove(this.framesFile);
+      await this.releaseLock();
+      log('Stopped');
+      process.exit(0);
+    };
+    ['SIGTERM', 'SIGINT', 'SIGHUP'].forEach(signal => process.on(signal, () => shutdown(signal)));
+
+    try {
+      await monitor.prepare();
+      log(`Started (pid ${process.pid}, every ${interval}s, ${monitor.source.name} metrics)`);
+      await monitor.startCollecting();
+    } catch (error) {
+      log(`Could not start: ${error.message}`);
+      await this.releaseLock();
+      process.exit(1);
+    }
+  }
+
+  async writeFrames(frames, interval) {
+    await writeJsonAtomic(this.framesFile, { interval, frames });
+  }
+
+  async displayStatus() {
+    const status = await this.status();
+
+    if (!status.running) {
+      console.log(chalk.yellow(`\n💤 Daemon is not running${status.stale ? ' (removed a stale pidfile)' : ''}`));
+      if (status.stale) await fs.remove(this.pidFile);
+      console.log(chalk.gray('  Start it with: atmosphere daemon start'));
+      return;
+    }
+
+    const uptime = Date.now() - Date.parse(status.startedAt);
+    console.log(chalk.bold.cyan('\n🛰️  Daemon running'));
+    console.log(`  PID: ${status.pid}`);
+    console.log(`  Up: ${formatDuration(uptime)} (since ${new Date(status.startedAt).toLocaleString()})`);
+    console.log(`  Interval: ${status.interval}s`);
+    if (status.lastSample) {
+      const age = Date.now() - Date.parse(status.lastSample);
+      const late = age > 3 * status.interval * 1000;
+      console.log(`  Last sample: ${late ? chalk.yellow(`${formatDuration(age)} ago`) : `${formatDuration(age)} ago`}`);
+    } else {
+      console.log(chalk.gray('  No samples yet'));
+    }
+    console.log(`  Log: ${status.logFile}`);
+  }
+
+  async displayLogs(options = {}) {
+    if (!await fs.pathExists(this.logFile)) {
+      console.log(chalk.yellow('No daemon log yet.'));
+      return;
+    }
+
+    const lines = Number(options.lines) || 50;
+    const content = await fs.readFile(this.logFile, 'utf8');
+    const tail = content.split('\n').filter(Boolean).slice(-lines);
+    console.log(tail.join('\n'));
+
+    if (!options.follow) return;
+
+    // Polling works the same everywhere, including network home directories
+    let size = (await fs.stat(this.logFile)).size;
+    fs.watchFile(this.logFile, { interval: 1000 }, async (stat) => {
+      if (stat.size < size) size = 0;
+      if (stat.size === size) return;
+      const stream = fs.createReadStream(this.logFile, { start: size, end: stat.size - 1 });
+      size = stat.size;
+      stream.pipe(process.stdout, { end: false });
+    });
+  }
+}
+
+module.exports = Daemon;
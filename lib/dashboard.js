@@ -0,0 +1,257 @@
+const chalk = require('chalk');
+const readline = require('readline');
+const { sparkline, bar } = require('./charts');
+const { formatRate } = require('./network-rates');
+
+const PANELS = ['cores', 'processes', 'disk'];
+
+const ESC = '\x1b[';
+const ALT_SCREEN_ON = '\x1b[?1049h';
+const ALT_SCREEN_OFF = '\x1b[?1049l';
+const CURSOR_HIDE = '\x1b[?25l';
+const CURSOR_SHOW = '\x1b[?25h';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function visibleLength(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '').length;
+}
+
+function pad(text, width) {
+  return text + ' '.repeat(Math.max(0, width - visibleLength(text)));
+}
+
+// Full-screen view for `monitor --dashboard`: redraws in place on the
+// alternate screen instead of clearing and re-printing
+class Dashboard {
+  constructor(monitor, options = {}) {
+    this.monitor = monitor;
+    this.output = options.output || process.stdout;
+    this.input = options.input || process.stdin;
+    this.panel = PANELS[0];
+    this.paused = false;
+    this.latest = null;
+    this.lastError = null;
+    this.quitting = false;
+    this.series = { cpu: [], memory: [], network: [] };
+    this.maxPoints = 200;
+    this.onSample = (data) => this.handleSample(data);
+    this.onError = (error) => this.handleError(error);
+    this.onResize = () => this.render();
+    this.onKeypress = (str, key) => this.handleKey(str, key);
+  }
+
+  start() {
+    this.output.write(ALT_SCREEN_ON + CURSOR_HIDE);
+
+    readline.emitKeypressEvents(this.input);
+    if (this.input.isTTY) {
+      this.input.setRawMode(true);
+    }
+    this.input.resume();
+    this.input.on('keypress', this.onKeypress);
+    this.output.on('resize', this.onResize);
+    this.monitor.on('sample', this.onSample);
+    this.monitor.on('error', this.onError);
+
+    this.render();
+  }
+
+  stop() {
+    this.monitor.off('sample', this.onSample);
+    this.monitor.off('error', this.onError);
+    this.output.off('resize', this.onResize);
+    this.input.off('keypress', this.onKeypress);
+    if (this.input.isTTY) {
+      this.input.setRawMode(false);
+    }
+    this.input.pause();
+    this.output.write(CURSOR_SHOW + ALT_SCREEN_OFF);
+  }
+
+  // Same order as the daemon's shutdown, so the last sample and the
+  // process history are written out in full
+  async quit() {
+    if (this.quitting) return;
+    this.quitting = true;
+    // The sample still being collected can fail after the screen is gone;
+    // without a listener that error would crash the exit
+    this.monitor.on('error', error => console.warn('Last sample failed:', error.message));
+    this.stop();
+    this.monitor.stopCollecting();
+    while (this.monitor.ticking) await sleep(100);
+    await this.monitor.processTracker.save(Date.now(), true);
+    await this.monitor.flushAlerts();
+    console.log(chalk.yellow('👋 Monitor stopped gracefully'));
+    process.exit(0);
+  }
+
+  handleKey(str, key = {}) {
+    if (this.quitting) return;
+    if ((key.ctrl && key.name === 'c') || key.name === 'q' || key.name === 'escape') {
+      this.quit();
+      return;
+    }
+
+    if (key.name === 'tab') {
+      const step = key.shift ? PANELS.length - 1 : 1;
+      this.panel = PANELS[(PANELS.indexOf(this.panel) + step) % PANELS.length];
+    } else if (['1', '2', '3'].includes(str)) {
+      this.panel = PANELS[Number(str) - 1];
+    } else if (key.name === 'p' || key.name === 'space') {
+      this.paused = !this.paused;
+    }
+    this.render();
+  }
+
+  handleSample(data) {
+    this.latest = data;
+
+    this.push('cpu', data.cpu.usage);
+    this.push('memory', data.memory.percentage);
+    // The very first sample has nothing to compute a rate from
+    if (data.network.rate !== null) {
+      this.push('network', data.network.rate);
+    }
+
+    if (!this.paused) {
+      this.render();
+    }
+  }
+
+  handleError(error) {
+    this.lastError = { message: error.message, time: Date.now() };
+    if (!this.paused) {
+      this.render();
+    }
+  }
+
+  push(name, value) {
+    this.series[name].push(value);
+    if (this.series[name].length > this.maxPoints) {
+      this.series[name].shift();
+    }
+  }
+
+  render() {
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+    const lines = [...this.renderHeader(width), ...this.renderTrends(width), ''];
+
+    const panelLines = this.latest ? this.renderPanel(width) : [chalk.gray('  Waiting for the first sample...')];
+    lines.push(...panelLines.slice(0, Math.max(0, height - lines.length - 2)));
+
+    while (lines.length < height - 1) lines.push('');
+    lines.push(this.renderFooter(width));
+
+    // Overwrite line by line and clear leftovers, so nothing flickers
+    const frame = lines
+      .slice(0, height)
+      .map(line => `${line}${ESC}K`)
+      .join('\n');
+    this.output.write(`${ESC}H${frame}${ESC}J`);
+  }
+
+  renderHeader(width) {
+    const title = chalk.bold.cyan(' 🌍 Terminal Atmosphere');
+    if (!this.latest) {
+      return [title, chalk.gray('─'.repeat(width))];
+    }
+
+    const weather = this.monitor.determineWeather(this.latest);
+    const updated = new Date(this.latest.timestamp).toLocaleTimeString();
+    const status = this.paused ? chalk.black.bgYellow(' PAUSED ') : chalk.gray(`updated ${updated}`);
+
+    return [
+      `${title}   ${weather.icon} ${chalk.bold(weather.condition)} ${chalk.gray(`(${Math.round(weather.score)}/100)`)}   ${status}`,
+      chalk.gray('─'.repeat(width))
+    ];
+  }
+
+  renderTrends(width) {
+    const labelWidth = 10;
+    const valueWidth = 12;
+    const chartWidth = Math.max(10, width - labelWidth - valueWidth - 4);
+    const row = (label, values, current, options, color) => {
+      const recent = values.slice(-chartWidth);
+      const line = pad(sparkline(recent, options), chartWidth);
+      return ` ${pad(chalk.bold(label), labelWidth)}${chalk[color](line)}  ${current}`;
+    };
+
+    const latest = this.latest;
+    const network = this.series.network;
+    return [
+      row('CPU', this.series.cpu, latest ? `${latest.cpu.usage.toFixed(1)}%` : '—', { min: 0, max: 100 }, 'blue'),
+      row('Memory', this.series.memory, latest ? `${latest.memory.percentage.toFixed(1)}%` : '—', { min: 0, max: 100 }, 'green'),
+      row('Network', network, network.length ? formatRate(network[network.length - 1]) : '—', { min: 0 }, 'yellow')
+    ];
+  }
+
+  renderPanel(width) {
+    const tabs = PANELS.map((panel, i) => {
+      const label = ` ${i + 1} ${panel} `;
+      return panel === this.panel ? chalk.black.bgCyan(label) : chalk.gray(label);
+    }).join(' ');
+
+    const body = {
+      cores: () => this.renderCores(width),
+      processes: () => this.renderProcesses(width),
+      disk: () => this.renderDisk(width)
+    }[this.panel]();
+
+    return [` ${tabs}`, '', ...body];
+  }
+
+  renderCores(width) {
+    const cores = this.latest.cpu.cores;
+    // Two columns of bars once there are more cores than fit comfortably
+    const columns = cores.length > 8 && width >= 80 ? 2 : 1;
+    const columnWidth = Math.floor(width / columns);
+    const barWidth = Math.max(10, columnWidth - 20);
+    const cells = cores.map((load, i) => {
+      const color = load > 80 ? 'red' : load > 50 ? 'yellow' : 'green';
+      return pad(` ${`core ${i}`.padEnd(8)}${chalk[color](bar(load / 100, barWidth))} ${load.toFixed(0).padStart(3)}%`, columnWidth);
+    });
+
+    const lines = [];
+    for (let i = 0; i < cells.length; i += columns) {
+      lines.push(cells.slice(i, i + columns).join(''));
+    }
+    return lines;
+  }
+
+  renderProcesses(width) {
+    const nameWidth = Math.max(12, width - 40);
+    const header = chalk.bold(` ${'PID'.padEnd(8)}${'NAME'.padEnd(nameWidth)}${'CPU%'.padStart(8)}${'MEM%'.padStart(8)}${'RSS'.padStart(10)}`);
+    const rows = (this.latest.processes.top || []).map(p => {
+      const rss = p.memRss ? `${(p.memRss / 1024).toFixed(0)} MB` : '—';
+      return ` ${String(p.pid).padEnd(8)}${p.name.slice(0, nameWidth - 1).padEnd(nameWidth)}` +
+        `${p.cpu.toFixed(1).padStart(8)}${p.mem.toFixed(1).padStart(8)}${rss.padStart(10)}`;
+    });
+    const summary = chalk.gray(` ${this.latest.processes.running} running, ${this.latest.processes.blocked} blocked, ${this.latest.processes.total} total`);
+    return [header, ...rows, '', summary];
+  }
+
+  renderDisk(width) {
+    const barWidth = Math.max(10, width - 50);
+    return this.latest.disk.usage.map(disk => {
+      const color = disk.use > 90 ? 'red' : disk.use > 75 ? 'yellow' : 'green';
+      const free = `${(disk.available / 1024 / 1024 / 1024).toFixed(1)} GB free`;
+      return ` ${(disk.mount || disk.fs).slice(0, 20).padEnd(21)}${chalk[color](bar(disk.use / 100, barWidth))} ${disk.use.toFixed(1).padStart(5)}%  ${chalk.gray(free)}`;
+    });
+  }
+
+  renderFooter(width) {
+    const keys = ' 1-3/tab switch panel   p pause   q quit'.slice(0, width);
+    if (!this.lastError) {
+      return chalk.gray(keys);
+    }
+
+    // Collection keeps going after a failure; the newest one stays in view
+    const error = `⚠ ${new Date(this.lastError.time).toLocaleTimeString()} ${this.lastError.message.split('\n')[0]}`;
+    const room = width - keys.length - 3;
+    return room > 10 ? `${chalk.gray(keys)}   ${chalk.red(error.slice(0, room))}` : chalk.red(` ${error}`.slice(0, width));
+  }
+}
+
+module.exports = Dashboard;
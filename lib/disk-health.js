@@ -0,0 +1,157 @@
+const si = require('systeminformation');
+const fs = require('fs-extra');
+const { linearRegression } = require('./stats');
+
+const HOUR = 60 * 60 * 1000;
+const SECTOR = 512;
+
+// Loop, RAM and compressed-swap devices are not storage anyone waits on
+const IGNORED_DEVICES = /^(loop|ram|zram)/;
+// Device-mapper and software RAID sit on top of disks that are counted already
+const STACKED_DEVICES = /^(dm-|md)/;
+
+// Raw per-device counters. Linux exposes them in /proc/diskstats; elsewhere
+// systeminformation only has machine-wide totals, reported as device "all"
+async function readDiskStats() {
+  if (process.platform === 'linux' && await fs.pathExists('/proc/diskstats')) {
+    const content = await fs.readFile('/proc/diskstats', 'utf8');
+    // Partitions appear next to their disk; only whole disks are in /sys/block
+    const disks = new Set(await fs.readdir('/sys/block').catch(() => []));
+
+    return content
+      .split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .filter(f => f.length >= 14 && !IGNORED_DEVICES.test(f[2]) && (disks.size === 0 || disks.has(f[2])))
+      .map(f => ({
+        name: f[2],
+        reads: Number(f[3]),
+        readBytes: Number(f[5]) * SECTOR,
+        readMs: Number(f[6]),
+        writes: Number(f[7]),
+        writeBytes: Number(f[9]) * SECTOR,
+        writeMs: Number(f[10]),
+        inFlight: Number(f[11]),
+        ioMs: Number(f[12])
+      }));
+  }
+
+  const [io, fsStats] = await Promise.all([si.disksIO(), si.fsStats()]);
+  if (!io && !fsStats) return [];
+  return [{
+    name: 'all',
+    reads: io?.rIO || 0,
+    readBytes: fsStats?.rx || 0,
+    readMs: io?.rWaitTime || 0,
+    writes: io?.wIO || 0,
+    writeBytes: fsStats?.wx || 0,
+    writeMs: io?.wWaitTime || 0,
+    inFlight: 0,
+    ioMs: null
+  }];
+}
+
+async function readInodes() {
+  // fs.statfs needs Node 18.15; without it inode usage is simply unknown
+  if (typeof fs.promises.statfs !== 'function') return [];
+
+  const mounts = await si.fsSize();
+  const results = await Promise.all(mounts.map(async ({ mount }) => {
+    try {
+      const stats = await fs.promises.statfs(mount);
+      // Some filesystems (FAT, network shares) have no fixed inode table
+      if (!stats.files) return null;
+      const used = stats.files - stats.ffree;
+      return { mount, total: stats.files, used, free: stats.ffree, use: (used / stats.files) * 100 };
+    } catch {
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+// Turns the cumulative disk counters into throughput, IOPS, utilisation
+// and wait per device, from the change since the previous sample
+class DiskHealth {
+  constructor() {
+    this.previous = new Map();
+  }
+
+  update(stats = [], time = Date.now()) {
+    const devices = stats.map(stat => {
+      const previous = this.previous.get(stat.name);
+      this.previous.set(stat.name, { ...stat, time });
+
+      const seconds = previous ? (time - previous.time) / 1000 : 0;
+      // Counters only go down when a device is re-attached
+      if (seconds <= 0 || stat.reads < previous.reads || stat.writes < previous.writes) {
+        return { name: stat.name, readRate: null, writeRate: null, readIops: null, writeIops: null, iops: null, utilization: null, await: null, inFlight: stat.inFlight };
+      }
+
+      const reads = stat.reads - previous.reads;
+      const writes = stat.writes - previous.writes;
+      const ios = reads + writes;
+      return {
+        name: stat.name,
+        readRate: (stat.readBytes - previous.readBytes) / seconds,
+        writeRate: (stat.writeBytes - previous.writeBytes) / seconds,
+        readIops: reads / seconds,
+        writeIops: writes / seconds,
+        iops: ios / seconds,
+        // Share of wall time the device had requests in flight
+        utilization: stat.ioMs === null ? null : Math.min(100, ((stat.ioMs - previous.ioMs) / (seconds * 1000)) * 100),
+        // Average time a request waited, queueing included
+        await: ios ? ((stat.readMs - previous.readMs) + (stat.writeMs - previous.writeMs)) / ios : 0,
+        inFlight: stat.inFlight
+      };
+    });
+
+    const counted = devices.filter(d => !STACKED_DEVICES.test(d.name) && d.iops !== null);
+    const ready = counted.length > 0;
+    const totalIops = counted.reduce((sum, d) => sum + d.iops, 0);
+    const utilizations = counted.map(d => d.utilization).filter(u => u !== null);
+
+    return {
+      devices,
+      readRate: ready ? counted.reduce((sum, d) => sum + d.readRate, 0) : null,
+      writeRate: ready ? counted.reduce((sum, d) => sum + d.writeRate, 0) : null,
+      iops: ready ? totalIops : null,
+      // The busiest device is the bottleneck, not the average
+      utilization: utilizations.length ? Math.max(...utilizations) : null,
+      await: ready ? (totalIops ? counted.reduce((sum, d) => sum + d.await * d.iops, 0) / totalIops : 0) : null
+    };
+  }
+
+  // Per-mount growth of used space over the recorded raw samples, and when
+  // the remaining space runs out if that growth continues
+  static async projectFull(store, usage, now = Date.now()) {
+    const records = await store.samples({ from: now - 24 * HOUR, to: now });
+
+    return usage.map(disk => {
+      const points = records
+        .map(record => ({
+          time: Date.parse(record.timestamp),
+          used: (record.disk?.usage || []).find(d => (d.mount || d.fs) === (disk.mount || disk.fs))?.used
+        }))
+        .filter(p => typeof p.used === 'number');
+
+      const span = points.length ? points[points.length - 1].time - points[0].time : 0;
+      // Under an hour of data mostly measures caches and temp files coming and going
+      if (points.length < 5 || span < HOUR) {
+        return { mount: disk.mount, growthPerHour: null, timeUntilFull: null, samples: points.length };
+      }
+
+      const fit = linearRegression(points.map(p => ({ x: (p.time - points[0].time) / HOUR, y: p.used })));
+      return {
+        mount: disk.mount,
+        growthPerHour: fit.slope,
+        timeUntilFull: fit.slope > 0 ? (disk.available / fit.slope) * HOUR : null,
+        samples: points.length
+      };
+    });
+  }
+}
+
+DiskHealth.readDiskStats = readDiskStats;
+DiskHealth.readInodes = readInodes;
+
+module.exports = DiskHealth;
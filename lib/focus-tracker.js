@@ -0,0 +1,370 @@
+const chalk = require('chalk');
+const boxen = require('boxen');
+const ora = require('ora');
+const Table = require('cli-table3');
+const fs = require('fs-extra');
+const path = require('path');
+const EnvironmentMonitor = require('./monitor');
+const ProcessClassifier = require('./process-classifier');
+const { createMetricsSource } = require('./metrics-source');
+const { loadConfig } = require('./config');
+const { parseDuration, formatDuration } = require('./time');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MAX_SESSIONS = 500;
+
+const DEFAULTS = {
+  minutes: 50,
+  interval: '10s',
+  // A category counts as busy, not just open, above this much CPU
+  busyCpu: 5
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function clock(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function share(part, whole) {
+  return whole > 0 ? `${Math.round(part / whole * 100)}%` : '—';
+}
+
+// Timed focus sessions: samples which process categories are open and busy,
+// warns when a distraction starts, and keeps a summary of every session in
+// focus-sessions.json for `atmosphere focus review`
+class FocusTracker {
+  constructor(options = {}) {
+    this.options = options;
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.sessionsFile = path.join(this.dataDir, 'focus-sessions.json');
+    // Sessions need a fresh reading every interval, so never the daemon's cached frames
+    this.source = createMetricsSource({ ...options, daemon: false });
+    this.weather = new EnvironmentMonitor({ source: this.source });
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.sessionsFile)) {
+        return await fs.readJson(this.sessionsFile);
+      }
+    } catch (error) {
+      console.warn('Could not load focus sessions:', error.message);
+    }
+    return { nextId: 1, sessions: [] };
+  }
+
+  async record(session) {
+    const state = await this.load();
+    session.id = state.nextId++;
+    state.sessions.push(session);
+    state.sessions = state.sessions.slice(-MAX_SESSIONS);
+    await fs.ensureDir(this.dataDir);
+    await fs.writeJson(this.sessionsFile, state, { spaces: 2 });
+    return session;
+  }
+
+  async settings() {
+    const config = await loadConfig();
+    const settings = { ...DEFAULTS, ...config.focus };
+    if (this.options.minutes !== undefined) settings.minutes = Number(this.options.minutes);
+    if (this.options.interval !== undefined) settings.interval = this.options.interval;
+    if (!(settings.minutes > 0)) throw new Error('--minutes must be a positive number');
+    const interval = parseDuration(settings.interval);
+    // Each sample lists every process; 0 would spin the CPU it is measuring
+    if (!(interval >= 1000)) throw new Error('--interval must be at least 1s');
+    return { ...settings, interval, config };
+  }
+
+  async sample(classifier) {
+    const { currentLoad: cpu, mem, processes } = await this.source.sample(['currentLoad', 'mem', 'processes']);
+    return {
+      // Wall clock, not frame.timestamp: a replayed fixture keeps its recorded time
+      time: Date.now(),
+      cpu: cpu.currentLoad,
+      memory: (mem.used / mem.total) * 100,
+      running: processes.running,
+      categories: classifier.summarize(processes.list)
+    };
+  }
+
+  distractionPrograms(categories) {
+    return Object.entries(categories)
+      .filter(([, entry]) => entry.kind === 'distraction')
+      .flatMap(([name, entry]) => entry.programs.map(program => ({ program, category: name, label: entry.label })));
+  }
+
+  // Distractions not seen before in this session, which are then remembered:
+  // one that restarts or drops out of a sample is not a new interruption
+  newDistractions(categories, seen) {
+    const fresh = this.distractionPrograms(categories).filter(d => !seen.has(d.program));
+    fresh.forEach(d => seen.add(d.program));
+    return fresh;
+  }
+
+  // Runs in the foreground until the time is up or Ctrl+C, then stores and
+  // prints the summary
+  async start() {
+    const settings = await this.settings();
+    const classifier = await ProcessClassifier.load({ config: settings.config });
+    const label = this.options.label || 'Focus session';
+    const planned = settings.minutes * MINUTE;
+
+    const first = await this.sample(classifier);
+    const startedAt = first.time;
+    const endAt = startedAt + planned;
+    const alreadyOpen = this.distractionPrograms(first.categories).map(d => d.program);
+
+    const session = {
+      label,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: null,
+      plannedMinutes: settings.minutes,
+      endedEarly: false,
+      duration: 0,
+      samples: 1,
+      categories: {},
+      interruptions: [],
+      alreadyOpen,
+      weather: null
+    };
+    const totals = { cpu: [first.cpu], memory: [first.memory], running: [first.running], sampled: 0, focused: 0 };
+
+    console.log(boxen(chalk.bold.cyan(`🎯 ${label} - ${formatDuration(planned)}`), { padding: 1, borderStyle: 'round', borderColor: 'cyan' }));
+    if (alreadyOpen.length) {
+      console.log(chalk.gray(`Already open: ${alreadyOpen.join(', ')} - only newly started distractions count as interruptions.`));
+    }
+    console.log(chalk.gray('Press Ctrl+C to end early.\n'));
+
+    let stopped = false;
+    const onInterrupt = () => {
+      stopped = true;
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const spinner = ora(this.statusText(label, endAt - startedAt, first.categories)).start();
+    let previous = first;
+    const seen = new Set(alreadyOpen);
+
+    try {
+      while (!stopped && Date.now() < endAt) {
+        // Sleep in short steps so Ctrl+C ends the session promptly
+        const wakeAt = Math.min(Date.now() + settings.interval, endAt);
+        while (!stopped && Date.now() < wakeAt) {
+          await sleep(Math.min(500, wakeAt - Date.now()));
+        }
+        if (stopped) break;
+
+        let current;
+        try {
+          current = await this.sample(classifier);
+        } catch (error) {
+          spinner.text = chalk.yellow(`Could not sample: ${error.message}`);
+          continue;
+        }
+
+        this.accumulate(session, totals, previous, current, settings.busyCpu);
+
+        for (const distraction of this.newDistractions(current.categories, seen)) {
+          session.interruptions.push({ at: new Date(current.time).toISOString(), program: distraction.program, category: distraction.category });
+          spinner.clear();
+          console.log(chalk.yellow(`⚠️  ${new Date(current.time).toLocaleTimeString()} ${distraction.program} started (${distraction.label.toLowerCase()}) - stay on task?`));
+        }
+
+        previous = current;
+        spinner.text = this.statusText(label, endAt - current.time, current.categories);
+      }
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+    }
+
+    const endedAt = Math.max(previous.time, Date.now());
+    session.endedAt = new Date(endedAt).toISOString();
+    session.duration = endedAt - startedAt;
+    session.endedEarly = stopped;
+    session.focusShare = totals.sampled > 0 ? totals.focused / totals.sampled : null;
+    session.weather = this.summarizeWeather(totals);
+
+    spinner.stopAndPersist({ symbol: stopped ? '⏹️ ' : '🏁', text: stopped ? 'Session ended early' : 'Time is up!' });
+
+    try {
+      await this.record(session);
+    } catch (error) {
+      console.warn('Could not save focus session:', error.message);
+    }
+    this.displaySession(session);
+    return session;
+  }
+
+  // Time between two samples is credited to whatever was open at the later one
+  accumulate(session, totals, previous, current, busyCpu) {
+    const elapsed = current.time - previous.time;
+    session.samples++;
+    totals.sampled += elapsed;
+    totals.cpu.push(current.cpu);
+    totals.memory.push(current.memory);
+    totals.running.push(current.running);
+
+    let distracted = false;
+    for (const [name, entry] of Object.entries(current.categories)) {
+      const stats = session.categories[name] || (session.categories[name] = {
+        label: entry.label, icon: entry.icon, kind: entry.kind, open: 0, busy: 0, cpuTotal: 0, peakMemRss: 0, programs: []
+      });
+      stats.open += elapsed;
+      stats.cpuTotal += entry.cpu * elapsed;
+      stats.peakMemRss = Math.max(stats.peakMemRss, entry.memRss * 1024);
+      if (entry.cpu >= busyCpu) {
+        stats.busy += elapsed;
+        if (entry.kind === 'distraction') distracted = true;
+      }
+      entry.programs.forEach(program => {
+        if (!stats.programs.includes(program)) stats.programs.push(program);
+      });
+    }
+    // Focused: no distraction was actually doing anything
+    if (!distracted) totals.focused += elapsed;
+  }
+
+  summarizeWeather(totals) {
+    const avg = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const conditions = this.weather.determineWeather({
+      cpu: { usage: avg(totals.cpu) },
+      memory: { percentage: avg(totals.memory) },
+      processes: { running: avg(totals.running) }
+    });
+    return {
+      cpu: { avg: avg(totals.cpu), max: Math.max(...totals.cpu) },
+      memory: { avg: avg(totals.memory), max: Math.max(...totals.memory) },
+      icon: conditions.icon,
+      condition: conditions.condition
+    };
+  }
+
+  statusText(label, remaining, categories) {
+    const busy = Object.values(categories)
+      .filter(entry => entry.kind !== 'infrastructure')
+      .map(entry => `${entry.icon} ${entry.label}`)
+      .join(', ');
+    return `${label}: ${clock(remaining)} left${busy ? chalk.gray(` · open: ${busy}`) : ''}`;
+  }
+
+  displaySession(session) {
+    const duration = session.duration;
+    console.log(chalk.bold.cyan(`\n📋 ${session.label} #${session.id || '?'} - ${formatDuration(duration)} of ${formatDuration(session.plannedMinutes * MINUTE)} planned`));
+    console.log(chalk.gray(`${new Date(session.startedAt).toLocaleString()} → ${new Date(session.endedAt).toLocaleTimeString()}`));
+
+    const categories = Object.values(session.categories).sort((a, b) => b.busy - a.busy || b.open - a.open);
+    if (categories.length > 0) {
+      const table = new Table({
+        head: ['Category', 'Open', 'Busy', 'Avg CPU', 'Peak memory', 'Programs'].map(h => chalk.blue(h)),
+        colWidths: [18, 14, 14, 10, 13, 30],
+        wordWrap: true
+      });
+      categories.forEach(c => {
+        const color = c.kind === 'distraction' ? chalk.yellow : c.kind === 'development' ? chalk.green : chalk.white;
+        table.push([
+          color(`${c.icon} ${c.label}`),
+          `${formatDuration(c.open)} (${share(c.open, duration)})`,
+          `${formatDuration(c.busy)} (${share(c.busy, duration)})`,
+          c.open > 0 ? `${(c.cpuTotal / c.open).toFixed(1)}%` : '—',
+          `${(c.peakMemRss / 1024 / 1024).toFixed(0)} MB`,
+          c.programs.join(', ')
+        ]);
+      });
+      console.log(table.toString());
+    } else {
+      console.log(chalk.gray('  No categorized process was running (see `atmosphere classify`).'));
+    }
+
+    if (session.focusShare !== null && session.focusShare !== undefined) {
+      const focus = Math.round(session.focusShare * 100);
+      const color = focus >= 80 ? chalk.green : focus >= 50 ? chalk.yellow : chalk.red;
+      console.log(`\n🎯 Focused: ${color(`${focus}%`)} of the session with no busy distraction`);
+    }
+
+    if (session.interruptions.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${session.interruptions.length} interruption(s):`));
+      session.interruptions.forEach(i => console.log(chalk.gray(`   ${new Date(i.at).toLocaleTimeString()} ${i.program} (${i.category})`)));
+    } else {
+      console.log(chalk.green('✨ No interruptions'));
+    }
+
+    if (session.weather) {
+      const w = session.weather;
+      console.log(`${w.icon} Weather: ${w.condition} - CPU avg ${w.cpu.avg.toFixed(1)}% (peak ${w.cpu.max.toFixed(1)}%), memory avg ${w.memory.avg.toFixed(1)}% (peak ${w.memory.max.toFixed(1)}%)`);
+    }
+  }
+
+  async show(id) {
+    const { sessions } = await this.load();
+    const session = id === undefined ? sessions[sessions.length - 1] : sessions.find(s => String(s.id) === String(id).replace(/^#/, ''));
+    if (!session) {
+      throw new Error(id === undefined ? 'No focus sessions yet - start one with `atmosphere focus start`' : `Focus session #${id} not found`);
+    }
+    this.displaySession(session);
+  }
+
+  async displayReview(options = {}) {
+    const days = Number(options.days) || 7;
+    const since = Date.now() - days * DAY;
+    const { sessions } = await this.load();
+    const recent = sessions.filter(s => Date.parse(s.startedAt) >= since);
+
+    console.log(chalk.bold.cyan(`\n🗓️  Focus Review - last ${days} day${days === 1 ? '' : 's'}`));
+    if (recent.length === 0) {
+      console.log(chalk.yellow('  No focus sessions in this period. Start one with `atmosphere focus start`.'));
+      return;
+    }
+
+    const total = recent.reduce((sum, s) => sum + s.duration, 0);
+    const focused = recent.reduce((sum, s) => sum + (s.focusShare || 0) * s.duration, 0);
+    const interruptions = recent.flatMap(s => s.interruptions);
+    console.log(`  ${recent.length} session(s), ${formatDuration(total)} in total, ` +
+      `${share(focused, total)} focused, ${interruptions.length} interruption(s), ` +
+      `${recent.filter(s => s.endedEarly).length} ended early`);
+
+    // Per day
+    const byDay = new Map();
+    recent.forEach(s => {
+      const day = new Date(s.startedAt).toLocaleDateString();
+      const entry = byDay.get(day) || { sessions: 0, duration: 0, focused: 0, interruptions: 0 };
+      entry.sessions++;
+      entry.duration += s.duration;
+      entry.focused += (s.focusShare || 0) * s.duration;
+      entry.interruptions += s.interruptions.length;
+      byDay.set(day, entry);
+    });
+    const dayTable = new Table({ head: ['Day', 'Sessions', 'Time', 'Focused', 'Interruptions'].map(h => chalk.blue(h)) });
+    byDay.forEach((entry, day) => dayTable.push([day, entry.sessions, formatDuration(entry.duration), share(entry.focused, entry.duration), entry.interruptions]));
+    console.log(dayTable.toString());
+
+    // Where the time went, across all sessions
+    const categories = new Map();
+    recent.forEach(s => Object.entries(s.categories).forEach(([name, c]) => {
+      const entry = categories.get(name) || { icon: c.icon, label: c.label, open: 0, busy: 0 };
+      entry.open += c.open;
+      entry.busy += c.busy;
+      categories.set(name, entry);
+    }));
+    const categoryTable = new Table({ head: ['Category', 'Open', 'Busy'].map(h => chalk.blue(h)) });
+    [...categories.values()]
+      .sort((a, b) => b.busy - a.busy)
+      .forEach(c => categoryTable.push([`${c.icon} ${c.label}`, `${formatDuration(c.open)} (${share(c.open, total)})`, `${formatDuration(c.busy)} (${share(c.busy, total)})`]));
+    console.log(categoryTable.toString());
+
+    if (interruptions.length > 0) {
+      const counts = {};
+      interruptions.forEach(i => {
+        counts[i.program] = (counts[i.program] || 0) + 1;
+      });
+      const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5);
+      console.log(chalk.yellow(`  Most frequent interruptions: ${top.map(([program, count]) => `${program} (${count})`).join(', ')}`));
+    }
+  }
+}
+
+FocusTracker.DEFAULTS = DEFAULTS;
+
+module.exports = FocusTracker;
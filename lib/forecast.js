@@ -0,0 +1,216 @@
+const HistoryStore = require('./history-store');
+const { mean, linearRegression } = require('./stats');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_HORIZONS = [15 * MINUTE, HOUR, 4 * HOUR];
+const MIN_POINTS = 5;
+const Z_95 = 1.96;
+const GRID_STEPS = 60;
+// The trend's influence halves over one grid's worth of steps, i.e. over
+// roughly the span of history the model was fitted on
+const DAMPING = 0.5 ** (1 / GRID_STEPS);
+
+// Holt's linear (double exponential) smoothing with a damped trend, so a
+// short burst does not extrapolate forever; errors are one-step-ahead
+function holt(values, alpha, beta, phi = DAMPING) {
+  let level = values[0];
+  let trend = values.length > 1 ? values[1] - values[0] : 0;
+  const errors = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const predicted = level + phi * trend;
+    errors.push(values[i] - predicted);
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+  }
+
+  return {
+    level,
+    trend,
+    errors,
+    predict: steps => level + trend * (phi === 1 ? steps : phi * (1 - phi ** steps) / (1 - phi))
+  };
+}
+
+// Additive Holt-Winters; seasonOf maps a step index to its slot in the season
+function holtWinters(values, seasonLength, alpha, beta, gamma, seasonOf) {
+  const firstSeason = values.slice(0, seasonLength);
+  const seasonMean = mean(firstSeason);
+  const season = new Array(seasonLength).fill(0);
+  firstSeason.forEach((v, i) => {
+    season[seasonOf(i)] = v - seasonMean;
+  });
+
+  let level = seasonMean;
+  let trend = values.length >= 2 * seasonLength
+    ? (mean(values.slice(seasonLength, 2 * seasonLength)) - seasonMean) / seasonLength
+    : 0;
+  const errors = [];
+
+  for (let i = seasonLength; i < values.length; i++) {
+    const slot = seasonOf(i);
+    const predicted = level + trend + season[slot];
+    errors.push(values[i] - predicted);
+    const previousLevel = level;
+    level = alpha * (values[i] - season[slot]) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    season[slot] = gamma * (values[i] - level) + (1 - gamma) * season[slot];
+  }
+
+  const last = values.length - 1;
+  return {
+    level,
+    trend,
+    errors,
+    predict: steps => level + trend * steps + season[seasonOf(last + Math.max(1, Math.round(steps)))]
+  };
+}
+
+function sse(errors) {
+  return errors.reduce((sum, e) => sum + e * e, 0);
+}
+
+function fitBest(candidates) {
+  return candidates.reduce((best, model) => (!best || sse(model.errors) < sse(best.errors) ? model : best), null);
+}
+
+class Forecaster {
+  constructor(options = {}) {
+    this.store = options.store || new HistoryStore();
+  }
+
+  async forecast(options = {}) {
+    const now = options.now || Date.now();
+    const metrics = options.metrics || ['cpu', 'memory', 'disk'];
+    const horizons = options.horizons || DEFAULT_HORIZONS;
+
+    // A fortnight of history is enough to learn a daily pattern
+    const points = await this.store.query({ from: now - 14 * DAY, to: now });
+
+    const result = { generatedAt: new Date(now).toISOString(), metrics: {} };
+    for (const name of metrics) {
+      const series = points
+        .filter(p => p.metrics[name])
+        .map(p => ({ time: p.time, value: p.metrics[name].avg }));
+      result.metrics[name] = this.forecastSeries(series, horizons, {
+        now,
+        bounds: HistoryStore.METRICS[name].unit === '%' ? [0, 100] : [0, Infinity]
+      });
+    }
+    return result;
+  }
+
+  forecastSeries(series, horizons, options = {}) {
+    const now = options.now || Date.now();
+    const [low, high] = options.bounds || [-Infinity, Infinity];
+    const clamp = v => Math.min(high, Math.max(low, v));
+
+    if (series.length < MIN_POINTS) {
+      return { method: 'insufficient-data', samples: series.length, predictions: [] };
+    }
+
+    const model = this.fitModel(series);
+    if (!model) {
+      return { method: 'insufficient-data', samples: series.length, predictions: [] };
+    }
+
+    const residual = Math.sqrt(sse(model.errors) / Math.max(1, model.errors.length));
+    const regression = linearRegression(series.map(p => ({ x: (p.time - now) / HOUR, y: p.value })));
+
+    return {
+      method: model.method,
+      samples: series.length,
+      current: series[series.length - 1].value,
+      trendPerHour: regression.slope,
+      r2: regression.r2,
+      predictions: horizons.map(horizon => {
+        // Steps are counted from the last smoothed point, which may lag "now"
+        const steps = (now + horizon - model.lastTime) / model.step;
+        const value = model.predict(steps);
+        // Uncertainty widens with the square root of the steps ahead
+        const margin = Z_95 * residual * Math.sqrt(Math.max(1, steps));
+        return {
+          horizon,
+          at: new Date(now + horizon).toISOString(),
+          value: clamp(value),
+          lower: clamp(value - margin),
+          upper: clamp(value + margin)
+        };
+      })
+    };
+  }
+
+  fitModel(series) {
+    const span = series[series.length - 1].time - series[0].time;
+
+    // Two full days of hourly data lets the model learn time-of-day seasonality
+    if (span >= 2 * DAY) {
+      const hourly = this.resample(series, HOUR);
+      if (hourly.values.length >= 48) {
+        const seasonOf = i => new Date(hourly.start + i * HOUR).getHours();
+        const candidates = [];
+        for (const alpha of [0.2, 0.5, 0.8]) {
+          for (const beta of [0.01, 0.1]) {
+            for (const gamma of [0.1, 0.3]) {
+              candidates.push(holtWinters(hourly.values, 24, alpha, beta, gamma, seasonOf));
+            }
+          }
+        }
+        const lastTime = hourly.start + (hourly.values.length - 1) * HOUR;
+        return { method: 'holt-winters', step: HOUR, lastTime, ...fitBest(candidates) };
+      }
+    }
+
+    // Otherwise smooth a regular grid that spans the data in GRID_STEPS steps
+    const step = Math.min(HOUR, Math.max(MINUTE / 6, Math.round(span / GRID_STEPS)));
+    const grid = this.resample(series, step);
+    if (grid.values.length < MIN_POINTS) return null;
+
+    const candidates = [];
+    for (const alpha of [0.2, 0.4, 0.6, 0.8]) {
+      for (const beta of [0.01, 0.05, 0.1, 0.2]) {
+        candidates.push(holt(grid.values, alpha, beta));
+      }
+    }
+    const lastTime = grid.start + (grid.values.length - 1) * step;
+    return { method: 'holt', step, lastTime, ...fitBest(candidates) };
+  }
+
+  // Averages samples into fixed steps and fills gaps linearly
+  resample(series, step) {
+    const start = Math.floor(series[0].time / step) * step;
+    const count = Math.floor((series[series.length - 1].time - start) / step) + 1;
+    const sums = new Array(count).fill(0);
+    const counts = new Array(count).fill(0);
+
+    for (const { time, value } of series) {
+      const i = Math.floor((time - start) / step);
+      sums[i] += value;
+      counts[i]++;
+    }
+
+    const values = sums.map((sum, i) => (counts[i] ? sum / counts[i] : null));
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== null) continue;
+      const prev = i - 1;
+      let next = i + 1;
+      while (next < values.length && values[next] === null) next++;
+      values[i] = next < values.length
+        ? values[prev] + (values[next] - values[prev]) / (next - prev)
+        : values[prev];
+    }
+
+    return { start, values };
+  }
+}
+
+Forecaster.linearRegression = linearRegression;
+Forecaster.holt = holt;
+Forecaster.holtWinters = holtWinters;
+Forecaster.DEFAULT_HORIZONS = DEFAULT_HORIZONS;
+
+module.exports = Forecaster;
@@ -0,0 +1,217 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const path = require('path');
+const HistoryStore = require('./history-store');
+const ProcessClassifier = require('./process-classifier');
+const { sparkline } = require('./charts');
+const { parseDuration, parseTimeSpec, formatDuration } = require('./time');
+
+const AGGREGATIONS = ['min', 'max', 'avg', 'p95'];
+// More rows than this is no longer a table anyone reads
+const MAX_BUCKETS = 500;
+
+class HistoryReport {
+  constructor(options = {}) {
+    this.dataDir = path.join(process.env.HOME, '.terminal-atmosphere');
+    this.store = options.store || new HistoryStore({ dataDir: this.dataDir });
+  }
+
+  async show(options = {}) {
+    const query = this.parseOptions(options);
+    const points = await this.store.query({ from: query.from, to: query.to });
+
+    console.log(chalk.bold.cyan('\n📈 Atmosphere History'));
+    console.log(chalk.gray(
+      `${new Date(query.from).toLocaleString()} → ${new Date(query.to).toLocaleString()} ` +
+      `(${formatDuration(query.to - query.from)}, ${points.length} records)`
+    ));
+
+    if (points.length === 0) {
+      console.log(chalk.yellow('\nNo recorded data in this range. Run `atmosphere monitor` to collect some.'));
+      return;
+    }
+
+    if (options.sparkline) {
+      this.displaySparklines(points, query);
+    } else {
+      this.displaySummary(points, query);
+      if (options.bucket) {
+        this.displayBuckets(points, query);
+      }
+      await this.displayActivity(query);
+    }
+  }
+
+  parseOptions(options) {
+    const now = Date.now();
+    const from = parseTimeSpec(options.since || '1h', now);
+    const to = parseTimeSpec(options.until || 'now', now);
+    if (from >= to) {
+      throw new Error('--since must be earlier than --until');
+    }
+
+    const metrics = this.parseList(options.metrics || 'cpu,memory', Object.keys(HistoryStore.METRICS), 'metric');
+    const aggregations = this.parseList(options.agg || 'avg,max,p95', AGGREGATIONS, 'aggregation');
+    const bucket = options.bucket ? parseDuration(options.bucket) : null;
+    if (bucket !== null && bucket <= 0) {
+      throw new Error('--bucket must be longer than zero');
+    }
+    if (bucket !== null && Math.ceil((to - from) / bucket) > MAX_BUCKETS) {
+      throw new Error(`--bucket ${options.bucket} splits ${formatDuration(to - from)} into more than ${MAX_BUCKETS} rows - use a longer bucket`);
+    }
+
+    return { from, to, metrics, aggregations, bucket };
+  }
+
+  parseList(value, allowed, kind) {
+    const items = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = items.filter(item => !allowed.includes(item));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${kind} "${unknown.join(', ')}" (choose from ${allowed.join(', ')})`);
+    }
+    return items;
+  }
+
+  aggregate(points) {
+    if (points.length === 0) return {};
+    return this.store.combine(points[0].time, 'bucket', points).metrics;
+  }
+
+  bucketize(points, from, to, size) {
+    const buckets = [];
+    for (let start = from; start < to; start += size) {
+      buckets.push({ start, points: [] });
+    }
+    for (const point of points) {
+      const index = Math.min(Math.floor((point.time - from) / size), buckets.length - 1);
+      buckets[index].points.push(point);
+    }
+    return buckets.map(bucket => ({ start: bucket.start, metrics: this.aggregate(bucket.points) }));
+  }
+
+  displaySummary(points, query) {
+    const summary = this.aggregate(points);
+
+    const table = new Table({
+      head: [chalk.blue('Metric'), ...query.aggregations.map(a => chalk.blue(a)), chalk.blue('Samples')]
+    });
+    query.metrics.forEach(name => {
+      const values = summary[name];
+      table.push([
+        HistoryStore.METRICS[name].label,
+        ...query.aggregations.map(a => values ? this.formatValue(name, values[a]) : '—'),
+        values ? values.count : 0
+      ]);
+    });
+
+    console.log(chalk.bold('\n📊 Summary:'));
+    console.log(table.toString());
+  }
+
+  // How much of the range each process category was running, from the
+  // categories recorded with raw samples (older ranges are rolled up)
+  async displayActivity(query) {
+    const samples = (await this.store.samples({ from: query.from, to: query.to })).filter(s => s.processes?.categories);
+    if (samples.length === 0) return;
+    const { categories } = await ProcessClassifier.load();
+
+    const totals = new Map();
+    for (const sample of samples) {
+      for (const [name, category] of Object.entries(sample.processes.categories)) {
+        // Records from before labels were left out still carry their own
+        const entry = totals.get(name) || {
+          label: categories[name]?.label || category.label || name,
+          icon: categories[name]?.icon || category.icon || '•',
+          seen: 0,
+          cpu: 0,
+          programs: new Set()
+        };
+        entry.seen++;
+        entry.cpu += category.cpu;
+        category.programs.forEach(program => entry.programs.add(program));
+        totals.set(name, entry);
+      }
+    }
+
+    const table = new Table({
+      head: ['Category', 'Running', 'Avg CPU', 'Programs'].map(h => chalk.blue(h)),
+      colWidths: [18, 10, 10, 44],
+      wordWrap: true
+    });
+    [...totals.values()]
+      .sort((a, b) => b.seen - a.seen)
+      .forEach(entry => table.push([
+        `${entry.icon} ${entry.label}`,
+        `${Math.round(entry.seen / samples.length * 100)}%`,
+        `${(entry.cpu / entry.seen).toFixed(1)}%`,
+        [...entry.programs].join(', ')
+      ]));
+
+    console.log(chalk.bold(`\n🧭 Activity (${samples.length} samples):`));
+    console.log(table.toString());
+  }
+
+  displayBuckets(points, query) {
+    const buckets = this.bucketize(points, query.from, query.to, query.bucket);
+    const columns = [];
+    query.metrics.forEach(name => {
+      query.aggregations.forEach(agg => columns.push({ name, agg }));
+    });
+
+    const table = new Table({
+      head: [chalk.blue('Time'), ...columns.map(c => chalk.blue(`${HistoryStore.METRICS[c.name].label} ${c.agg}`))]
+    });
+    buckets.forEach(bucket => {
+      table.push([
+        new Date(bucket.start).toLocaleString(),
+        ...columns.map(c => bucket.metrics[c.name] ? this.formatValue(c.name, bucket.metrics[c.name][c.agg]) : '—')
+      ]);
+    });
+
+    console.log(chalk.bold(`\n🕒 Every ${formatDuration(query.bucket)}:`));
+    console.log(table.toString());
+  }
+
+  displaySparklines(points, query) {
+    const width = Math.max(10, Math.min(60, (process.stdout.columns || 80) - 40));
+    const size = query.bucket || Math.ceil((query.to - query.from) / width);
+    const buckets = this.bucketize(points, query.from, query.to, size);
+    const agg = query.aggregations[0];
+    const summary = this.aggregate(points);
+
+    console.log(chalk.bold(`\n📉 ${agg} per ${formatDuration(size)}:`));
+    query.metrics.forEach(name => {
+      const metric = HistoryStore.METRICS[name];
+      const values = buckets.map(b => b.metrics[name] ? b.metrics[name][agg] : null);
+      const line = sparkline(values, metric.unit === '%' ? { min: 0, max: 100 } : {});
+      const range = summary[name]
+        ? `min ${this.formatValue(name, summary[name].min)}  max ${this.formatValue(name, summary[name].max)}`
+        : 'no data';
+
+      console.log(`  ${metric.label.padEnd(10)} ${chalk.cyan(line)}  ${chalk.gray(range)}`);
+    });
+  }
+
+  formatValue(name, value) {
+    if (value === undefined || value === null) return '—';
+    const unit = HistoryStore.METRICS[name].unit;
+    if (unit === '%') return `${value.toFixed(1)}%`;
+    if (unit === 'bytes') return this.formatBytes(value);
+    if (unit === 'B/s') return `${this.formatBytes(value)}/s`;
+    if (unit === 'ms') return `${value.toFixed(1)} ms`;
+    return `${Math.round(value * 10) / 10}`;
+  }
+
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+}
+
+module.exports = HistoryReport;
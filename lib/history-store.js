@@ -0,0 +1,397 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { percentile } = require('./stats');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Scalar series derived from each sample; these are what rollups keep
+const METRICS = {
+  cpu: {
+    label: 'CPU',
+    unit: '%',
+    extract: sample => sample.cpu.usage
+  },
+  memory: {
+    label: 'Memory',
+    unit: '%',
+    extract: sample => sample.memory.percentage
+  },
+  network: {
+    label: 'Network',
+    unit: 'B/s',
+    // Samples from before rates were collected only have cumulative counters
+    extract: sample => (typeof sample.network.rate === 'number' ? sample.network.rate : undefined)
+  },
+  disk: {
+    label: 'Disk',
+    unit: '%',
+    extract: sample => {
+      const usage = sample.disk?.usage || [];
+      return usage.length ? Math.max(...usage.map(d => d.use)) : undefined;
+    }
+  },
+  processes: {
+    label: 'Processes',
+    unit: '',
+    extract: sample => sample.processes.running
+  },
+  latency: {
+    label: 'Latency',
+    unit: 'ms',
+    // Only samples that carry a fresh probe result have one
+    extract: sample => (typeof sample.latency?.avg === 'number' ? sample.latency.avg : undefined)
+  }
+};
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 10) / 10 : value;
+}
+
+// Rollup segments span more time than raw ones, since each holds far fewer
+// records; the raw tier's span is the maxSegmentAge option
+const TIERS = {
+  raw: { bucket: 0 },
+  '1m': { bucket: MINUTE, source: 'raw', segmentAge: DAY },
+  '1h': { bucket: HOUR, source: '1m', segmentAge: 7 * DAY }
+};
+
+class HistoryStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.dir = path.join(this.dataDir, 'history');
+    this.maxSegmentBytes = options.maxSegmentBytes || 1024 * 1024;
+    this.maxSegmentAge = options.maxSegmentAge || HOUR;
+    this.retention = {
+      raw: DAY,
+      '1m': 7 * DAY,
+      '1h': 90 * DAY,
+      ...options.retention
+    };
+    this.maxTotalBytes = options.maxTotalBytes || 50 * 1024 * 1024;
+    this.current = null;
+  }
+
+  async open() {
+    await fs.ensureDir(this.dir);
+
+    const [latest] = (await this.listSegments('raw')).slice(-1);
+    if (latest) {
+      const stat = await fs.stat(latest.file);
+      this.current = { ...latest, size: stat.size };
+    }
+
+    await this.compact();
+  }
+
+  async append(sample) {
+    const time = Date.parse(sample.timestamp) || Date.now();
+    if (!this.current || this.shouldRotate(time)) {
+      await this.rotate(time);
+    }
+
+    const line = JSON.stringify(this.toRecord(sample)) + '\n';
+    await fs.appendFile(this.current.file, line);
+    this.current.size += Buffer.byteLength(line);
+  }
+
+  shouldRotate(time) {
+    // Segments are named by the time of their first sample, so a clock that
+    // jumps backwards also starts a new one to keep segments ordered
+    return this.current.size >= this.maxSegmentBytes ||
+      time - this.current.start >= this.maxSegmentAge ||
+      time < this.current.start;
+  }
+
+  async rotate(start) {
+    await fs.ensureDir(this.dir);
+    this.current = {
+      tier: 'raw',
+      start,
+      file: this.segmentPath('raw', start),
+      size: 0
+    };
+    await this.compact();
+  }
+
+  // Raw records are the bulk of the store, so they keep only what reports
+  // and rollups read back
+  toRecord(sample) {
+    // Static details (disk layout, runtime environment) are not worth repeating every tick
+    const { environment, ...record } = sample;
+    if (record.cpu) {
+      record.cpu = { ...record.cpu, cores: (record.cpu.cores || []).map(round) };
+    }
+    if (record.disk) {
+      const { devices, ...io } = record.disk.io || {};
+      const usage = (record.disk.usage || []).map(({ mount, fs: device, used, available, use, inodeUse }) =>
+        ({ mount: mount || device, used, available, use: round(use), inodeUse: round(inodeUse) }));
+      record.disk = { usage, io };
+    }
+    // Group totals and session peaks can be recomputed from the interfaces;
+    // idle interfaces and per-interface counters are left out
+    if (record.network) {
+      const { groups, peak, interfaces, ...network } = record.network;
+      record.network = {
+        ...network,
+        interfaces: (interfaces || [])
+          .filter(i => i.rxRate || i.txRate)
+          .map(({ iface, kind, rxRate, txRate }) => ({ iface, kind, rxRate, txRate }))
+      };
+    }
+    // Labels and icons come from the classifier when reports are shown
+    if (record.processes) {
+      const { top, categories, ...processes } = record.processes;
+      record.processes = {
+        ...processes,
+        top: top && top.filter(p => p.cpu || p.mem).map(p => ({ ...p, cpu: round(p.cpu), mem: round(p.mem) })),
+        categories: categories && Object.fromEntries(Object.entries(categories).map(([name, c]) =>
+          [name, { kind: c.kind, processes: c.processes, cpu: round(c.cpu), mem: round(c.mem), programs: c.programs }]))
+      };
+    }
+    return record;
+  }
+
+  segmentPath(tier, start) {
+    return path.join(this.dir, `${tier}-${start}.ndjson`);
+  }
+
+  async listSegments(tier) {
+    if (!await fs.pathExists(this.dir)) return [];
+
+    const files = await fs.readdir(this.dir);
+    return files
+      .map(name => name.match(/^(raw|1m|1h)-(\d+)\.ndjson$/))
+      .filter(match => match && (!tier || match[1] === tier))
+      .map(match => ({
+        tier: match[1],
+        start: Number(match[2]),
+        file: path.join(this.dir, match[0])
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  async readSegment(file) {
+    const content = await fs.readFile(file, 'utf8');
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // A torn final line from an interrupted write is skipped, not fatal
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  async compact(now = Date.now()) {
+    for (const tier of ['raw', '1m', '1h']) {
+      for (const segment of await this.listSegments(tier)) {
+        if (this.current && segment.file === this.current.file) continue;
+
+        const { mtimeMs } = await fs.stat(segment.file);
+        if (now - mtimeMs < this.retention[tier]) continue;
+
+        const target = Object.keys(TIERS).find(t => TIERS[t].source === tier);
+        if (target) {
+          await this.downsample(segment, target);
+        }
+        await fs.remove(segment.file);
+      }
+    }
+
+    await this.enforceSizeLimit();
+  }
+
+  async downsample(segment, tier) {
+    const records = await this.readSegment(segment.file);
+    const buckets = new Map();
+
+    for (const record of records) {
+      const point = this.toPoint(record);
+      const key = Math.floor(point.time / TIERS[tier].bucket) * TIERS[tier].bucket;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(point);
+    }
+
+    const rollups = [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([start, points]) => this.combine(start, tier, points));
+    if (rollups.length === 0) return;
+
+    // Appended to the tier's newest segment and rotated the way raw segments
+    // are, so a tier stays a handful of files however far back it goes
+    let [target] = (await this.listSegments(tier)).slice(-1);
+    let size = target ? (await fs.stat(target.file)).size : 0;
+    let lines = '';
+    for (const rollup of rollups) {
+      const time = Date.parse(rollup.timestamp);
+      if (!target || size >= this.maxSegmentBytes || time - target.start >= TIERS[tier].segmentAge || time < target.start) {
+        if (lines) await fs.appendFile(target.file, lines);
+        target = { tier, start: time, file: this.segmentPath(tier, time) };
+        size = 0;
+        lines = '';
+      }
+      const line = JSON.stringify(rollup) + '\n';
+      lines += line;
+      size += Buffer.byteLength(line);
+    }
+    await fs.appendFile(target.file, lines);
+  }
+
+  async totalBytes() {
+    let total = 0;
+    for (const segment of await this.listSegments()) {
+      total += (await fs.stat(segment.file)).size;
+    }
+    return total;
+  }
+
+  // Over the cap, the finest tier gives way first: its oldest segments are
+  // rolled up early rather than dropped, so the coarser history survives
+  async enforceSizeLimit() {
+    let total = await this.totalBytes();
+
+    for (const tier of Object.keys(TIERS)) {
+      const target = Object.keys(TIERS).find(t => TIERS[t].source === tier);
+      for (const segment of await this.listSegments(tier)) {
+        if (total <= this.maxTotalBytes) return;
+        if (this.current && segment.file === this.current.file) continue;
+
+        if (target) {
+          await this.downsample(segment, target);
+        }
+        await fs.remove(segment.file);
+        total = await this.totalBytes();
+      }
+    }
+  }
+
+  // Normalises raw samples and rollups into { time, resolution, metrics }
+  toPoint(record) {
+    if (record.resolution) {
+      return {
+        time: Date.parse(record.timestamp),
+        resolution: record.resolution,
+        metrics: record.metrics
+      };
+    }
+
+    const metrics = {};
+    for (const [name, metric] of Object.entries(METRICS)) {
+      let value;
+      try {
+        value = metric.extract(record);
+      } catch {
+        value = undefined;
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        metrics[name] = { min: value, max: value, avg: value, p95: value, count: 1 };
+      }
+    }
+    return { time: Date.parse(record.timestamp), resolution: 'raw', metrics };
+  }
+
+  combine(start, resolution, points) {
+    const metrics = {};
+    for (const name of Object.keys(METRICS)) {
+      const parts = points.map(p => p.metrics[name]).filter(Boolean);
+      if (parts.length === 0) continue;
+
+      const count = parts.reduce((sum, m) => sum + m.count, 0);
+      metrics[name] = {
+        min: Math.min(...parts.map(m => m.min)),
+        max: Math.max(...parts.map(m => m.max)),
+        avg: parts.reduce((sum, m) => sum + m.avg * m.count, 0) / count,
+        // Exact over raw samples; an approximation once rolled up further
+        p95: percentile(parts.map(m => m.p95), 95),
+        count
+      };
+    }
+    return { timestamp: new Date(start).toISOString(), resolution, metrics };
+  }
+
+  async query({ from = 0, to = Date.now() } = {}) {
+    const points = [];
+
+    for (const tier of Object.keys(TIERS)) {
+      const segments = await this.listSegments(tier);
+      for (let i = 0; i < segments.length; i++) {
+        const next = segments[i + 1];
+        // Skip segments that end before the range starts or begin after it ends
+        if (next && next.start < from) continue;
+        if (segments[i].start > to) break;
+
+        for (const record of await this.readSegment(segments[i].file)) {
+          const point = this.toPoint(record);
+          if (point.time >= from && point.time <= to) {
+            points.push(point);
+          }
+        }
+      }
+    }
+
+    return this.mergeDuplicates(points.sort((a, b) => a.time - b.time));
+  }
+
+  // Full raw records, for series the rollups do not keep (e.g. per mount)
+  async samples({ from = 0, to = Date.now() } = {}) {
+    const records = [];
+    const segments = await this.listSegments('raw');
+    for (let i = 0; i < segments.length; i++) {
+      const next = segments[i + 1];
+      if (next && next.start < from) continue;
+      if (segments[i].start > to) break;
+
+      for (const record of await this.readSegment(segments[i].file)) {
+        const time = Date.parse(record.timestamp);
+        if (time >= from && time <= to) records.push(record);
+      }
+    }
+    return records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  mergeDuplicates(points) {
+    // A rollup bucket can be written twice when it spans two source segments
+    const merged = [];
+    for (const point of points) {
+      const last = merged[merged.length - 1];
+      if (last && point.resolution !== 'raw' && last.resolution === point.resolution && last.time === point.time) {
+        merged[merged.length - 1] = this.toPoint(this.combine(last.time, last.resolution, [last, point]));
+      } else {
+        merged.push(point);
+      }
+    }
+    return merged;
+  }
+
+  async recent(limit = 100) {
+    const records = [];
+    const segments = await this.listSegments('raw');
+
+    for (let i = segments.length - 1; i >= 0 && records.length < limit; i--) {
+      const segmentRecords = await this.readSegment(segments[i].file);
+      records.unshift(...segmentRecords.slice(-(limit - records.length)));
+    }
+    return records;
+  }
+
+  async importLegacy(file) {
+    if (!await fs.pathExists(file)) return 0;
+
+    const samples = await fs.readJson(file);
+    for (const sample of samples) {
+      await this.append(sample);
+    }
+    await fs.move(file, `${file}.migrated`, { overwrite: true });
+    return samples.length;
+  }
+}
+
+HistoryStore.METRICS = METRICS;
+
+module.exports = HistoryStore;
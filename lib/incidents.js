@@ -0,0 +1,217 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const fs = require('fs-extra');
+const path = require('path');
+const { formatDuration } = require('./time');
+const { isAlive, withFileLock, writeJsonAtomic } = require('./locks');
+
+const MAX_INCIDENTS = 500;
+
+// Incidents are shared between monitors, the daemon and the `incidents`
+// command, so every change re-reads the file under a lock before writing it
+// back. Each incident belongs to the process that opened it
+class IncidentTracker {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.incidentsFile = path.join(this.dataDir, 'incidents.json');
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.incidentsFile)) {
+        return await fs.readJson(this.incidentsFile);
+      }
+    } catch (error) {
+      console.warn('Could not load incidents:', error.message);
+    }
+    return { nextId: 1, incidents: [], snoozes: {} };
+  }
+
+  async save(state) {
+    await fs.ensureDir(this.dataDir);
+    state.incidents = state.incidents.slice(-MAX_INCIDENTS);
+    await writeJsonAtomic(this.incidentsFile, state, { spaces: 2 });
+  }
+
+  async update(fn) {
+    await fs.ensureDir(this.dataDir);
+    return withFileLock(this.incidentsFile, async () => {
+      const state = await this.load();
+      const result = fn(state);
+      await this.save(state);
+      return result;
+    });
+  }
+
+  async open(alert) {
+    return this.update(state => {
+      const existing = state.incidents.find(i => i.ruleId === alert.ruleId && !i.endedAt);
+      if (existing) {
+        return { incident: existing, isNew: false };
+      }
+
+      const incident = {
+        id: state.nextId++,
+        ruleId: alert.ruleId,
+        kind: alert.kind || 'threshold',
+        severity: alert.type,
+        metric: alert.metric,
+        message: alert.message,
+        explanation: alert.explanation || null,
+        threshold: alert.threshold,
+        startedAt: alert.since,
+        endedAt: null,
+        peak: alert.peak,
+        lastValue: alert.value,
+        acknowledged: false,
+        acknowledgedAt: null,
+        owner: process.pid
+      };
+      state.incidents.push(incident);
+      return { incident, isNew: true };
+    });
+  }
+
+  // Another process may still see the condition, so only its owner (or
+  // anyone, for incidents from before owners were recorded) updates or
+  // closes one
+  findOwned(state, ruleId) {
+    return state.incidents.find(i => i.ruleId === ruleId && !i.endedAt && (!i.owner || i.owner === process.pid));
+  }
+
+  async recordPeak(alert) {
+    return this.update(state => {
+      const incident = this.findOwned(state, alert.ruleId);
+      if (incident) {
+        incident.peak = alert.peak;
+        incident.lastValue = alert.value;
+      }
+      return incident;
+    });
+  }
+
+  async resolve(alert) {
+    return this.update(state => {
+      const incident = this.findOwned(state, alert.ruleId);
+      if (incident) {
+        incident.endedAt = alert.timestamp;
+        incident.peak = alert.peak;
+        incident.lastValue = alert.value;
+      }
+      return incident;
+    });
+  }
+
+  // Incidents left open by a monitor that exited can never see their
+  // resolution; those of a monitor or daemon still running are left alone
+  async closeInterrupted(now = new Date().toISOString()) {
+    return this.update(state => {
+      const dangling = state.incidents.filter(i => !i.endedAt && !(i.owner && isAlive(i.owner)));
+      dangling.forEach(incident => {
+        incident.endedAt = now;
+        incident.interrupted = true;
+      });
+      return dangling.length;
+    });
+  }
+
+  async acknowledge(id) {
+    return this.update(state => {
+      const incident = this.find(state, id);
+      incident.acknowledged = true;
+      incident.acknowledgedAt = new Date().toISOString();
+      return incident;
+    });
+  }
+
+  // Snoozing silences the incident's rule, including incidents it opens later
+  async snooze(id, duration) {
+    return this.update(state => {
+      const incident = this.find(state, id);
+      const until = new Date(Date.now() + duration).toISOString();
+      state.snoozes = { ...state.snoozes, [incident.ruleId]: until };
+      return { incident, until };
+    });
+  }
+
+  async unsnooze(id) {
+    return this.update(state => {
+      const incident = this.find(state, id);
+      delete state.snoozes[incident.ruleId];
+      return incident;
+    });
+  }
+
+  async isSnoozed(ruleId, now = Date.now()) {
+    const { snoozes = {} } = await this.load();
+    return Boolean(snoozes[ruleId]) && Date.parse(snoozes[ruleId]) > now;
+  }
+
+  find(state, id) {
+    const incident = state.incidents.find(i => String(i.id) === String(id).replace(/^#/, ''));
+    if (!incident) {
+      throw new Error(`Incident #${id} not found`);
+    }
+    return incident;
+  }
+
+  async list(options = {}) {
+    const { incidents } = await this.load();
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    return incidents.filter(i => options.all || !i.endedAt || Date.parse(i.endedAt) > cutoff);
+  }
+
+  async displayIncidents(options = {}) {
+    const state = await this.load();
+    const incidents = await this.list(options);
+
+    if (incidents.length === 0) {
+      console.log(chalk.green('\n✅ No incidents in the last 24 hours.'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['ID', 'Severity', 'Incident', 'Started', 'Duration', 'Peak', 'State'].map(h => chalk.blue(h))
+    });
+
+    incidents.slice().reverse().forEach(incident => {
+      const color = incident.severity === 'critical' ? 'red' : incident.severity === 'warning' ? 'yellow' : 'blue';
+      const end = incident.endedAt ? Date.parse(incident.endedAt) : Date.now();
+      const peak = typeof incident.peak === 'number' ? incident.peak.toFixed(1) : '—';
+      const detail = incident.kind === 'anomaly'
+        ? incident.explanation
+        : `${incident.metric} (threshold ${incident.threshold})`;
+
+      table.push([
+        `#${incident.id}`,
+        chalk[color](incident.severity),
+        `${incident.message}\n${chalk.gray(detail)}`,
+        new Date(incident.startedAt).toLocaleString(),
+        formatDuration(end - Date.parse(incident.startedAt)),
+        peak,
+        this.describeState(incident, state.snoozes || {})
+      ]);
+    });
+
+    console.log(chalk.bold.cyan('\n🚨 Incidents'));
+    console.log(table.toString());
+  }
+
+  describeState(incident, snoozes) {
+    const parts = [];
+    if (!incident.endedAt) {
+      parts.push(chalk.red('open'));
+    } else {
+      parts.push(chalk.green(incident.interrupted ? 'closed (monitor stopped)' : 'resolved'));
+    }
+    if (incident.acknowledged) parts.push('acked');
+
+    const snoozedUntil = snoozes[incident.ruleId];
+    if (!incident.endedAt && snoozedUntil && Date.parse(snoozedUntil) > Date.now()) {
+      parts.push(chalk.gray(`snoozed until ${new Date(snoozedUntil).toLocaleTimeString()}`));
+    }
+    return parts.join(', ');
+  }
+}
+
+module.exports = IncidentTracker;
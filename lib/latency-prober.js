@@ -0,0 +1,167 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { mean, percentile } = require('./stats');
+const { parseDuration } = require('./time');
+
+// Nothing is probed until targets are configured; a local monitor should
+// not contact other hosts on its own. In config.json:
+//   "latency": {
+//     "targets": ["dns:example.com", "tcp://1.1.1.1:443", "https://example.com/"],
+//     "interval": "1m"
+//   }
+// "enabled": false turns probing off again without removing the targets
+const DEFAULTS = {
+  targets: [],
+  count: 5,
+  timeout: 2000,
+  interval: '1m'
+};
+
+function elapsed(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Each probe resolves with the round trip in milliseconds or rejects
+const PROBES = {
+  tcp(target, timeout) {
+    return new Promise((resolve, reject) => {
+      const start = process.hrtime.bigint();
+      const socket = net.connect({ host: target.host, port: target.port });
+      socket.setTimeout(timeout);
+      socket.once('connect', () => {
+        const ms = elapsed(start);
+        socket.destroy();
+        resolve(ms);
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error(`connect timed out after ${timeout}ms`));
+      });
+      socket.once('error', reject);
+    });
+  },
+
+  // Time to response headers; any status proves the server answered
+  http(target, timeout) {
+    return new Promise((resolve, reject) => {
+      const client = target.url.startsWith('https:') ? https : http;
+      const start = process.hrtime.bigint();
+      const req = client.request(target.url, { method: 'HEAD', timeout, agent: false }, (res) => {
+        const ms = elapsed(start);
+        res.resume();
+        resolve(ms);
+      });
+      req.once('timeout', () => req.destroy(new Error(`request timed out after ${timeout}ms`)));
+      req.once('error', reject);
+      req.end();
+    });
+  },
+
+  // Goes through the system resolver, which is what applications wait on
+  dns(target, timeout) {
+    const start = process.hrtime.bigint();
+    return withTimeout(dns.promises.lookup(target.host, { all: true }), timeout, 'lookup')
+      .then(() => elapsed(start));
+  }
+};
+
+class LatencyProber {
+  constructor(options = {}) {
+    this.settings = { ...DEFAULTS, ...options };
+    this.interval = parseDuration(this.settings.interval);
+    this.targets = this.settings.targets.map(target => LatencyProber.parseTarget(target));
+    this.enabled = this.settings.enabled !== false && this.targets.length > 0;
+    this.lastRun = 0;
+  }
+
+  // "tcp://host:port" or "host:port", "http(s)://...", "dns:hostname", or an
+  // object such as { type: 'tcp', host, port, name }
+  static parseTarget(target) {
+    if (typeof target === 'object' && target !== null) {
+      if (!PROBES[target.type]) {
+        throw new Error(`Unknown latency probe type "${target.type}" (use ${Object.keys(PROBES).join(', ')})`);
+      }
+      return { name: target.name || target.url || `${target.type}:${target.host}${target.port ? `:${target.port}` : ''}`, ...target };
+    }
+
+    const spec = String(target).trim();
+    if (/^https?:\/\//i.test(spec)) {
+      return { name: spec, type: 'http', url: spec };
+    }
+    const dnsMatch = spec.match(/^dns:(?:\/\/)?(.+)$/i);
+    if (dnsMatch) {
+      return { name: spec, type: 'dns', host: dnsMatch[1] };
+    }
+    const tcpMatch = spec.match(/^(?:tcp:\/\/)?(\[[^\]]+\]|[^:/]+):(\d+)$/i);
+    if (tcpMatch) {
+      return { name: spec, type: 'tcp', host: tcpMatch[1].replace(/^\[|\]$/g, ''), port: Number(tcpMatch[2]) };
+    }
+    throw new Error(`Invalid latency target "${spec}" (expected tcp://host:port, http(s)://url or dns:hostname)`);
+  }
+
+  due(now = Date.now()) {
+    return this.enabled && now - this.lastRun >= this.interval;
+  }
+
+  // Targets are probed side by side; attempts at one target run one after
+  // another so that jitter compares like with like
+  async run() {
+    this.lastRun = Date.now();
+    const targets = await Promise.all(this.targets.map(target => this.probeTarget(target)));
+    return { measuredAt: new Date().toISOString(), ...this.summarize(targets), targets };
+  }
+
+  async probeTarget(target) {
+    const times = [];
+    const errors = [];
+    for (let i = 0; i < this.settings.count; i++) {
+      try {
+        times.push(await PROBES[target.type](target, this.settings.timeout));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    return { name: target.name, type: target.type, ...this.stats(times, this.settings.count), error: errors[0] || null };
+  }
+
+  stats(times, attempts) {
+    // Jitter as the mean difference between consecutive round trips (RFC 3550)
+    const deltas = times.slice(1).map((t, i) => Math.abs(t - times[i]));
+    return {
+      min: times.length ? Math.min(...times) : null,
+      avg: times.length ? mean(times) : null,
+      max: times.length ? Math.max(...times) : null,
+      p95: times.length ? percentile(times, 95) : null,
+      jitter: deltas.length ? mean(deltas) : 0,
+      loss: attempts ? ((attempts - times.length) / attempts) * 100 : 0,
+      samples: times.length
+    };
+  }
+
+  // Reachable targets set the latency figures; loss counts every target
+  summarize(targets) {
+    const reachable = targets.filter(t => t.samples > 0);
+    return {
+      min: reachable.length ? Math.min(...reachable.map(t => t.min)) : null,
+      avg: reachable.length ? mean(reachable.map(t => t.avg)) : null,
+      max: reachable.length ? Math.max(...reachable.map(t => t.max)) : null,
+      p95: reachable.length ? Math.max(...reachable.map(t => t.p95)) : null,
+      jitter: reachable.length ? mean(reachable.map(t => t.jitter)) : null,
+      loss: targets.length ? mean(targets.map(t => t.loss)) : 0
+    };
+  }
+}
+
+LatencyProber.DEFAULTS = DEFAULTS;
+
+module.exports = LatencyProber;
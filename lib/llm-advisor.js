@@ -0,0 +1,270 @@
+const axios = require('axios');
+const os = require('os');
+const path = require('path');
+const { parseDuration } = require('./time');
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const IMPACTS = { high: 'High', medium: 'Medium', low: 'Low' };
+const MAX_INSIGHTS = 10;
+const MAX_SUGGESTIONS = 10;
+
+const SYSTEM_PROMPT = [
+  'You are the optimization assistant of Terminal Atmosphere, a monitor for developer workstations.',
+  'You get a snapshot of the machine and the insights its built-in checks already found.',
+  'Add what those checks missed and suggest concrete, safe shell commands for the user\'s platform.',
+  'Never suggest commands that delete user data, kill processes by name or need a reboot.',
+  'Reply with a single JSON object and nothing else, shaped like:',
+  '{"summary": "one sentence",',
+  ' "insights": [{"category": "cpu|memory|disk|network|processes|development|focus", "severity": "high|medium|low|info", "message": "..."}],',
+  ' "suggestions": [{"category": "...", "priority": "high|medium|low", "action": "...", "command": "optional shell command", "rationale": "..."}]}'
+].join('\n');
+
+class OpenAICompatibleProvider {
+  constructor(config) {
+    if (!config.url) throw new Error('The openai-compatible provider needs a "url"');
+    if (!config.model) throw new Error('The openai-compatible provider needs a "model"');
+    // Accept both a base URL (http://localhost:11434/v1) and the full endpoint
+    this.url = /\/chat\/completions\/?$/.test(config.url)
+      ? config.url
+      : `${config.url.replace(/\/+$/, '')}/chat/completions`;
+    this.model = config.model;
+    this.apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : null);
+    this.headers = config.headers || {};
+    this.timeout = config.timeout ? parseDuration(config.timeout) : 30000;
+    this.temperature = config.temperature !== undefined ? config.temperature : 0.2;
+    // Some local servers reject response_format; they can turn it off
+    this.jsonMode = config.jsonMode !== false;
+  }
+
+  get name() {
+    return `${this.model} at ${new URL(this.url).host}`;
+  }
+
+  async complete(messages) {
+    const body = { model: this.model, messages, temperature: this.temperature };
+    if (this.jsonMode) body.response_format = { type: 'json_object' };
+
+    const headers = { ...this.headers };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const { data } = await axios.post(this.url, body, { headers, timeout: this.timeout });
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Reply has no choices[0].message.content');
+    }
+    return content;
+  }
+}
+
+const PROVIDER_TYPES = {
+  'openai-compatible': OpenAICompatibleProvider
+};
+
+const ASK_PROMPT = [
+  'You answer questions about a developer\'s workstation for Terminal Atmosphere.',
+  'Use only the data you are given and quote the specific figures that support your answer.',
+  'If the data cannot answer the question, say what is missing.',
+  'Reply with a single JSON object and nothing else: {"answer": "a few short sentences"}'
+].join('\n');
+
+const text = (value, max) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+
+// Models wrap JSON in prose or code fences often enough to be worth undoing
+function parseReply(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body = fenced ? fenced[1] : content;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('Reply is not a JSON object');
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Reply is not valid JSON: ${error.message}`);
+  }
+}
+
+function checkInsight(item) {
+  const errors = [];
+  if (!text(item?.category, 40)) errors.push('category must be short text');
+  if (!SEVERITIES.includes(item?.severity)) errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (!text(item?.message, 300)) errors.push('message must be text up to 300 characters');
+  return errors;
+}
+
+function checkSuggestion(item) {
+  const errors = [];
+  if (!text(item?.category, 40)) errors.push('category must be short text');
+  if (!PRIORITIES.includes(item?.priority)) errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  if (!text(item?.action, 200)) errors.push('action must be text up to 200 characters');
+  if (item?.command !== undefined && item.command !== null &&
+    (!text(item.command, 500) || /[\r\n]/.test(item.command))) {
+    errors.push('command must be a single line up to 500 characters');
+  }
+  if (item?.rationale !== undefined && !text(item.rationale, 500)) errors.push('rationale must be text up to 500 characters');
+  return errors;
+}
+
+// A reply of the wrong shape is rejected outright; single bad entries are
+// dropped and reported, so one sloppy item does not cost the rest
+function validateReply(reply) {
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    throw new Error('Reply must be a JSON object');
+  }
+  if (!Array.isArray(reply.suggestions)) {
+    throw new Error('Reply needs a "suggestions" list');
+  }
+  if (reply.insights !== undefined && !Array.isArray(reply.insights)) {
+    throw new Error('"insights" must be a list');
+  }
+  if (reply.summary !== undefined && !text(reply.summary, 500)) {
+    throw new Error('"summary" must be text up to 500 characters');
+  }
+
+  const warnings = [];
+  const keep = (list, check, label, max) => list.filter((item, i) => {
+    const errors = check(item);
+    if (errors.length) warnings.push(`${label}[${i}] dropped: ${errors.join('; ')}`);
+    return errors.length === 0;
+  }).slice(0, max);
+
+  return {
+    summary: reply.summary || null,
+    insights: keep(reply.insights || [], checkInsight, 'insights', MAX_INSIGHTS),
+    suggestions: keep(reply.suggestions, checkSuggestion, 'suggestions', MAX_SUGGESTIONS),
+    warnings
+  };
+}
+
+// Only aggregate numbers and process names leave the machine: no command
+// lines, users, paths, host names or addresses
+function redact(systemData) {
+  const { cpu, memory, disk, network, processes, os: osInfo } = systemData.system;
+  const hidePaths = value => String(value).split(os.homedir()).join('~');
+
+  return {
+    timestamp: systemData.timestamp,
+    os: { platform: osInfo.platform, distro: osInfo.distro, release: osInfo.release, arch: osInfo.arch, uptime: osInfo.uptime },
+    cpu: { usage: round(cpu.usage), cores: cpu.cores, temperature: cpu.temperature || null, loadAverage: cpu.loadAverage },
+    memory: {
+      usage: round(memory.used / memory.total * 100),
+      totalGB: round(memory.total / 1024 ** 3),
+      swapUsage: memory.swapTotal ? round(memory.swapUsed / memory.swapTotal * 100) : 0
+    },
+    disk: disk.map(d => ({ mount: hidePaths(d.mount), sizeGB: round(d.size / 1024 ** 3), usage: round(d.usage) })),
+    network: {
+      rxRate: network.rxRate,
+      txRate: network.txRate,
+      interfaces: (network.interfaces || []).map(i => ({ kind: i.kind, rxRate: i.rxRate, txRate: i.txRate }))
+    },
+    processes: {
+      running: processes.running,
+      blocked: processes.blocked,
+      sleeping: processes.sleeping,
+      top: processes.list.map(p => ({ name: path.basename(p.name || ''), cpu: round(p.cpu), mem: round(p.mem) })),
+      categories: Object.fromEntries(Object.entries(processes.categories || {}).map(([name, c]) =>
+        [name, { kind: c.kind, programs: c.programs, processes: c.processes, cpu: round(c.cpu), mem: round(c.mem) }]))
+    },
+    environment: {
+      node: systemData.environment.node_version,
+      shell: systemData.environment.shell ? path.basename(systemData.environment.shell) : null,
+      term: systemData.environment.term
+    }
+  };
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+}
+
+// Asks a language model for what the heuristics missed. Optional: with no
+// "llm" section in config.json the assistant stays fully offline
+class LLMAdvisor {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  static fromConfig(config = {}) {
+    const settings = config.llm;
+    if (!settings || settings.enabled === false) return null;
+
+    const type = settings.provider || 'openai-compatible';
+    const Provider = PROVIDER_TYPES[type];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider "${type}" (use ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+    }
+    return new LLMAdvisor(new Provider(settings));
+  }
+
+  static register(type, Provider) {
+    PROVIDER_TYPES[type] = Provider;
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  buildMessages(systemData, analysis) {
+    const context = {
+      focusArea: analysis.focusArea,
+      system: redact(systemData),
+      heuristicInsights: analysis.insights.map(({ category, severity, message }) => ({ category, severity, message })),
+      heuristicSuggestions: analysis.suggestions.map(({ category, priority, action }) => ({ category, priority, action }))
+    };
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: JSON.stringify(context) }
+    ];
+  }
+
+  async advise(systemData, analysis) {
+    const content = await this.provider.complete(this.buildMessages(systemData, analysis));
+    const reply = validateReply(parseReply(content));
+
+    return {
+      summary: reply.summary,
+      warnings: reply.warnings,
+      insights: reply.insights.map(({ category, severity, message }) => ({
+        type: 'model',
+        category,
+        message,
+        severity,
+        source: 'model'
+      })),
+      // Commands still go through CommandExecutor, which asks before anything
+      // outside its read-only allowlist
+      suggestions: reply.suggestions.map(({ category, priority, action, command, rationale }) => ({
+        category,
+        priority,
+        action,
+        command: command || null,
+        impact: IMPACTS[priority],
+        automated: Boolean(command),
+        rationale: rationale || null,
+        source: 'model'
+      }))
+    };
+  }
+
+  // Open-ended questions from `atmosphere ask`
+  async answer(question, context) {
+    const { systemData, ...rest } = context;
+    const content = await this.provider.complete([
+      { role: 'system', content: ASK_PROMPT },
+      { role: 'user', content: JSON.stringify({ question, system: redact(systemData), ...rest }) }
+    ]);
+
+    const reply = parseReply(content);
+    if (!text(reply?.answer, 4000)) {
+      throw new Error('Reply needs an "answer" of up to 4000 characters');
+    }
+    return reply.answer.trim();
+  }
+}
+
+LLMAdvisor.redact = redact;
+LLMAdvisor.validateReply = validateReply;
+LLMAdvisor.parseReply = parseReply;
+LLMAdvisor.OpenAICompatibleProvider = OpenAICompatibleProvider;
+
+module.exports = LLMAdvisor;
@@ -0,0 +1,61 @@
+const fs = require('fs-extra');
+
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY = 25;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists, it just is not ours
+    return error.code === 'EPERM';
+  }
+}
+
+// Runs fn while holding `${file}.lock`, so processes sharing a data file
+// (monitor, daemon, one-shot commands) do not overwrite each other's
+// read-modify-write. A lock left by a process that died is taken over
+async function withFileLock(file, fn, timeout = LOCK_TIMEOUT) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const holder = Number(await fs.readFile(lockFile, 'utf8').catch(() => ''));
+      if (holder && !isAlive(holder)) {
+        await fs.remove(lockFile);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockFile}${holder ? ` (held by pid ${holder})` : ''}`);
+      }
+      await sleep(LOCK_RETRY);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.remove(lockFile);
+  }
+}
+
+// Readers never see half a file: write beside it, then rename over it
+async function writeJsonAtomic(file, data, options) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeJson(temp, data, options);
+  await fs.move(temp, file, { overwrite: true });
+}
+
+module.exports = {
+  isAlive,
+  withFileLock,
+  writeJsonAtomic
+};
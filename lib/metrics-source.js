@@ -0,0 +1,224 @@
+const si = require('systeminformation');
+const fs = require('fs-extra');
+const path = require('path');
+const DiskHealth = require('./disk-health');
+
+// Every raw reading the tool works from, keyed by the systeminformation call
+// that produces it (or a reader of our own where it has none). Fixture
+// frames use the same keys.
+const SECTIONS = {
+  currentLoad: () => si.currentLoad(),
+  mem: () => si.mem(),
+  osInfo: () => si.osInfo(),
+  // "*" reports every interface, not just the default one
+  networkStats: () => si.networkStats('*'),
+  diskLayout: () => si.diskLayout(),
+  fsSize: () => si.fsSize(),
+  diskStats: () => DiskHealth.readDiskStats(),
+  inodes: () => DiskHealth.readInodes(),
+  processes: () => si.processes(),
+  graphics: () => si.graphics()
+};
+
+// Sections added after the first fixtures were recorded, and what they read
+// as when a recording predates them: unknown, like on a system without them
+const LATER_SECTIONS = {
+  diskStats: () => [],
+  inodes: () => []
+};
+
+// Rates come from the change in counters between two readings
+async function readTwice(source, sections, delay) {
+  const first = await source.sample(sections);
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return [first, await source.sample(sections)];
+}
+
+class LiveMetricsSource {
+  constructor() {
+    this.name = 'live';
+  }
+
+  async sample(sections = Object.keys(SECTIONS)) {
+    const values = await Promise.all(sections.map(section => {
+      if (!SECTIONS[section]) {
+        throw new Error(`Unknown metrics section "${section}"`);
+      }
+      return SECTIONS[section]();
+    }));
+
+    const frame = { timestamp: new Date().toISOString() };
+    sections.forEach((section, i) => {
+      frame[section] = values[i];
+    });
+    return frame;
+  }
+
+  sampleTwice(sections, delay = 1000) {
+    return readTwice(this, sections, delay);
+  }
+}
+
+class FixtureMetricsSource {
+  constructor(fixturePath, options = {}) {
+    this.name = 'fixture';
+    this.fixturePath = path.resolve(fixturePath);
+    this.loop = options.loop || false;
+    this.frames = null;
+    this.position = 0;
+  }
+
+  async load() {
+    if (this.frames) return this.frames;
+
+    if (!await fs.pathExists(this.fixturePath)) {
+      throw new Error(`Fixture not found: ${this.fixturePath}`);
+    }
+
+    const stat = await fs.stat(this.fixturePath);
+    const files = stat.isDirectory()
+      ? (await fs.readdir(this.fixturePath))
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(f => path.join(this.fixturePath, f))
+      : [this.fixturePath];
+
+    this.frames = [];
+    for (const file of files) {
+      const content = await fs.readJson(file);
+      this.frames.push(...(Array.isArray(content) ? content : [content]));
+    }
+
+    if (this.frames.length === 0) {
+      throw new Error(`Fixture contains no snapshots: ${this.fixturePath}`);
+    }
+    return this.frames;
+  }
+
+  async sample(sections = Object.keys(SECTIONS)) {
+    const frames = await this.load();
+    const raw = frames[this.position];
+
+    // Replay advances one frame per sample and then holds (or wraps) at the end
+    if (this.position < frames.length - 1) {
+      this.position++;
+    } else if (this.loop) {
+      this.position = 0;
+    }
+
+    const frame = { timestamp: raw.timestamp || new Date().toISOString() };
+    sections.forEach(section => {
+      if (raw[section] !== undefined) {
+        frame[section] = raw[section];
+      } else if (LATER_SECTIONS[section]) {
+        frame[section] = LATER_SECTIONS[section]();
+      } else {
+        throw new Error(`Fixture snapshot has no "${section}" data`);
+      }
+    });
+    return frame;
+  }
+
+  sampleTwice(sections, delay = 1000) {
+    return readTwice(this, sections, delay);
+  }
+
+  reset() {
+    this.position = 0;
+  }
+}
+
+// Reads the frames a running daemon keeps writing, so one-shot commands see
+// warm data instead of collecting cold. Anything the daemon did not sample,
+// or a daemon that has gone quiet, falls back to the live system
+class DaemonMetricsSource {
+  constructor(dataDir, options = {}) {
+    this.name = 'daemon';
+    this.framesFile = path.join(dataDir, 'daemon-frames.json');
+    this.fallback = options.fallback || new LiveMetricsSource();
+    this.state = undefined;
+  }
+
+  async load() {
+    if (this.state !== undefined) return this.state;
+    this.state = null;
+
+    try {
+      if (await fs.pathExists(this.framesFile)) {
+        const state = await fs.readJson(this.framesFile);
+        const latest = state.frames[state.frames.length - 1];
+        // A couple of missed ticks are fine; more means the daemon is stuck or gone
+        const maxAge = Math.max(3 * state.interval * 1000, 15000);
+        if (latest && Date.now() - Date.parse(latest.timestamp) <= maxAge) {
+          this.state = state;
+        }
+      }
+    } catch {
+      // Half-written or unreadable: collect live instead
+    }
+    return this.state;
+  }
+
+  pick(frame, sections) {
+    if (!sections.every(section => frame[section] !== undefined)) return null;
+    const picked = { timestamp: frame.timestamp };
+    sections.forEach(section => {
+      picked[section] = frame[section];
+    });
+    return picked;
+  }
+
+  async sample(sections = Object.keys(SECTIONS)) {
+    const state = await this.load();
+    const frame = state && this.pick(state.frames[state.frames.length - 1], sections);
+    return frame || this.fallback.sample(sections);
+  }
+
+  // The daemon's last two frames already are two readings
+  async sampleTwice(sections, delay = 1000) {
+    const state = await this.load();
+    if (state && state.frames.length >= 2) {
+      const [first, second] = state.frames.slice(-2).map(frame => this.pick(frame, sections));
+      if (first && second) return [first, second];
+    }
+    return this.fallback.sampleTwice(sections, delay);
+  }
+}
+
+function createMetricsSource(options = {}) {
+  if (options.source) return options.source;
+
+  const fixture = options.fixture || process.env.ATMOSPHERE_FIXTURE;
+  if (fixture) {
+    return new FixtureMetricsSource(fixture, { loop: options.loop });
+  }
+  if (options.daemon) {
+    return new DaemonMetricsSource(options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere'));
+  }
+  return new LiveMetricsSource();
+}
+
+async function recordSnapshot(file, source = new LiveMetricsSource()) {
+  const frame = await source.sample();
+  await fs.ensureDir(path.dirname(path.resolve(file)));
+
+  // Append to an existing recording so repeated runs build up a replay
+  let frames = [];
+  if (await fs.pathExists(file)) {
+    const existing = await fs.readJson(file);
+    frames = Array.isArray(existing) ? existing : [existing];
+  }
+  frames.push(frame);
+
+  await fs.writeJson(file, frames.length === 1 ? frame : frames, { spaces: 2 });
+  return frame;
+}
+
+module.exports = {
+  SECTIONS,
+  LiveMetricsSource,
+  FixtureMetricsSource,
+  DaemonMetricsSource,
+  createMetricsSource,
+  recordSnapshot
+};
@@ -1,79 +1,195 @@
-const si = require('systeminformation');
 const chalk = require('chalk');
 const ora = require('ora');
 const Table = require('cli-table3');
 const boxen = require('boxen');
 const fs = require('fs-extra');
 const path = require('path');
+const EventEmitter = require('events');
 const cron = require('node-cron');
-
-class EnvironmentMonitor {
+const { createMetricsSource } = require('./metrics-source');
+const HistoryStore = require('./history-store');
+const AlertEngine = require('./alert-engine');
+const AnomalyDetector = require('./anomaly-detector');
+const ProductivityOptimizer = require('./optimizer');
+const { NotificationDispatcher } = require('./notifiers');
+const IncidentTracker = require('./incidents');
+const ProcessTracker = require('./process-tracker');
+const Dashboard = require('./dashboard');
+const Forecaster = require('./forecast');
+const NetworkRates = require('./network-rates');
+const LatencyProber = require('./latency-prober');
+const ProfileSwitcher = require('./profile-switcher');
+const DiskHealth = require('./disk-health');
+const ProcessClassifier = require('./process-classifier');
+const { formatDuration } = require('./time');
+const { loadConfig } = require('./config');
+
+class EnvironmentMonitor extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = options;
+    this.source = createMetricsSource(options);
     this.isMonitoring = false;
+    this.ticking = false;
+    this.latest = null;
     this.history = [];
     this.maxHistory = 100;
     this.dataDir = path.join(process.env.HOME, '.terminal-atmosphere');
     this.historyFile = path.join(this.dataDir, 'history.json');
+    this.store = new HistoryStore({ dataDir: this.dataDir, ...options.history });
+    this.alertEngine = new AlertEngine();
+    this.anomalyDetector = new AnomalyDetector();
+    this.notifier = new NotificationDispatcher();
+    this.incidents = new IncidentTracker({ dataDir: this.dataDir });
+    this.alertPeaks = new Map();
+    this.processTracker = new ProcessTracker({ dataDir: this.dataDir });
+    this.forecaster = new Forecaster({ store: this.store });
+    this.networkRates = new NetworkRates();
+    this.diskHealth = new DiskHealth();
+    this.latencyProber = new LatencyProber({ enabled: false });
+    this.latency = null;
+    this.pendingLatency = null;
+    this.switcher = new ProfileSwitcher();
+    this.classifier = null;
   }
 
-  async start() {
-    console.log(chalk.cyan('🌍 Starting Terminal Atmosphere Monitor...'));
-    
+  async prepare() {
     await fs.ensureDir(this.dataDir);
     await this.loadHistory();
+    await this.loadAlertRules();
+    await this.incidents.closeInterrupted();
+    await this.processTracker.load();
+  }
 
+  // One collection cycle; emits "sample" and, through checkAlerts, "alert"
+  async tick() {
+    const data = await this.collectMetrics();
+    this.probeLatency();
+    // A probe result is recorded once, with the first sample after it finished
+    if (this.pendingLatency) {
+      data.latency = this.pendingLatency;
+      this.pendingLatency = null;
+    }
+    this.addToHistory(data);
+    await this.saveHistory(data);
+    await this.processTracker.save();
+    this.latest = data;
+    this.emit('sample', data);
+
+    await this.checkAlerts(data);
+    await this.checkProfileRules(data);
+    return data;
+  }
+
+  startCollecting() {
     this.isMonitoring = true;
-    const spinner = ora('Monitoring system environment').start();
+    const intervalMs = (Number(this.options.interval) || 5) * 1000;
+
+    const run = async () => {
+      // A slow collection must not overlap with the next one
+      if (this.ticking) return;
+      this.ticking = true;
+      try {
+        await this.tick();
+      } catch (error) {
+        this.emit('error', error);
+      } finally {
+        this.ticking = false;
+      }
+    };
+
+    this.interval = setInterval(run, intervalMs);
+    return run();
+  }
+
+  // Probes can take seconds, so they run beside the collection loop
+  probeLatency() {
+    if (this.probing || !this.latencyProber.due()) return;
+
+    this.probing = this.latencyProber.run()
+      .then((result) => {
+        this.latency = result;
+        this.pendingLatency = result;
+      })
+      .catch(error => this.emit('error', error))
+      .finally(() => {
+        this.probing = null;
+      });
+  }
+
+  stopCollecting() {
+    this.isMonitoring = false;
+    clearInterval(this.interval);
+  }
+
+  async start() {
+    console.log(chalk.cyan('🌍 Starting Terminal Atmosphere Monitor...'));
     
-    const interval = setInterval(async () => {
-      if (!this.isMonitoring) {
-        clearInterval(interval);
-        spinner.stop();
-        return;
+    await this.prepare();
+
+    if (this.options.dashboard) {
+      if (process.stdout.isTTY) {
+        return this.startDashboard();
       }
+      console.log(chalk.yellow('Dashboard needs an interactive terminal - falling back to the spinner view'));
+    }
 
-      try {
-        const data = await this.collectMetrics();
-        this.addToHistory(data);
-        await this.saveHistory();
-        
-        spinner.text = this.getStatusText(data);
-        
-        if (this.options.verbose) {
-          spinner.stop();
-          this.displayMetrics(data);
-          spinner.start();
-        }
+    const spinner = ora('Monitoring system environment').start();
 
-        // Check for alerts
-        this.checkAlerts(data);
-        
-      } catch (error) {
-        spinner.fail(`Error: ${error.message}`);
+    this.on('sample', (data) => {
+      spinner.text = this.getStatusText(data);
+
+      if (this.options.verbose) {
+        spinner.stop();
+        this.displayMetrics(data);
+        spinner.start();
       }
-    }, this.options.interval * 1000);
+    });
+
+    this.on('error', (error) => {
+      spinner.fail(`Error: ${error.message}`);
+    });
+
+    this.startCollecting();
 
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-      this.isMonitoring = false;
+      this.stopCollecting();
+      spinner.stop();
       console.log(chalk.yellow('\n👋 Monitor stopped gracefully'));
       process.exit(0);
     });
   }
 
+  startDashboard() {
+    const dashboard = new Dashboard(this);
+
+    // Alerts still reach incidents and sinks; only console output is hidden.
+    // Collection errors are shown in the dashboard footer
+    this.quiet = true;
+    dashboard.start();
+    this.startCollecting();
+
+    process.on('SIGINT', () => dashboard.quit());
+  }
+
   async collectMetrics() {
-    const [cpu, mem, osInfo, networkStats, diskLayout, processes] = await Promise.all([
-      si.currentLoad(),
-      si.mem(),
-      si.osInfo(),
-      si.networkStats(),
-      si.diskLayout(),
-      si.processes()
+    const frame = await this.source.sample([
+      'currentLoad', 'mem', 'osInfo', 'networkStats', 'diskLayout', 'fsSize', 'diskStats', 'inodes', 'processes'
     ]);
+    const {
+      currentLoad: cpu, mem, osInfo, networkStats, diskLayout, processes
+    } = frame;
+
+    this.processTracker.observe(processes.list, Date.parse(frame.timestamp), mem);
+    this.latestFrame = frame;
+    // One-shot reports skip prepare()
+    if (!this.classifier) {
+      this.classifier = await ProcessClassifier.load();
+    }
 
     return {
-      timestamp: new Date().toISOString(),
+      timestamp: frame.timestamp,
       cpu: {
         usage: cpu.currentLoad,
         cores: cpu.cpus.map(core => core.load),
@@ -85,20 +201,19 @@ class EnvironmentMonitor {
         free: mem.free,
         percentage: (mem.used / mem.total) * 100
       },
-      network: {
-        rx: networkStats[0]?.rx_bytes || 0,
-        tx: networkStats[0]?.tx_bytes || 0,
-        interface: networkStats[0]?.iface || 'unknown'
-      },
+      network: this.networkRates.update(networkStats, Date.parse(frame.timestamp)),
       disk: {
         layout: diskLayout,
-        usage: await this.getDiskUsage()
+        usage: this.getDiskUsage(frame.fsSize, frame.inodes),
+        io: this.diskHealth.update(frame.diskStats, Date.parse(frame.timestamp))
       },
       processes: {
         running: processes.running,
         blocked: processes.blocked,
         sleeping: processes.sleeping,
-        total: processes.all
+        total: processes.all,
+        top: this.getTopProcesses(processes.list),
+        categories: this.getCategories(processes.list)
       },
       environment: {
         node_version: process.version,
@@ -109,16 +224,43 @@ class EnvironmentMonitor {
     };
   }
 
-  async getDiskUsage() {
-    const fsSize = await si.fsSize();
-    return fsSize.map(fs => ({
-      fs: fs.fs,
-      type: fs.type,
-      size: fs.size,
-      used: fs.used,
-      available: fs.available,
-      use: fs.use
-    }));
+  getTopProcesses(list, limit = 10) {
+    return list
+      .slice()
+      .sort((a, b) => (b.cpu + b.mem) - (a.cpu + a.mem))
+      .slice(0, limit)
+      .map(p => ({
+        pid: p.pid,
+        name: p.name,
+        cpu: p.cpu,
+        mem: p.mem,
+        memRss: p.memRss,
+        state: p.state
+      }));
+  }
+
+  // Kept small, since it is stored with every history sample
+  getCategories(list) {
+    const summary = this.classifier.summarize(list);
+    return Object.fromEntries(Object.entries(summary).map(([name, { label, icon, kind, processes, cpu, mem, programs }]) =>
+      [name, { label, icon, kind, processes, cpu, mem, programs: programs.slice(0, 5) }]));
+  }
+
+  getDiskUsage(fsSize, inodes = []) {
+    return fsSize.map(fs => {
+      const inode = inodes.find(i => i.mount === fs.mount);
+      return {
+        fs: fs.fs,
+        mount: fs.mount,
+        type: fs.type,
+        size: fs.size,
+        used: fs.used,
+        available: fs.available,
+        use: fs.use,
+        inodeUse: inode ? inode.use : null,
+        inodesFree: inode ? inode.free : null
+      };
+    });
   }
 
   getStatusText(data) {
@@ -166,8 +308,29 @@ class EnvironmentMonitor {
     });
     netTable.push(
       ['Interface', data.network.interface],
-      ['Download', `${(data.network.rx / 1024 / 1024).toFixed(2)} MB`],
-      ['Upload', `${(data.network.tx / 1024 / 1024).toFixed(2)} MB`]
+      ['Download', NetworkRates.formatRate(data.network.rxRate)],
+      ['Upload', NetworkRates.formatRate(data.network.txRate)],
+      ['Peak', NetworkRates.formatRate(data.network.peak.rate)],
+      ['Received', `${(data.network.rx / 1024 / 1024).toFixed(2)} MB`],
+      ['Sent', `${(data.network.tx / 1024 / 1024).toFixed(2)} MB`]
+    );
+    const virtual = data.network.groups.virtual;
+    if (virtual.count && virtual.rxRate !== null) {
+      netTable.push([`Virtual (${virtual.count})`, NetworkRates.formatRate(virtual.rxRate + virtual.txRate)]);
+    }
+
+    // Disk Table
+    const io = data.disk.io;
+    const diskTable = new Table({
+      head: [chalk.magenta('Disk Metric'), chalk.magenta('Value')],
+      colWidths: [20, 15]
+    });
+    diskTable.push(
+      ['Read', NetworkRates.formatRate(io.readRate)],
+      ['Write', NetworkRates.formatRate(io.writeRate)],
+      ['IOPS', io.iops === null ? '—' : io.iops.toFixed(0)],
+      ['Busiest Device', io.utilization === null ? '—' : `${io.utilization.toFixed(0)}% busy`],
+      ['Avg Wait', io.await === null ? '—' : `${io.await.toFixed(1)} ms`]
     );
 
     console.log(chalk.bold('\n💻 CPU Performance:'));
@@ -179,39 +342,172 @@ class EnvironmentMonitor {
     console.log(chalk.bold('\n🌐 Network Activity:'));
     console.log(netTable.toString());
 
+    console.log(chalk.bold('\n💾 Disk Activity:'));
+    console.log(diskTable.toString());
+
     console.log(chalk.gray(`\n📅 Last updated: ${new Date(data.timestamp).toLocaleString()}`));
   }
 
-  checkAlerts(data) {
-    const alerts = [];
+  async loadAlertRules() {
+    const config = await loadConfig();
+    const optimizer = new ProductivityOptimizer({ source: this.source });
+    let profile = null;
+    try {
+      profile = this.options.profile
+        ? await optimizer.loadProfile(this.options.profile)
+        : await optimizer.getActiveProfile();
+    } catch (error) {
+      console.warn(chalk.yellow(error.message));
+    }
+
+    if (this.options.profile && !profile) {
+      console.warn(chalk.yellow(`Profile "${this.options.profile}" not usable - using default alert rules`));
+    }
+
+    this.config = config;
+    this.classifier = await ProcessClassifier.load({ config });
+    this.alertEngine = AlertEngine.fromConfig(config, profile);
+    this.alertEngine.errors.forEach(message => {
+      console.warn(chalk.yellow(`Skipping alert rule: ${message}`));
+    });
+
+    try {
+      this.anomalyDetector = AnomalyDetector.fromConfig(config);
+      if (this.anomalyDetector.enabled) {
+        await this.anomalyDetector.learn(this.store);
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Anomaly detection disabled: ${error.message}`));
+      this.anomalyDetector = new AnomalyDetector({ enabled: false });
+    }
+
+    try {
+      this.latencyProber = new LatencyProber(config.latency);
+    } catch (error) {
+      console.warn(chalk.yellow(`Latency probing disabled: ${error.message}`));
+    }
+
+    try {
+      this.switcher = ProfileSwitcher.fromConfig(config, { optimizer, dataDir: this.dataDir });
+    } catch (error) {
+      console.warn(chalk.yellow(`Automatic profile switching disabled: ${error.message}`));
+    }
+
+    this.notifier = NotificationDispatcher.fromConfig(config);
+    this.notifier.errors.forEach(message => {
+      console.warn(chalk.yellow(`Skipping alert sink: ${message}`));
+    });
+  }
+
+  // Only state changes are reported; a condition that persists stays one incident
+  async checkAlerts(data) {
+    const thresholds = this.alertEngine.evaluate(data);
+    const anomalies = this.anomalyDetector.evaluate(data);
+    const alerts = [...thresholds.alerts, ...anomalies.alerts];
+    const transitions = [...thresholds.transitions, ...anomalies.transitions];
 
-    if (data.cpu.usage > 90) {
-      alerts.push({ type: 'critical', message: 'CPU usage critically high!' });
-    } else if (data.cpu.usage > 75) {
-      alerts.push({ type: 'warning', message: 'CPU usage elevated' });
+    for (const { type, alert } of transitions) {
+      try {
+        if (type === 'fired') {
+          const { incident, isNew } = await this.incidents.open(alert);
+          this.alertPeaks.set(alert.ruleId, alert.peak);
+          if (isNew) {
+            await this.reportTransition(type, { ...alert, incidentId: incident.id });
+          }
+        } else {
+          const incident = await this.incidents.resolve(alert);
+          this.alertPeaks.delete(alert.ruleId);
+          // Incidents another process owns are reported by that process
+          if (incident) {
+            await this.reportTransition(type, { ...alert, incidentId: incident.id });
+          }
+        }
+      } catch (error) {
+        this.warn(`Could not update incidents: ${error.message}`);
+      }
     }
 
-    if (data.memory.percentage > 90) {
-      alerts.push({ type: 'critical', message: 'Memory usage critically high!' });
-    } else if (data.memory.percentage > 75) {
-      alerts.push({ type: 'warning', message: 'Memory usage elevated' });
+    // Keep the peak of ongoing incidents current without rewriting every tick
+    for (const alert of alerts) {
+      if (this.alertPeaks.has(alert.ruleId) && alert.peak !== this.alertPeaks.get(alert.ruleId)) {
+        this.alertPeaks.set(alert.ruleId, alert.peak);
+        await this.incidents.recordPeak(alert);
+      }
     }
+  }
 
-    if (data.processes.running > 200) {
-      alerts.push({ type: 'info', message: 'High number of running processes' });
+  // A switched profile brings its own alert limits along
+  async checkProfileRules(data) {
+    try {
+      const switched = await this.switcher.update(data, [...this.processTracker.processes.values()]);
+      if (!switched) return;
+
+      // --profile pins the alert limits
+      if (!this.options.profile) {
+        const profile = await this.switcher.optimizer.loadProfile(switched.to);
+        this.alertEngine = AlertEngine.fromConfig(this.config, profile);
+      }
+      this.emit('profile', switched);
+      if (!this.quiet) {
+        console.log(chalk.magenta(`\n🎛️  Switched to profile "${switched.to}"${switched.from ? ` from "${switched.from}"` : ''}: ${switched.reason}`));
+      }
+    } catch (error) {
+      this.warn(`Could not switch profiles: ${error.message}`);
     }
+  }
 
-    alerts.forEach(alert => {
-      const color = alert.type === 'critical' ? 'red' : alert.type === 'warning' ? 'yellow' : 'blue';
-      console.log(chalk[color](`\n⚠️  ${alert.message}`));
+  async reportTransition(event, alert) {
+    this.emit('alert', { event, alert });
+
+    if (await this.incidents.isSnoozed(alert.ruleId)) return;
+
+    const color = alert.type === 'critical' ? 'red' : alert.type === 'warning' ? 'yellow' : 'blue';
+    if (this.quiet) {
+      // Console output would tear the full-screen dashboard
+    } else if (event === 'fired') {
+      console.log(chalk[color](`\n⚠️  ${alert.message} (incident #${alert.incidentId})`));
+      if (alert.explanation) {
+        console.log(chalk.gray(`   ${alert.explanation}`));
+      }
+    } else {
+      console.log(chalk.green(`\n✅ Resolved: ${alert.message} (incident #${alert.incidentId})`));
+    }
+
+    this.dispatchAlert(event, alert);
+  }
+
+  // Not awaited: delivery must never stall the collection tick
+  dispatchAlert(event, alert) {
+    this.notifier.queue({ event, alert }, failure => {
+      this.warn(`Could not deliver alert to ${failure.sink}: ${failure.error}`);
     });
   }
 
+  // Gives queued alerts a moment to go out before the process exits
+  async flushAlerts(timeout = 5000) {
+    let timer;
+    await Promise.race([
+      this.notifier.idle(),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, timeout);
+      })
+    ]);
+    clearTimeout(timer);
+  }
+
+  warn(message) {
+    if (!this.quiet) {
+      console.warn(chalk.yellow(`\n${message}`));
+    }
+    this.emit('warning', message);
+  }
+
   async weatherReport(forecast = false) {
     const spinner = ora('Generating weather report...').start();
     
     try {
-      const current = await this.collectMetrics();
+      await this.loadHistory();
+      const current = await this.settleRates(await this.collectMetrics());
       spinner.stop();
 
       console.log(boxen(
@@ -219,27 +515,60 @@ class EnvironmentMonitor {
         { padding: 1, borderStyle: 'round', borderColor: 'cyan' }
       ));
 
-      const weather = this.determineWeather(current);
+      const weather = await this.buildWeatherReport(current, { forecast });
       console.log(`\n${weather.icon} Current Conditions: ${weather.condition}`);
       console.log(chalk.gray(weather.description));
 
-      if (forecast && this.history.length > 10) {
-        console.log(chalk.bold('\n🔮 1-Hour Forecast:'));
-        const forecastData = this.generateForecast();
-        console.log(forecastData);
+      if (forecast) {
+        this.displayForecast(weather.forecast);
       }
 
       console.log(chalk.bold('\n📊 Quick Stats:'));
-      console.log(`  Temperature: ${this.getTemperature(current.cpu.usage)}`);
-      console.log(`  Humidity: ${this.getHumidity(current.memory.percentage)}`);
-      console.log(`  Wind Speed: ${this.getWindSpeed(current.processes.running)}`);
-      console.log(`  Visibility: ${this.getVisibility(current.disk.usage)}`);
+      console.log(`  Temperature: ${weather.stats.temperature}`);
+      console.log(`  Humidity: ${weather.stats.humidity}`);
+      console.log(`  Wind Speed: ${weather.stats.windSpeed}`);
+      console.log(`  Visibility: ${weather.stats.visibility}`);
+
+      const activity = ProcessClassifier.describeActivity(weather.activity);
+      if (activity) {
+        console.log(chalk.bold('\n🧭 Activity:'));
+        console.log(`  ${activity}`);
+      }
 
     } catch (error) {
       spinner.fail(`Error generating weather report: ${error.message}`);
     }
   }
 
+  // Rates need two readings; a one-shot report takes a second one shortly after
+  async settleRates(current, delay = 1000) {
+    if (current.network.rate !== null && current.disk.io.iops !== null) return current;
+
+    const frames = await this.source.sampleTwice(['networkStats', 'diskStats'], delay);
+    for (const frame of frames) {
+      const time = Date.parse(frame.timestamp);
+      current.network = this.networkRates.update(frame.networkStats, time);
+      current.disk.io = this.diskHealth.update(frame.diskStats, time);
+    }
+    return current;
+  }
+
+  async buildWeatherReport(current, options = {}) {
+    const projections = await DiskHealth.projectFull(this.store, current.disk.usage, Date.parse(current.timestamp));
+    return {
+      timestamp: current.timestamp,
+      ...this.determineWeather(current),
+      stats: {
+        temperature: this.getTemperature(current.cpu.usage),
+        humidity: this.getHumidity(current.memory.percentage),
+        windSpeed: this.getWindSpeed(current.network.rate),
+        visibility: this.getVisibility(current.disk, projections)
+      },
+      activity: current.processes.categories,
+      forecast: options.forecast ? await this.generateForecast(current) : null
+    };
+  }
+
   determineWeather(data) {
     const cpuScore = data.cpu.usage;
     const memScore = data.memory.percentage;
@@ -247,6 +576,10 @@ class EnvironmentMonitor {
     
     const overallScore = (cpuScore + memScore + (processScore * 100)) / 3;
 
+    return { score: overallScore, ...this.describeWeather(overallScore) };
+  }
+
+  describeWeather(overallScore) {
     if (overallScore > 80) {
       return {
         icon: '🌩️',
@@ -294,43 +627,94 @@ class EnvironmentMonitor {
     return '🏜️ Dry';
   }
 
-  getWindSpeed(processes) {
-    if (processes > 150) return '🌪️ Hurricane';
-    if (processes > 100) return '💨 Strong Wind';
-    if (processes > 50) return '🍃 Breeze';
-    return '🍂 Calm';
+  // Wind is network throughput in bytes per second
+  getWindSpeed(rate) {
+    if (rate === null || rate === undefined) return '🌫️ Not measured yet';
+    if (rate > 10 * 1024 * 1024) return `🌪️ Hurricane (${NetworkRates.formatRate(rate)})`;
+    if (rate > 1024 * 1024) return `💨 Strong Wind (${NetworkRates.formatRate(rate)})`;
+    if (rate > 100 * 1024) return `🍃 Breeze (${NetworkRates.formatRate(rate)})`;
+    return `🍂 Calm (${NetworkRates.formatRate(rate)})`;
   }
 
-  getVisibility(diskUsage) {
-    const avgUsage = diskUsage.reduce((sum, disk) => sum + disk.use, 0) / diskUsage.length;
-    if (avgUsage > 90) return '🌫️ Foggy';
-    if (avgUsage > 75) return '☁️ Cloudy';
-    if (avgUsage > 50) return '🌤️ Hazy';
-    return '☀️ Clear';
+  // Visibility is the most constrained disk: space or inodes running out, a
+  // device saturated with I/O, or a filesystem on course to fill up soon
+  getVisibility(disk, projections = []) {
+    const fill = Math.max(0, ...disk.usage.map(d => Math.max(d.use, d.inodeUse || 0)));
+    const busy = disk.io?.utilization || 0;
+    const soonest = projections
+      .filter(p => p.timeUntilFull !== null)
+      .sort((a, b) => a.timeUntilFull - b.timeUntilFull)[0];
+
+    let note = '';
+    if (soonest && soonest.timeUntilFull < 7 * 24 * 60 * 60 * 1000) {
+      note = ` (${soonest.mount} full in ~${formatDuration(soonest.timeUntilFull)})`;
+    } else if (busy > 50) {
+      note = ` (disk ${busy.toFixed(0)}% busy)`;
+    }
+
+    if (fill > 90 || busy > 90 || (soonest && soonest.timeUntilFull < 24 * 60 * 60 * 1000)) return `🌫️ Foggy${note}`;
+    if (fill > 75 || busy > 75) return `☁️ Cloudy${note}`;
+    if (fill > 50 || busy > 50) return `🌤️ Hazy${note}`;
+    return `☀️ Clear${note}`;
   }
 
-  generateForecast() {
-    const recent = this.history.slice(-10);
-    const trends = this.calculateTrends(recent);
-    
-    let forecast = 'Conditions expected to remain ';
-    if (trends.cpu > 5) forecast += 'intense with potential storms';
-    else if (trends.cpu < -5) forecast += 'calm and clear';
-    else forecast += 'stable';
-    
-    return forecast;
+  async generateForecast(current) {
+    const horizons = [15, 60, 120, 180, 240].map(minutes => minutes * 60 * 1000);
+    const { metrics } = await this.forecaster.forecast({
+      metrics: ['cpu', 'memory', 'disk'],
+      horizons,
+      now: Date.parse(current.timestamp) || Date.now()
+    });
+
+    if (metrics.cpu.predictions.length === 0 || metrics.memory.predictions.length === 0) {
+      return null;
+    }
+
+    const hours = horizons.map((horizon, i) => {
+      const cpu = metrics.cpu.predictions[i];
+      const memory = metrics.memory.predictions[i];
+      const disk = metrics.disk.predictions[i] || null;
+      const weather = this.determineWeather({
+        cpu: { usage: cpu.value },
+        memory: { percentage: memory.value },
+        processes: current.processes
+      });
+      return { horizon, at: cpu.at, cpu, memory, disk, icon: weather.icon, condition: weather.condition };
+    });
+
+    const trend = metrics.cpu.trendPerHour;
+    let summary = 'Conditions expected to remain ';
+    if (trend > 5) summary += 'intense with potential storms';
+    else if (trend < -5) summary += 'calm and clear';
+    else summary += 'stable';
+
+    return { summary, method: metrics.cpu.method, hours, metrics };
   }
 
-  calculateTrends(data) {
-    if (data.length < 2) return { cpu: 0, memory: 0 };
-    
-    const latest = data[data.length - 1];
-    const previous = data[data.length - 2];
-    
-    return {
-      cpu: latest.cpu.usage - previous.cpu.usage,
-      memory: latest.memory.percentage - previous.memory.percentage
-    };
+  displayForecast(forecast) {
+    console.log(chalk.bold('\n🔮 Forecast:'));
+    if (!forecast) {
+      console.log(chalk.gray('  Not enough history yet - leave `atmosphere monitor` running for a few minutes.'));
+      return;
+    }
+
+    const range = p => (p ? `${p.value.toFixed(0)}% ${chalk.gray(`(${p.lower.toFixed(0)}–${p.upper.toFixed(0)})`)}` : '—');
+    const table = new Table({
+      head: ['When', 'Conditions', 'CPU', 'Memory', 'Disk'].map(h => chalk.blue(h))
+    });
+    forecast.hours.forEach(hour => {
+      table.push([
+        `+${formatDuration(hour.horizon)} ${chalk.gray(new Date(hour.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))}`,
+        `${hour.icon} ${hour.condition}`,
+        range(hour.cpu),
+        range(hour.memory),
+        range(hour.disk)
+      ]);
+    });
+
+    console.log(`  ${forecast.summary}`);
+    console.log(table.toString());
+    console.log(chalk.gray(`  ${forecast.method} model, 95% intervals in brackets`));
   }
 
   addToHistory(data) {
@@ -342,17 +726,18 @@ class EnvironmentMonitor {
 
   async loadHistory() {
     try {
-      if (await fs.pathExists(this.historyFile)) {
-        this.history = await fs.readJson(this.historyFile);
-      }
+      await this.store.open();
+      // history.json from earlier versions is folded into the store once
+      await this.store.importLegacy(this.historyFile);
+      this.history = await this.store.recent(this.maxHistory);
     } catch (error) {
       console.warn('Could not load history:', error.message);
     }
   }
 
-  async saveHistory() {
+  async saveHistory(data) {
     try {
-      await fs.writeJson(this.historyFile, this.history, { spaces: 2 });
+      await this.store.append(data);
     } catch (error) {
       console.warn('Could not save history:', error.message);
     }
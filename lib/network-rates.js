@@ -0,0 +1,119 @@
+const LOOPBACK = /^(lo\d*|loopback.*)$/i;
+// Container bridges, VM host adapters, VPN tunnels and macOS helper links
+const VIRTUAL = /^(docker|br-|veth|virbr|vmnet|vboxnet|tun|tap|utun|wg|tailscale|zt|awdl|llw|bridge|gif|stf|anpi|ap\d|cni|flannel|cali|kube|lxc|lxd|podman|vEthernet)/i;
+
+function formatRate(bytesPerSecond) {
+  if (typeof bytesPerSecond !== 'number') return '—';
+  if (bytesPerSecond >= 1024 * 1024) return `${(bytesPerSecond / 1024 / 1024).toFixed(1)} MB/s`;
+  if (bytesPerSecond >= 1024) return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+  return `${Math.round(bytesPerSecond)} B/s`;
+}
+
+// Turns the cumulative byte counters systeminformation reports into
+// per-second rates, per interface, from the change since the previous sample
+class NetworkRates {
+  constructor() {
+    this.previous = new Map();
+    this.peak = { rxRate: 0, txRate: 0, rate: 0 };
+  }
+
+  // One-shot commands have no earlier reading to diff against, so take two
+  async measure(source, delay = 1000) {
+    const frames = await source.sampleTwice(['networkStats'], delay);
+    let result;
+    for (const frame of frames) {
+      result = this.update(frame.networkStats, Date.parse(frame.timestamp) || Date.now());
+    }
+    return result;
+  }
+
+  static classify(iface) {
+    if (LOOPBACK.test(iface)) return 'loopback';
+    if (VIRTUAL.test(iface)) return 'virtual';
+    return 'physical';
+  }
+
+  update(stats = [], time = Date.now()) {
+    const interfaces = stats.map(stat => {
+      const rx = stat.rx_bytes || 0;
+      const tx = stat.tx_bytes || 0;
+      const previous = this.previous.get(stat.iface);
+      this.previous.set(stat.iface, { rx, tx, time });
+
+      let rxRate = null;
+      let txRate = null;
+      const seconds = previous ? (time - previous.time) / 1000 : 0;
+      if (seconds > 0) {
+        // Counters restart when an interface is reset; that is not traffic
+        rxRate = rx >= previous.rx ? (rx - previous.rx) / seconds : 0;
+        txRate = tx >= previous.tx ? (tx - previous.tx) / seconds : 0;
+      }
+
+      return {
+        iface: stat.iface,
+        kind: NetworkRates.classify(stat.iface),
+        operstate: stat.operstate,
+        rx,
+        tx,
+        rxRate,
+        txRate
+      };
+    });
+
+    const groups = {};
+    for (const kind of ['physical', 'virtual', 'loopback']) {
+      groups[kind] = this.total(interfaces.filter(i => i.kind === kind));
+    }
+
+    // Loopback is never real traffic; virtual links only count when there is
+    // nothing else, e.g. inside a container or behind a VPN-only setup
+    const counted = groups.physical.count ? groups.physical : groups.virtual;
+    const rate = counted.rxRate === null ? null : counted.rxRate + counted.txRate;
+    if (rate !== null) {
+      this.peak = {
+        rxRate: Math.max(this.peak.rxRate, counted.rxRate),
+        txRate: Math.max(this.peak.txRate, counted.txRate),
+        rate: Math.max(this.peak.rate, rate)
+      };
+    }
+
+    return {
+      interface: this.primary(interfaces),
+      rx: counted.rx,
+      tx: counted.tx,
+      rxRate: counted.rxRate,
+      txRate: counted.txRate,
+      rate,
+      peak: { ...this.peak },
+      interfaces,
+      groups
+    };
+  }
+
+  total(interfaces) {
+    const ready = interfaces.filter(i => i.rxRate !== null);
+    return {
+      count: interfaces.length,
+      rx: interfaces.reduce((sum, i) => sum + i.rx, 0),
+      tx: interfaces.reduce((sum, i) => sum + i.tx, 0),
+      rxRate: ready.length ? ready.reduce((sum, i) => sum + i.rxRate, 0) : null,
+      txRate: ready.length ? ready.reduce((sum, i) => sum + i.txRate, 0) : null
+    };
+  }
+
+  // The busiest physical interface that is up, for one-line summaries
+  primary(interfaces) {
+    const candidates = interfaces
+      .filter(i => i.kind !== 'loopback')
+      .sort((a, b) =>
+        (a.kind === 'physical' ? 0 : 1) - (b.kind === 'physical' ? 0 : 1) ||
+        (a.operstate === 'up' ? 0 : 1) - (b.operstate === 'up' ? 0 : 1) ||
+        ((b.rxRate || 0) + (b.txRate || 0)) - ((a.rxRate || 0) + (a.txRate || 0)) ||
+        (b.rx + b.tx) - (a.rx + a.tx));
+    return candidates[0]?.iface || 'unknown';
+  }
+}
+
+NetworkRates.formatRate = formatRate;
+
+module.exports = NetworkRates;
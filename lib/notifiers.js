@@ -0,0 +1,201 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { expandHome } = require('./config');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+function describe(notification) {
+  const { event, alert } = notification;
+  const value = typeof alert.value === 'number' ? alert.value.toFixed(1) : alert.value;
+  const state = event === 'resolved' ? 'RESOLVED' : alert.type.toUpperCase();
+  if (alert.kind === 'anomaly') {
+    return `[${state}] ${alert.message}: ${alert.explanation}`;
+  }
+  return `[${state}] ${alert.message} (${alert.metric} = ${value}, threshold ${alert.threshold})`;
+}
+
+class WebhookSink {
+  constructor(config) {
+    if (!config.url) throw new Error('Webhook sink needs a "url"');
+    this.url = config.url;
+    this.format = config.format || 'json';
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 5000;
+  }
+
+  get name() {
+    return `webhook ${this.url}`;
+  }
+
+  async send(notification) {
+    const payload = this.format === 'slack'
+      ? { text: `${notification.event === 'resolved' ? '✅' : '🚨'} ${describe(notification)} on ${os.hostname()}` }
+      : { source: 'terminal-atmosphere', host: os.hostname(), ...notification };
+
+    await axios.post(this.url, payload, { headers: this.headers, timeout: this.timeout });
+  }
+}
+
+class CommandSink {
+  constructor(config) {
+    if (!config.command) throw new Error('Command sink needs a "command"');
+    this.command = config.command;
+    this.timeout = config.timeout || 10000;
+  }
+
+  get name() {
+    return `command "${this.command}"`;
+  }
+
+  send(notification) {
+    const { event, alert } = notification;
+    const env = {
+      ...process.env,
+      ATMOSPHERE_EVENT: event,
+      ATMOSPHERE_ALERT_RULE: alert.ruleId,
+      ATMOSPHERE_ALERT_KIND: alert.kind || 'threshold',
+      ATMOSPHERE_ALERT_SEVERITY: alert.type,
+      ATMOSPHERE_ALERT_METRIC: alert.metric,
+      ATMOSPHERE_ALERT_MESSAGE: alert.message,
+      ATMOSPHERE_ALERT_VALUE: String(alert.value),
+      ATMOSPHERE_ALERT_THRESHOLD: String(alert.threshold),
+      ATMOSPHERE_ALERT_TIMESTAMP: alert.timestamp,
+      ATMOSPHERE_ALERT_JSON: JSON.stringify(notification)
+    };
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('/bin/sh', ['-c', this.command], { env, stdio: 'ignore', timeout: this.timeout });
+
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Command failed with code ${code}`));
+        }
+      });
+
+      child.on('error', reject);
+    });
+  }
+}
+
+class FileSink {
+  constructor(config) {
+    this.file = expandHome(config.path || path.join(process.env.HOME, '.terminal-atmosphere', 'alerts.log'));
+  }
+
+  get name() {
+    return `file ${this.file}`;
+  }
+
+  async send(notification) {
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.appendFile(this.file, JSON.stringify({ loggedAt: new Date().toISOString(), ...notification }) + '\n');
+  }
+}
+
+const SINK_TYPES = {
+  webhook: WebhookSink,
+  command: CommandSink,
+  file: FileSink
+};
+
+class NotificationDispatcher {
+  constructor(entries = []) {
+    this.entries = entries;
+    this.errors = [];
+  }
+
+  // Without configured sinks, alerts still land in the default log file
+  static fromConfig(config = {}) {
+    const sinks = config.alerts?.sinks || [{ type: 'file' }];
+    const entries = [];
+    const errors = [];
+    if (!Array.isArray(sinks)) {
+      errors.push('"alerts.sinks" must be a list');
+    }
+
+    for (const [i, sinkConfig] of (Array.isArray(sinks) ? sinks : []).entries()) {
+      try {
+        if (!sinkConfig || typeof sinkConfig !== 'object') {
+          throw new Error(`Sink ${i + 1} is not an object`);
+        }
+        const Sink = SINK_TYPES[sinkConfig.type];
+        if (!Sink) {
+          throw new Error(`Unknown sink type "${sinkConfig.type}" (use ${Object.keys(SINK_TYPES).join(', ')})`);
+        }
+        const minSeverity = sinkConfig.minSeverity || 'info';
+        // An unknown severity would otherwise let every alert through
+        if (!SEVERITIES.includes(minSeverity)) {
+          throw new Error(`Sink ${i + 1} (${sinkConfig.type}) has unknown minSeverity "${minSeverity}" (use ${SEVERITIES.join(', ')})`);
+        }
+        entries.push({
+          sink: new Sink(sinkConfig),
+          minSeverity,
+          events: sinkConfig.events || ['fired', 'resolved'],
+          retries: sinkConfig.retries !== undefined ? sinkConfig.retries : 3,
+          retryDelay: sinkConfig.retryDelay || 1000
+        });
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    const dispatcher = new NotificationDispatcher(entries);
+    dispatcher.errors = errors;
+    return dispatcher;
+  }
+
+  accepts(entry, notification) {
+    return entry.events.includes(notification.event) &&
+      SEVERITIES.indexOf(notification.alert.type) >= SEVERITIES.indexOf(entry.minSeverity);
+  }
+
+  // Returns at once and never rejects; retries against a dead sink run in
+  // the background instead of holding up collection. Each sink gets its
+  // notifications one at a time, so a resolve never overtakes its alert
+  queue(notification, onFailure = () => {}) {
+    this.entries
+      .filter(entry => this.accepts(entry, notification))
+      .forEach(entry => {
+        entry.pending = (entry.pending || Promise.resolve())
+          .then(() => this.deliver(entry, notification))
+          .then(result => {
+            if (result.error) onFailure(result);
+          })
+          .catch(error => console.warn('Could not report a failed alert delivery:', error.message));
+      });
+  }
+
+  // Settles once everything queued so far was delivered or given up on
+  async idle() {
+    await Promise.all(this.entries.map(entry => entry.pending));
+  }
+
+  async deliver(entry, notification) {
+    let lastError;
+    for (let attempt = 0; attempt <= entry.retries; attempt++) {
+      try {
+        await entry.sink.send(notification);
+        return { sink: entry.sink.name };
+      } catch (error) {
+        lastError = error;
+        if (attempt < entry.retries) {
+          // Back off exponentially between attempts
+          await new Promise(resolve => setTimeout(resolve, entry.retryDelay * 2 ** attempt));
+        }
+      }
+    }
+    return { sink: entry.sink.name, error: lastError.message };
+  }
+}
+
+module.exports = {
+  WebhookSink,
+  CommandSink,
+  FileSink,
+  NotificationDispatcher
+};
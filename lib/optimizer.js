@@ -1,15 +1,33 @@
 const chalk = require('chalk');
+const inquirer = require('inquirer');
 const ora = require('ora');
 const fs = require('fs-extra');
 const path = require('path');
-const si = require('systeminformation');
 const AIAssistant = require('./ai-assistant');
+const ProcessTracker = require('./process-tracker');
+const LatencyProber = require('./latency-prober');
+const DiskHealth = require('./disk-health');
+const HistoryStore = require('./history-store');
+const NetworkRates = require('./network-rates');
+const ChangeJournal = require('./change-journal');
+const SystemTuner = require('./system-tuner');
+const ProfileStore = require('./profile-store');
+const { formatDuration } = require('./time');
+const { loadConfig } = require('./config');
+const ProcessClassifier = require('./process-classifier');
+const { createMetricsSource } = require('./metrics-source');
 
 class ProductivityOptimizer {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.source = createMetricsSource(options);
     this.dataDir = path.join(process.env.HOME, '.terminal-atmosphere');
     this.profilesDir = path.join(this.dataDir, 'profiles');
-    this.aiAssistant = new AIAssistant();
+    this.activeProfileFile = path.join(this.dataDir, 'active-profile.json');
+    this.aiAssistant = new AIAssistant({ ...options, source: this.source });
+    this.journal = new ChangeJournal({ dataDir: this.dataDir });
+    this.tuner = new SystemTuner({ journal: this.journal });
+    this.profiles = new ProfileStore({ dataDir: this.dataDir, journal: this.journal });
   }
 
   async analyze(depth = 'advanced') {
@@ -43,17 +61,27 @@ class ProductivityOptimizer {
   }
 
   async performAnalysis(depth) {
-    const [cpu, mem, disk, network, processes, osInfo] = await Promise.all([
-      si.currentLoad(),
-      si.mem(),
-      si.fsSize(),
-      si.networkStats(),
-      si.processes(),
-      si.osInfo()
+    const frame = await this.source.sample([
+      'currentLoad', 'mem', 'fsSize', 'diskStats', 'inodes', 'processes'
     ]);
+    const {
+      currentLoad: cpu, mem, fsSize: disk, processes
+    } = frame;
+    const usage = disk.map(d => {
+      const inode = frame.inodes.find(i => i.mount === d.mount);
+      return {
+        mount: d.mount,
+        usage: d.use,
+        available: d.available,
+        inodeUsage: inode ? inode.use : null
+      };
+    });
+    const profile = await this.getActiveProfile();
+    const classifier = await ProcessClassifier.load();
+    const categories = classifier.summarize(processes.list);
 
     const analysis = {
-      timestamp: new Date().toISOString(),
+      timestamp: frame.timestamp,
       depth,
       system: {
         cpu: {
@@ -66,26 +94,23 @@ class ProductivityOptimizer {
           usage: (mem.used / mem.total) * 100,
           available: mem.free,
           pressure: this.calculateMemoryPressure(mem),
-          leaks: this.detectPotentialLeaks(processes)
+          leaks: await this.detectPotentialLeaks()
         },
         disk: {
-          usage: disk.map(d => ({
-            mount: d.mount,
-            usage: d.use,
-            available: d.available,
-            performance: this.estimateDiskPerformance(d)
-          })),
-          fragmentation: this.estimateFragmentation()
+          usage,
+          io: await this.measureDiskIO(),
+          projections: await DiskHealth.projectFull(new HistoryStore({ dataDir: this.dataDir }), usage, Date.parse(frame.timestamp))
         },
         network: {
           latency: await this.measureNetworkLatency(),
-          bandwidth: this.estimateBandwidth(network),
-          congestion: this.detectNetworkCongestion(network)
+          maxLatency: profile?.settings?.network?.maxLatency ?? null,
+          ...await this.measureNetworkLoad()
         },
         processes: {
           total: processes.all,
           running: processes.running,
-          resourceHogs: this.identifyResourceHogs(processes),
+          resourceHogs: this.identifyResourceHogs(processes, classifier),
+          categories,
           zombies: processes.list.filter(p => p.state === 'zombie').length
         }
       },
@@ -145,64 +170,73 @@ class ProductivityOptimizer {
     return { level: pressure, usedPercentage, swapAvailable };
   }
 
-  detectPotentialLeaks(processes) {
-    const suspicious = processes.list
-      .filter(p => p.pmem > 10) // Processes using >10% memory
-      .sort((a, b) => b.pmem - a.pmem)
-      .slice(0, 5);
-    
-    return suspicious.map(p => ({
+  // A single snapshot cannot tell a leak from a big process, so this relies
+  // on the growth a running monitor has tracked
+  async detectPotentialLeaks() {
+    const tracker = await new ProcessTracker({ dataDir: this.dataDir }).load();
+
+    return tracker.suspects().slice(0, 5).map(p => ({
       name: p.name,
       pid: p.pid,
-      memory: p.pmem,
-      suspicious: p.pmem > 20
+      rss: p.rss,
+      growthPerHour: p.growthPerHour,
+      timeToOom: p.timeToOom
     }));
   }
 
-  estimateDiskPerformance(disk) {
-    const usage = disk.use;
-    if (usage > 95) return 'critical';
-    if (usage > 85) return 'poor';
-    if (usage > 70) return 'moderate';
-    return 'good';
-  }
-
-  estimateFragmentation() {
-    // Simplified fragmentation estimation
-    return Math.random() * 20; // 0-20% estimated fragmentation
+  // Disk counters are cumulative, so activity needs a second reading
+  async measureDiskIO(delay = 1000) {
+    const health = new DiskHealth();
+    const [first, second] = await this.source.sampleTwice(['diskStats'], delay);
+    health.update(first.diskStats, Date.parse(first.timestamp));
+    return health.update(second.diskStats, Date.parse(second.timestamp));
   }
 
   async measureNetworkLatency() {
     try {
-      // Simplified latency measurement
-      return Math.random() * 50 + 10; // 10-60ms simulated
-    } catch {
+      const config = await loadConfig();
+      const prober = new LatencyProber(config.latency);
+      return prober.enabled ? await prober.run() : null;
+    } catch (error) {
+      console.warn('Could not measure latency:', error.message);
       return null;
     }
   }
 
-  estimateBandwidth(network) {
-    if (!network || network.length === 0) return 'unknown';
-    const totalBytes = network.reduce((sum, net) => sum + (net.rx_bytes + net.tx_bytes), 0);
-    return totalBytes > 1000000 ? 'high' : totalBytes > 100000 ? 'medium' : 'low';
+  // Network counters are cumulative too; a single reading has no rates yet
+  async measureNetworkLoad(delay = 1000) {
+    const rates = await new NetworkRates().measure(this.source, delay);
+    return {
+      bandwidth: this.estimateBandwidth(rates),
+      congestion: this.detectNetworkCongestion(rates)
+    };
+  }
+
+  estimateBandwidth(rates) {
+    if (!rates || rates.rate === null) return 'unknown';
+    return rates.rate > 1000000 ? 'high' : rates.rate > 100000 ? 'medium' : 'low';
   }
 
-  detectNetworkCongestion(network) {
-    if (!network || network.length === 0) return false;
-    return network.some(net => net.rx_sec > 1000000 || net.tx_sec > 1000000);
+  detectNetworkCongestion(rates) {
+    if (!rates || rates.rate === null) return false;
+    return rates.interfaces
+      .filter(net => net.kind !== 'loopback')
+      .some(net => net.rxRate > 1000000 || net.txRate > 1000000);
   }
 
-  identifyResourceHogs(processes) {
+  identifyResourceHogs(processes, classifier = null) {
+    const byPid = new Map(processes.list.map(p => [p.pid, p]));
     return processes.list
-      .filter(p => p.pcpu > 5 || p.pmem > 5)
-      .sort((a, b) => (b.pcpu + b.pmem) - (a.pcpu + a.pmem))
+      .filter(p => p.cpu > 5 || p.mem > 5)
+      .sort((a, b) => (b.cpu + b.mem) - (a.cpu + a.mem))
       .slice(0, 10)
       .map(p => ({
         name: p.name,
         pid: p.pid,
-        cpu: p.pcpu,
-        memory: p.pmem,
-        impact: p.pcpu + p.pmem
+        cpu: p.cpu,
+        memory: p.mem,
+        impact: p.cpu + p.mem,
+        category: classifier ? classifier.classify(p, byPid.get(p.parentPid)) : null
       }));
   }
 
@@ -245,9 +279,35 @@ class ProductivityOptimizer {
       recommendations.push({
         category: 'Memory',
         priority: 'medium',
-        action: 'Investigate potential memory leaks',
+        action: `Investigate steadily growing memory in ${analysis.system.memory.leaks.map(p => p.name).join(', ')}`,
         impact: 'Medium',
-        command: 'valgrind --tool=memcheck <program>'
+        command: 'atmosphere leaks'
+      });
+    }
+
+    // Network recommendations
+    const { latency, maxLatency } = analysis.system.network;
+    if (latency && latency.avg !== null && typeof maxLatency === 'number' && latency.avg > maxLatency) {
+      const slowest = latency.targets
+        .filter(t => t.avg !== null)
+        .sort((a, b) => b.avg - a.avg)[0];
+      recommendations.push({
+        category: 'Network',
+        priority: 'high',
+        action: `Latency ${latency.avg.toFixed(0)}ms exceeds the profile limit of ${maxLatency}ms (slowest: ${slowest.name})`,
+        impact: 'High',
+        command: 'mtr --report <host>'
+      });
+    }
+
+    if (latency && latency.loss > 0) {
+      const lossy = latency.targets.filter(t => t.loss > 0);
+      recommendations.push({
+        category: 'Network',
+        priority: latency.loss >= 50 ? 'high' : 'medium',
+        action: `Probes failing for ${lossy.map(t => `${t.name} (${t.loss.toFixed(0)}% loss)`).join(', ')}`,
+        impact: 'Medium',
+        command: 'ping -c 20 <host>'
       });
     }
 
@@ -263,6 +323,39 @@ class ProductivityOptimizer {
       });
     }
 
+    const fullInodes = analysis.system.disk.usage.filter(d => d.inodeUsage > 90);
+    if (fullInodes.length > 0) {
+      recommendations.push({
+        category: 'Disk',
+        priority: 'high',
+        action: `Inodes almost exhausted on ${fullInodes.map(d => d.mount).join(', ')} - look for directories with many small files`,
+        impact: 'High',
+        command: `find ${fullInodes[0].mount} -xdev -type f | cut -d/ -f2-3 | sort | uniq -c | sort -rn | head`
+      });
+    }
+
+    const fillingUp = analysis.system.disk.projections.filter(p => p.timeUntilFull !== null && p.timeUntilFull < 7 * 24 * 60 * 60 * 1000);
+    if (fillingUp.length > 0) {
+      recommendations.push({
+        category: 'Disk',
+        priority: fillingUp.some(p => p.timeUntilFull < 24 * 60 * 60 * 1000) ? 'critical' : 'high',
+        action: `At the current rate ${fillingUp.map(p => `${p.mount} fills up in ~${formatDuration(p.timeUntilFull)}`).join(', ')}`,
+        impact: 'High',
+        command: `du -xh ${fillingUp[0].mount} 2>/dev/null | sort -hr | head -20`
+      });
+    }
+
+    const busyDevices = analysis.system.disk.io.devices.filter(d => d.utilization > 80);
+    if (busyDevices.length > 0) {
+      recommendations.push({
+        category: 'Disk',
+        priority: 'medium',
+        action: `${busyDevices.map(d => d.name).join(', ')} saturated with I/O - find the processes doing it`,
+        impact: 'Medium',
+        command: 'iotop -o'
+      });
+    }
+
     // Process recommendations
     if (analysis.system.processes.resourceHogs.length > 5) {
       recommendations.push({
@@ -280,7 +373,7 @@ class ProductivityOptimizer {
         priority: 'low',
         action: `Clean up ${analysis.system.processes.zombies} zombie processes`,
         impact: 'Low',
-        command: 'ps aux | awk "$8 ~ /^Z/ { print $2 }"'
+        command: "ps -eo pid,ppid,stat,comm | awk '$3 ~ /^Z/'"
       });
     }
 
@@ -315,7 +408,22 @@ class ProductivityOptimizer {
     console.log(`  CPU Usage: ${analysis.system.cpu.usage.toFixed(1)}%`);
     console.log(`  Memory Usage: ${analysis.system.memory.usage.toFixed(1)}%`);
     console.log(`  Disk Usage: ${analysis.system.disk.usage.map(d => `${d.mount}: ${d.usage.toFixed(1)}%`).join(', ')}`);
+    const io = analysis.system.disk.io;
+    if (io.iops !== null) {
+      const busy = io.utilization === null ? '' : `, busiest device ${io.utilization.toFixed(0)}% busy`;
+      console.log(`  Disk I/O: read ${NetworkRates.formatRate(io.readRate)}, write ${NetworkRates.formatRate(io.writeRate)}, ${io.iops.toFixed(0)} IOPS, ${io.await.toFixed(1)}ms avg wait${busy}`);
+    }
     console.log(`  Running Processes: ${analysis.system.processes.running}`);
+    const activity = ProcessClassifier.describeActivity(analysis.system.processes.categories);
+    if (activity) {
+      console.log(`  Activity: ${activity}`);
+    }
+    const latency = analysis.system.network.latency;
+    if (latency && latency.avg !== null) {
+      console.log(`  Network Latency: ${latency.avg.toFixed(1)}ms avg, p95 ${latency.p95.toFixed(1)}ms, jitter ${latency.jitter.toFixed(1)}ms, loss ${latency.loss.toFixed(0)}%`);
+    } else if (latency) {
+      console.log(`  Network Latency: ${chalk.red('no probe target reachable')}`);
+    }
 
     // Display recommendations
     if (analysis.recommendations.length > 0) {
@@ -338,13 +446,25 @@ class ProductivityOptimizer {
     // Resource hogs
     if (analysis.system.processes.resourceHogs.length > 0) {
       console.log(chalk.bold('\n🐷 Top Resource Consumers:'));
+      const categories = analysis.system.processes.categories;
       analysis.system.processes.resourceHogs.slice(0, 5).forEach(proc => {
-        console.log(`  ${proc.name} (PID: ${proc.pid}) - CPU: ${proc.cpu.toFixed(1)}%, Memory: ${proc.memory.toFixed(1)}%`);
+        const category = proc.category ? chalk.gray(` [${categories[proc.category]?.label || proc.category}]`) : '';
+        console.log(`  ${proc.name} (PID: ${proc.pid}) - CPU: ${proc.cpu.toFixed(1)}%, Memory: ${proc.memory.toFixed(1)}%${category}`);
       });
     }
   }
 
   async createProfile(name) {
+    try {
+      if (await this.profiles.exists(name)) {
+        console.log(chalk.red(`❌ Profile "${name}" already exists.`));
+        return;
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return;
+    }
+
     console.log(chalk.cyan(`\n🎯 Creating optimization profile: ${name}`));
     
     const { description } = await inquirer.prompt([
@@ -374,7 +494,6 @@ class ProductivityOptimizer {
     const profile = {
       name,
       description,
-      created: new Date().toISOString(),
       optimizations,
       settings: {}
     };
@@ -400,14 +519,16 @@ class ProductivityOptimizer {
       }
     }
 
-    const profilePath = path.join(this.profilesDir, `${name}.json`);
-    await fs.writeJson(profilePath, profile, { spaces: 2 });
-    
-    console.log(chalk.green(`✅ Profile "${name}" created successfully!`));
+    try {
+      await this.profiles.create(profile);
+      console.log(chalk.green(`✅ Profile "${name}" created successfully!`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
   }
 
   async configureCPUSettings() {
-    return await inquirer.prompt([
+    const { background, ...settings } = await inquirer.prompt([
       {
         type: 'number',
         name: 'maxUsage',
@@ -419,12 +540,19 @@ class ProductivityOptimizer {
         name: 'autoBalance',
         message: 'Enable automatic load balancing?',
         default: true
+      },
+      {
+        type: 'input',
+        name: 'background',
+        message: 'Processes to run at background priority (regex, empty for none):'
       }
     ]);
+    settings.renice = background.trim() ? [{ match: background.trim(), nice: 10 }] : [];
+    return settings;
   }
 
   async configureMemorySettings() {
-    return await inquirer.prompt([
+    const { limitMatch, memoryMax, cpuMax, ...settings } = await inquirer.prompt([
       {
         type: 'number',
         name: 'maxUsage',
@@ -436,8 +564,29 @@ class ProductivityOptimizer {
         name: 'autoCleanup',
         message: 'Enable automatic memory cleanup?',
         default: true
+      },
+      {
+        type: 'input',
+        name: 'limitMatch',
+        message: 'Processes to cap with a cgroup limit (regex, empty for none):'
+      },
+      {
+        type: 'input',
+        name: 'memoryMax',
+        message: 'Memory limit for them (e.g. 2G):',
+        default: '2G',
+        when: answers => answers.limitMatch.trim() !== ''
+      },
+      {
+        type: 'number',
+        name: 'cpuMax',
+        message: 'CPU limit for them (% of one core):',
+        default: 100,
+        when: answers => answers.limitMatch.trim() !== ''
       }
     ]);
+    settings.groups = limitMatch.trim() ? [{ name: 'limited', match: limitMatch.trim(), memoryMax, cpuMax }] : [];
+    return settings;
   }
 
   async configureDiskSettings() {
@@ -497,77 +646,173 @@ class ProductivityOptimizer {
   }
 
   async listProfiles() {
-    await fs.ensureDir(this.profilesDir);
+    const profiles = await this.profiles.list();
     
-    const profiles = await fs.readdir(this.profilesDir);
-    const profileFiles = profiles.filter(p => p.endsWith('.json'));
-    
-    if (profileFiles.length === 0) {
+    if (profiles.length === 0) {
       console.log(chalk.yellow('No optimization profiles found.'));
       return;
     }
 
+    const active = await this.profiles.activeName();
     console.log(chalk.bold.cyan('\n📋 Available Optimization Profiles:'));
     
-    for (const file of profileFiles) {
-      const profilePath = path.join(this.profilesDir, file);
-      const profile = await fs.readJson(profilePath);
-      
-      console.log(`\n🎯 ${chalk.bold(profile.name)}`);
+    for (const { name, profile, error } of profiles) {
+      if (error) {
+        console.log(`\n⚠️  ${chalk.bold(name)} ${chalk.red('(invalid)')}`);
+        console.log(chalk.red(`   ${error.split('\n').join('\n   ')}`));
+        continue;
+      }
+
+      console.log(`\n🎯 ${chalk.bold(profile.name)}${profile.name === active ? chalk.green(' (active)') : ''}`);
       console.log(`   ${chalk.gray(profile.description)}`);
       console.log(`   Created: ${new Date(profile.created).toLocaleDateString()}`);
-      console.log(`   Optimizations: ${profile.optimizations.join(', ')}`);
+      console.log(`   Optimizations: ${profile.optimizations.join(', ') || 'none'}`);
     }
   }
 
-  async applyProfile(name) {
-    const profilePath = path.join(this.profilesDir, `${name}.json`);
-    
-    if (!await fs.pathExists(profilePath)) {
-      console.log(chalk.red(`❌ Profile "${name}" not found.`));
-      return;
+  displayProfile(profile, active = false) {
+    console.log(`\n🎯 ${chalk.bold.cyan(profile.name)}${active ? chalk.green(' (active)') : ''}`);
+    console.log(`   ${chalk.gray(profile.description)}`);
+    console.log(`   Created: ${new Date(profile.created).toLocaleString()}, updated: ${new Date(profile.updated).toLocaleString()}`);
+    console.log(`   Schema: v${profile.version}`);
+
+    for (const [section, settings] of Object.entries(profile.settings)) {
+      const enabled = profile.optimizations.includes(section);
+      console.log(`\n   ${chalk.bold(section)}${enabled ? '' : chalk.gray(' (disabled)')}`);
+      for (const [key, value] of Object.entries(settings)) {
+        const shown = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        console.log(`     ${key}: ${chalk.white(shown)}`);
+      }
     }
 
-    const profile = await fs.readJson(profilePath);
-    const spinner = ora(`Applying profile "${name}"...`).start();
+    if (profile.recommendations?.length) {
+      console.log(chalk.bold('\n   Recommendations from analysis:'));
+      profile.recommendations.forEach(r => console.log(`     • ${r.action || r.description || r.category}`));
+    }
+  }
 
+  async showProfile(name) {
+    const profile = await this.profiles.require(name);
+    this.displayProfile(profile, await this.profiles.activeName() === name);
+  }
+
+  // Returns whether the profile was applied. Automatic switching passes
+  // quiet, and the rule and reason that picked the profile
+  async applyProfile(name, options = {}) {
+    const log = options.quiet ? () => {} : console.log;
+    let profile;
+    try {
+      profile = await this.profiles.require(name);
+    } catch (error) {
+      log(chalk.red(`❌ ${error.message}`));
+      return false;
+    }
+
+    const dryRun = Boolean(this.options.dryRun);
+    const spinner = ora({ text: `${dryRun ? 'Planning' : 'Applying'} profile "${name}"...`, isSilent: Boolean(options.quiet) }).start();
+    let frame;
+    try {
+      frame = await this.source.sample(['currentLoad', 'mem', 'fsSize', 'processes']);
+      spinner.stop();
+    } catch (error) {
+      spinner.fail(`Failed to apply profile: ${error.message}`);
+      return false;
+    }
+
+    if (dryRun) {
+      log(chalk.cyan(`\n🔍 Dry run - applying "${name}" would make these changes:`));
+    }
+
+    // Everything changed so far is journaled even if a later step fails
+    const changes = [];
+    let failed = 0;
+    let applied = false;
     try {
       // Apply optimizations based on profile settings
       for (const optimization of profile.optimizations) {
-        await this.applyOptimization(optimization, profile.settings[optimization]);
+        failed += await this.applyOptimization(optimization, profile.settings[optimization], frame, changes, log);
       }
 
-      spinner.succeed(`Profile "${name}" applied successfully!`);
-      console.log(chalk.green('\n✅ Optimizations applied:'));
-      console.log(profile.optimizations.map(opt => `  • ${opt}`).join('\n'));
+      if (dryRun) {
+        log(chalk.gray('\nNothing was changed.'));
+        return true;
+      }
 
+      const active = { name, appliedAt: new Date().toISOString() };
+      if (options.automatic) {
+        Object.assign(active, { automatic: true, rule: options.rule, reason: options.reason });
+      }
+      changes.push(await this.journal.writeFile(this.activeProfileFile, JSON.stringify(active, null, 2) + '\n'));
+      applied = true;
+
+      if (failed) {
+        log(chalk.yellow(`\n⚠️  Profile "${name}" applied with ${failed} failed change(s)`));
+      } else {
+        log(chalk.green(`\n✅ Profile "${name}" applied successfully!`));
+      }
     } catch (error) {
-      spinner.fail(`Failed to apply profile: ${error.message}`);
+      log(chalk.red(`\n❌ Failed to apply profile: ${error.message}`));
+    }
+
+    const source = options.automatic ? `auto: ${options.rule || 'default'}` : `profile: ${name}`;
+    const entry = await this.journal.record({ source, description: `Applied profile "${name}"`, changes });
+    if (entry) {
+      log(chalk.gray(`  Recorded as journal entry #${entry.id} - undo with: atmosphere undo ${entry.id}`));
     }
+    return applied;
+  }
+
+  async loadProfile(name) {
+    return this.profiles.load(name);
   }
 
-  async applyOptimization(type, settings) {
-    // Simulate applying optimizations
-    switch (type) {
-      case 'cpu':
-        console.log(chalk.blue('⚡ Optimizing CPU settings...'));
-        break;
-      case 'memory':
-        console.log(chalk.green('🧠 Optimizing memory settings...'));
-        break;
-      case 'disk':
-        console.log(chalk.yellow('💾 Optimizing disk settings...'));
-        break;
-      case 'processes':
-        console.log(chalk.cyan('⚙️ Optimizing process settings...'));
-        break;
-      case 'network':
-        console.log(chalk.magenta('🌐 Optimizing network settings...'));
-        break;
+  async getActiveProfile() {
+    try {
+      const name = await this.profiles.activeName();
+      if (name) {
+        return await this.loadProfile(name);
+      }
+    } catch (error) {
+      console.warn('Could not load active profile:', error.message);
     }
-    
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    return null;
+  }
+
+  // Adds what it changed to `changes` and returns how many steps failed
+  async applyOptimization(type, settings, frame, changes, log = console.log) {
+    const headings = {
+      cpu: chalk.blue('⚡ CPU'),
+      memory: chalk.green('🧠 Memory'),
+      disk: chalk.yellow('💾 Disk'),
+      processes: chalk.cyan('⚙️ Processes'),
+      network: chalk.magenta('🌐 Network')
+    };
+    log(`\n${headings[type] || chalk.bold(type)}`);
+
+    const { steps, notes } = await this.tuner.plan(type, settings, frame);
+    notes.forEach(note => log(chalk.gray(`  • ${note}`)));
+
+    let failed = 0;
+    for (const step of steps) {
+      const reason = step.reason ? chalk.gray(` (${step.reason})`) : '';
+      if (this.options.dryRun) {
+        log(`  🔍 ${step.description}${reason}`);
+        continue;
+      }
+      try {
+        const change = await step.run();
+        if (change) changes.push(change);
+        log(`  ✅ ${step.description}${reason}`);
+      } catch (error) {
+        failed++;
+        log(chalk.red(`  ❌ ${step.description} - ${error.message}`));
+      }
+    }
+
+    if (steps.length === 0 && notes.length === 0) {
+      log(chalk.gray('  • Nothing to change'));
+    }
+    return failed;
   }
 
   async createProfileFromAnalysis(analysis) {
@@ -580,25 +825,30 @@ class ProductivityOptimizer {
       }
     ]);
 
+    const optimizations = [...new Set(analysis.recommendations.map(r => r.category.toLowerCase()))]
+      .filter(type => ProfileStore.OPTIMIZATIONS.includes(type));
+    const settings = {};
+    optimizations.forEach(type => {
+      settings[type] = { ...ProfileStore.DEFAULT_SETTINGS[type] };
+    });
+    // Today's usage, with some headroom, becomes the profile's limits
+    settings.cpu = { ...ProfileStore.DEFAULT_SETTINGS.cpu, ...settings.cpu, maxUsage: ProfileStore.withHeadroom(analysis.system.cpu.usage) };
+    settings.memory = { ...ProfileStore.DEFAULT_SETTINGS.memory, ...settings.memory, maxUsage: ProfileStore.withHeadroom(analysis.system.memory.usage) };
+
     const profile = {
-      name: profileName,
+      name: profileName.trim(),
       description: `Auto-generated profile based on system analysis (Score: ${analysis.score}/100)`,
-      created: new Date().toISOString(),
-      optimizations: analysis.recommendations.map(r => r.category.toLowerCase()),
-      settings: {
-        thresholds: {
-          cpu: analysis.system.cpu.usage,
-          memory: analysis.system.memory.usage,
-          disk: analysis.system.disk.usage.map(d => d.usage)
-        },
-        recommendations: analysis.recommendations
-      }
+      optimizations,
+      settings,
+      recommendations: analysis.recommendations
     };
 
-    const profilePath = path.join(this.profilesDir, `${profileName}.json`);
-    await fs.writeJson(profilePath, profile, { spaces: 2 });
-    
-    console.log(chalk.green(`✅ Profile "${profileName}" created from analysis!`));
+    try {
+      await this.profiles.create(profile);
+      console.log(chalk.green(`✅ Profile "${profile.name}" created from analysis!`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
   }
 }
 
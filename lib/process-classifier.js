@@ -0,0 +1,320 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+const PROJECT_FILE = '.atmosphere.json';
+
+// What a category means for productivity: work, a likely distraction, or
+// services the work depends on
+const KINDS = ['development', 'distraction', 'infrastructure', 'other'];
+
+// Checked in order and the first match wins, so narrower categories (a test
+// runner is also a node process) come first. A rule matches when all of its
+// fields match; `name` is the process name, `executable` the path of the
+// binary, `command` the full command line with arguments and `parent` the
+// parent's name. A plain string is a name pattern. Install locations go in
+// `executable`: in `command` they would also match script paths, so
+// `node ~/code/shop/server.js` would count as an editor
+const DEFAULT_CATEGORIES = {
+  test: {
+    label: 'Test runner',
+    icon: '🧪',
+    kind: 'development',
+    rules: [
+      '^(jest|vitest|mocha|ava|karma|pytest|py\\.test|rspec|phpunit|tox|nox)$',
+      { command: '(^|[/\\s])(jest|vitest|mocha|ava|karma|playwright|cypress|pytest|rspec|phpunit)([\\s.]|$)' },
+      { command: '\\b(cargo|go|npm|yarn|pnpm|bun|dotnet|mvn|gradle)\\s+(run\\s+)?test\\b' },
+      { parent: '^(jest|vitest|pytest)$' }
+    ]
+  },
+  build: {
+    label: 'Build',
+    icon: '🔨',
+    kind: 'development',
+    rules: [
+      '^(make|gmake|ninja|cmake|cc1|cc1plus|gcc|g\\+\\+|clang(\\+\\+)?|rustc|cargo|go|javac|gradle|mvn|bazel|msbuild|esbuild|swc|tsc|webpack|vite|rollup|turbo|nx|xcodebuild)$',
+      { command: '(^|[/\\s])(tsc|webpack|vite|rollup|esbuild|parcel|next|nuxt|turbo|nx|babel|gulp|grunt)([\\s.]|$)' },
+      { command: '\\b(npm|yarn|pnpm|bun)\\s+(run\\s+)?(build|dev|start|watch)\\b' },
+      { parent: '^(make|gmake|ninja|cargo|bazel|gradle)$' }
+    ]
+  },
+  editor: {
+    label: 'Editor',
+    icon: '📝',
+    kind: 'development',
+    rules: [
+      '^(n?vim?|nvim|gvim|emacs|emacsclient|nano|micro|helix|hx|kak|zed|subl|sublime_text|kate|gedit|atom)$',
+      '^(code|code-insiders|codium|cursor|windsurf)$',
+      '^(Code|Code - Insiders|Cursor|VSCodium)( Helper.*)?$',
+      '^(idea|webstorm|pycharm|goland|clion|rider|phpstorm|rubymine|datagrip|android-studio|fleet)',
+      { executable: '(Visual Studio Code|VSCodium|Cursor|JetBrains|Sublime Text|Zed)\\.app/' },
+      { executable: '/(code|code-insiders|cursor|jetbrains|idea|webstorm|pycharm)/' },
+      // Language servers and extension hosts belong to whatever editor runs them
+      '^(tsserver|typescript-language-server|gopls|rust-analyzer|pyright|pylsp|clangd|jdtls|lua-language-server)$',
+      { parent: '^(n?vim|nvim|emacs|code|code-insiders|cursor|Code|Cursor|zed|hx|helix)' }
+    ]
+  },
+  browser: {
+    label: 'Browser',
+    icon: '🌐',
+    kind: 'distraction',
+    rules: [
+      '^(chrome|chromium|chromium-browser|google-chrome|firefox|firefox-esr|safari|brave|brave-browser|msedge|microsoft-edge|opera|vivaldi|arc|epiphany)$',
+      '^(Google Chrome|Chromium|Brave Browser|Microsoft Edge|Opera|Vivaldi|Arc|Firefox|Safari)( Helper.*)?$',
+      '^(chrome_crashpad|crashpad_handler|Web Content|WebExtensions|Isolated Web Co|Privileged Cont|RDD Process|Socket Process|GPU Process|Utility Process)',
+      { executable: '(Google Chrome|Chromium|Brave Browser|Microsoft Edge|Firefox|Safari)\\.app/' },
+      { executable: '/(google-chrome|chromium|firefox|brave|microsoft-edge|opera|vivaldi)/' }
+    ]
+  },
+  chat: {
+    label: 'Chat',
+    icon: '💬',
+    kind: 'distraction',
+    rules: [
+      '^(slack|discord|teams|ms-teams|telegram(-desktop)?|signal(-desktop)?|whatsapp|zoom|zoom\\.us|skype(forlinux)?|element|mattermost|rocketchat|wechat|caprine)$',
+      '^(Slack|Discord|Microsoft Teams|Telegram|Signal|WhatsApp|zoom\\.us|Skype|Element|Mattermost)( Helper.*)?$',
+      { executable: '(Slack|Discord|Microsoft Teams|Telegram|Signal|WhatsApp|zoom\\.us|Element)\\.app/' },
+      { executable: '/(slack|discord|teams-for-linux|telegram|signal-desktop|zoom|element-desktop)/' }
+    ]
+  },
+  container: {
+    label: 'Containers',
+    icon: '📦',
+    kind: 'infrastructure',
+    rules: [
+      '^(dockerd|docker|docker-proxy|containerd|containerd-shim.*|runc|podman|conmon|buildkitd|colima|lima|limactl|kubelet|k3s|kind|minikube|qemu-system.*|com\\.docker\\..*|Docker Desktop)$',
+      { parent: '^(containerd-shim.*|conmon)$' }
+    ]
+  },
+  database: {
+    label: 'Database',
+    icon: '🗄️',
+    kind: 'infrastructure',
+    rules: [
+      '^(postgres|postmaster|mysqld|mariadbd|mongod|mongos|redis-server|valkey-server|memcached|clickhouse(-server)?|cockroach|influxd|etcd|sqlite3|couchdb|neo4j|cassandra)$',
+      { command: '\\b(elasticsearch|opensearch|cassandra|neo4j|kafka\\.Kafka|zookeeper)\\b' },
+      { parent: '^(postgres|postmaster)$' }
+    ]
+  }
+};
+
+function compile(pattern, where) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error(`${where} must be a regular expression string`);
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+function compileRule(rule, where) {
+  if (typeof rule === 'string') rule = { name: rule };
+  if (!rule || typeof rule !== 'object') throw new Error(`${where} must be a pattern or an object`);
+
+  const fields = ['name', 'executable', 'command', 'parent'].filter(field => rule[field] !== undefined);
+  if (fields.length === 0) throw new Error(`${where} needs a "name", "executable", "command" or "parent" pattern`);
+  return Object.fromEntries(fields.map(field => [field, compile(rule[field], `${where}.${field}`)]));
+}
+
+// Later layers win: a category's rules are put in front of the ones it
+// overrides (or replace them with `replace: true`); `disabled` drops it
+function merge(categories, layer, source) {
+  const merged = { ...categories };
+  for (const [name, override] of Object.entries(layer.categories || {})) {
+    const where = `${source}: classification.categories.${name}`;
+    if (override.disabled) {
+      delete merged[name];
+      continue;
+    }
+
+    const base = merged[name];
+    if (!base && !override.rules) throw new Error(`${where} is a new category and needs "rules"`);
+    const kind = override.kind || base?.kind || 'other';
+    if (!KINDS.includes(kind)) throw new Error(`${where}.kind must be one of ${KINDS.join(', ')}`);
+
+    const rules = (override.rules || []).map((rule, i) => ({
+      ...compileRule(rule, `${where}.rules[${i}]`),
+      source
+    }));
+    merged[name] = {
+      label: override.label || base?.label || name,
+      icon: override.icon || base?.icon || '•',
+      kind,
+      rules: override.replace || !base ? rules : [...rules, ...base.rules]
+    };
+  }
+
+  // Categories the layer adds go after the ones it only adjusts
+  const order = [...Object.keys(categories), ...Object.keys(merged)]
+    .filter((name, i, names) => merged[name] && names.indexOf(name) === i);
+  return Object.fromEntries(order.map(name => [name, merged[name]]));
+}
+
+// Sorts running processes into categories (editor, build, browser...) from
+// patterns on their name, command line and parent. Defaults can be adjusted
+// in config.json and per project in .atmosphere.json, both under
+// "classification"
+class ProcessClassifier {
+  constructor(layers = []) {
+    const defaults = Object.fromEntries(Object.entries(DEFAULT_CATEGORIES).map(([name, category]) => [name, {
+      ...category,
+      rules: category.rules.map((rule, i) => ({ ...compileRule(rule, `${name}.rules[${i}]`), source: 'default' }))
+    }]));
+
+    this.categories = layers.reduce((categories, { config, source }) => merge(categories, config, source), defaults);
+    this.ignore = layers.flatMap(({ config, source }) =>
+      (config.ignore || []).map((pattern, i) => compile(pattern, `${source}: classification.ignore[${i}]`)));
+    this.sources = layers.map(layer => layer.source);
+  }
+
+  // Nearest .atmosphere.json from the working directory up
+  static async findProjectFile(cwd = process.cwd()) {
+    let dir = path.resolve(cwd);
+    for (;;) {
+      const file = path.join(dir, PROJECT_FILE);
+      if (await fs.pathExists(file)) return file;
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  // A broken override is reported and skipped, never fatal
+  static async load(options = {}) {
+    const config = options.config || await loadConfig();
+    const layers = [];
+    if (config.classification) {
+      layers.push({ config: config.classification, source: 'config.json' });
+    }
+
+    const projectFile = options.projectFile !== undefined ? options.projectFile : await ProcessClassifier.findProjectFile(options.cwd);
+    if (projectFile) {
+      try {
+        const project = await fs.readJson(projectFile);
+        if (project.classification) layers.push({ config: project.classification, source: projectFile });
+      } catch (error) {
+        console.warn(`Could not load ${projectFile}:`, error.message);
+      }
+    }
+
+    // Drop whichever layer does not compile, keeping the rest
+    for (let i = layers.length; i > 0; i--) {
+      try {
+        return new ProcessClassifier(layers);
+      } catch (error) {
+        console.warn(chalk.yellow(`Ignoring process classification overrides: ${error.message}`));
+        const bad = layers.findIndex(layer => error.message.startsWith(`${layer.source}:`));
+        layers.splice(bad === -1 ? layers.length - 1 : bad, 1);
+      }
+    }
+    return new ProcessClassifier();
+  }
+
+  static executable(proc) {
+    const command = proc.command || proc.name || '';
+    return proc.path && command && !command.startsWith('/') ? path.join(proc.path, command) : command;
+  }
+
+  static commandLine(proc) {
+    return [ProcessClassifier.executable(proc), proc.params].filter(Boolean).join(' ');
+  }
+
+  matches(rule, proc, parent) {
+    if (rule.name && !rule.name.test(proc.name || '')) return false;
+    if (rule.executable && !rule.executable.test(ProcessClassifier.executable(proc))) return false;
+    if (rule.command && !rule.command.test(ProcessClassifier.commandLine(proc))) return false;
+    if (rule.parent && !(parent && rule.parent.test(parent.name || ''))) return false;
+    return true;
+  }
+
+  // The category name, or null when nothing matches
+  classify(proc, parent = null) {
+    if (this.ignore.some(pattern => pattern.test(proc.name || ''))) return null;
+    for (const [name, category] of Object.entries(this.categories)) {
+      if (category.rules.some(rule => this.matches(rule, proc, parent))) return name;
+    }
+    return null;
+  }
+
+  classifyAll(list) {
+    const byPid = new Map(list.map(proc => [proc.pid, proc]));
+    return list.map(proc => ({ proc, category: this.classify(proc, byPid.get(proc.parentPid)) }));
+  }
+
+  // Per category: how many processes, which programs, and what they use.
+  // Programs are counted once however many helper processes they run
+  summarize(list) {
+    const summary = {};
+    for (const { proc, category } of this.classifyAll(list)) {
+      if (!category) continue;
+      const { label, icon, kind } = this.categories[category];
+      const entry = summary[category] || (summary[category] = { label, icon, kind, processes: 0, cpu: 0, mem: 0, memRss: 0, programs: [], pids: [] });
+      entry.processes++;
+      entry.cpu += proc.cpu || 0;
+      entry.mem += proc.mem || 0;
+      entry.memRss += proc.memRss || 0;
+      entry.pids.push(proc.pid);
+      const program = path.basename(proc.name || '?');
+      if (!entry.programs.includes(program)) entry.programs.push(program);
+    }
+    return summary;
+  }
+
+  ofKind(summary, kind) {
+    return Object.entries(summary).filter(([, entry]) => entry.kind === kind);
+  }
+
+  // One line for reports: "📝 Editor (code, nvim) · 🌐 Browser (chrome)"
+  static describeActivity(summary) {
+    const entries = Object.values(summary || {});
+    if (entries.length === 0) return null;
+    return entries
+      .map(entry => `${entry.icon} ${entry.label} (${entry.programs.slice(0, 3).join(', ')}${entry.programs.length > 3 ? ', …' : ''})`)
+      .join(' · ');
+  }
+
+  display(list, options = {}) {
+    const table = new Table({
+      head: ['Category', 'Kind', 'Programs', 'Processes', 'CPU', 'Memory'].map(h => chalk.blue(h)),
+      colWidths: [18, 16, 44, 11, 9, 10],
+      wordWrap: true
+    });
+
+    const summary = this.summarize(list);
+    for (const entry of Object.values(summary)) {
+      table.push([
+        `${entry.icon} ${entry.label}`,
+        entry.kind,
+        entry.programs.join(', '),
+        entry.processes,
+        `${entry.cpu.toFixed(1)}%`,
+        `${entry.mem.toFixed(1)}%`
+      ]);
+    }
+
+    console.log(chalk.bold.cyan('\n🗂️  Process Categories'));
+    if (table.length === 0) {
+      console.log(chalk.gray('  No running process matches a category.'));
+    } else {
+      console.log(table.toString());
+    }
+
+    if (options.all) {
+      const unmatched = [...new Set(this.classifyAll(list).filter(c => !c.category).map(c => c.proc.name))].sort();
+      console.log(chalk.gray(`\n  Unclassified: ${unmatched.join(', ') || 'none'}`));
+    }
+
+    const layers = this.sources.length ? this.sources.join(', ') : 'none';
+    console.log(chalk.gray(`  Overrides: ${layers} (add "classification" to config.json or ${PROJECT_FILE})`));
+  }
+}
+
+ProcessClassifier.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+ProcessClassifier.KINDS = KINDS;
+ProcessClassifier.PROJECT_FILE = PROJECT_FILE;
+
+module.exports = ProcessClassifier;
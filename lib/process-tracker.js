@@ -0,0 +1,223 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('./locks');
+const { linearRegression, mean } = require('./stats');
+const { formatDuration } = require('./time');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const MB = 1024 * 1024;
+
+const MAX_POINTS = 120;
+const SAVE_INTERVAL = MINUTE;
+
+const DEFAULTS = {
+  minDuration: 10 * MINUTE,
+  minPoints: 8,
+  // A leak grows steadily: the fit must explain most of the variation...
+  minR2: 0.7,
+  // ...and the growth must matter, in absolute and relative terms
+  minGrowthPerHour: 5 * MB,
+  minRelativeGrowthPerHour: 0.02
+};
+
+function formatBytes(bytes) {
+  if (Math.abs(bytes) >= 1024 * MB) return `${(bytes / 1024 / MB).toFixed(2)} GB`;
+  return `${(bytes / MB).toFixed(1)} MB`;
+}
+
+// Follows every process across samples. A pid can be reused, so processes
+// are keyed by pid plus start time. The state is saved for `atmosphere leaks`
+class ProcessTracker {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.stateFile = path.join(this.dataDir, 'processes.json');
+    this.settings = { ...DEFAULTS, ...options.leaks };
+    this.processes = new Map();
+    this.memory = null;
+    this.updatedAt = null;
+    this.savedAt = 0;
+  }
+
+  key(proc) {
+    return `${proc.pid}:${proc.started || ''}`;
+  }
+
+  observe(list, time, memory = null) {
+    const seen = new Set();
+
+    for (const proc of list) {
+      // Kernel threads have no resident memory of their own
+      if (!proc.memRss) continue;
+
+      const key = this.key(proc);
+      seen.add(key);
+      let tracked = this.processes.get(key);
+      if (!tracked) {
+        tracked = {
+          pid: proc.pid,
+          name: proc.name,
+          command: proc.command || proc.name,
+          started: proc.started || null,
+          points: []
+        };
+        this.processes.set(key, tracked);
+      }
+
+      // memRss is reported in KiB
+      tracked.points.push([time, proc.memRss * 1024, proc.cpu || 0]);
+      if (tracked.points.length > MAX_POINTS) {
+        this.thin(tracked.points);
+      }
+    }
+
+    // Whatever did not show up has exited
+    for (const key of this.processes.keys()) {
+      if (!seen.has(key)) this.processes.delete(key);
+    }
+
+    if (memory) {
+      this.memory = { total: memory.total, available: memory.available };
+    }
+    this.updatedAt = time;
+  }
+
+  // Drops every other point from the older half, so long-lived processes keep
+  // their whole history at a coarser resolution
+  thin(points) {
+    const half = Math.floor(points.length / 2);
+    const older = points.slice(0, half).filter((point, i) => i % 2 === 0);
+    points.splice(0, half, ...older);
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.stateFile)) {
+        const state = await fs.readJson(this.stateFile);
+        this.processes = new Map(Object.entries(state.processes || {}));
+        this.memory = state.memory || null;
+        this.updatedAt = state.updatedAt || null;
+      }
+    } catch (error) {
+      console.warn('Could not load process history:', error.message);
+    }
+    return this;
+  }
+
+  async save(now = Date.now(), force = false) {
+    // Rewriting every tick would mean hundreds of KB every few seconds
+    if (!force && now - this.savedAt < SAVE_INTERVAL) return;
+    this.savedAt = now;
+
+    try {
+      await fs.ensureDir(this.dataDir);
+      // `atmosphere leaks` reads this while the monitor rewrites it
+      await writeJsonAtomic(this.stateFile, {
+        updatedAt: this.updatedAt,
+        memory: this.memory,
+        processes: Object.fromEntries(this.processes)
+      });
+    } catch (error) {
+      console.warn('Could not save process history:', error.message);
+    }
+  }
+
+  analyze(tracked) {
+    const points = tracked.points;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const duration = last[0] - first[0];
+    const fit = linearRegression(points.map(([time, rss]) => ({ x: (time - first[0]) / HOUR, y: rss })));
+
+    return {
+      pid: tracked.pid,
+      name: tracked.name,
+      command: tracked.command,
+      started: tracked.started,
+      samples: points.length,
+      duration,
+      rss: last[1],
+      startRss: first[1],
+      growthPerHour: fit.slope,
+      r2: fit.r2,
+      cpu: mean(points.map(point => point[2]))
+    };
+  }
+
+  isSuspect(stats) {
+    const s = this.settings;
+    return stats.duration >= s.minDuration &&
+      stats.samples >= s.minPoints &&
+      stats.r2 >= s.minR2 &&
+      stats.growthPerHour >= s.minGrowthPerHour &&
+      stats.growthPerHour >= stats.startRss * s.minRelativeGrowthPerHour;
+  }
+
+  // Leak suspects are judged on sustained growth, not on size
+  suspects() {
+    return [...this.processes.values()]
+      .filter(tracked => tracked.points.length >= 2)
+      .map(tracked => this.analyze(tracked))
+      .filter(stats => this.isSuspect(stats))
+      .map(stats => ({ ...stats, timeToOom: this.timeToOom(stats) }))
+      .sort((a, b) => b.growthPerHour - a.growthPerHour);
+  }
+
+  // Assumes nothing else grows: how long until this process alone uses up
+  // the memory that is still available
+  timeToOom(stats) {
+    if (!this.memory || !this.memory.available || stats.growthPerHour <= 0) return null;
+    return (this.memory.available / stats.growthPerHour) * HOUR;
+  }
+
+  async displayLeaks() {
+    await this.load();
+
+    if (this.processes.size === 0) {
+      console.log(chalk.yellow('\nNo process history yet - leak detection needs `atmosphere monitor` or `atmosphere serve` running for a while.'));
+      return;
+    }
+
+    const age = Date.now() - this.updatedAt;
+    if (age > 5 * MINUTE) {
+      console.log(chalk.yellow(`\n⚠️  Process history is ${formatDuration(age)} old - is the monitor still running?`));
+    }
+
+    const suspects = this.suspects();
+    if (suspects.length === 0) {
+      const longest = Math.max(...[...this.processes.values()].map(t => t.points[t.points.length - 1][0] - t.points[0][0]));
+      console.log(chalk.green(`\n✅ No leak suspects among ${this.processes.size} processes (tracked for up to ${formatDuration(longest)}).`));
+      return;
+    }
+
+    const table = new Table({
+      head: ['PID', 'Process', 'RSS', 'Growth', 'Tracked for', 'Fit', 'CPU avg', 'Time to OOM'].map(h => chalk.blue(h))
+    });
+
+    suspects.forEach(stats => {
+      const oom = stats.timeToOom === null ? '—' : formatDuration(stats.timeToOom);
+      table.push([
+        stats.pid,
+        stats.name,
+        `${formatBytes(stats.rss)}\n${chalk.gray(`from ${formatBytes(stats.startRss)}`)}`,
+        `${formatBytes(stats.growthPerHour)}/h`,
+        formatDuration(stats.duration),
+        `R² ${stats.r2.toFixed(2)}`,
+        `${stats.cpu.toFixed(1)}%`,
+        stats.timeToOom !== null && stats.timeToOom < 4 * HOUR ? chalk.red(oom) : oom
+      ]);
+    });
+
+    console.log(chalk.bold.cyan('\n💧 Memory Leak Suspects'));
+    console.log(table.toString());
+    if (this.memory) {
+      console.log(chalk.gray(`  ${formatBytes(this.memory.available)} of ${formatBytes(this.memory.total)} available; time to OOM assumes the growth continues at the same rate`));
+    }
+  }
+}
+
+ProcessTracker.DEFAULTS = DEFAULTS;
+
+module.exports = ProcessTracker;
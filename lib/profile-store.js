@@ -0,0 +1,422 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const ChangeJournal = require('./change-journal');
+
+const PROFILE_VERSION = 2;
+const EXPORT_FORMAT = 'terminal-atmosphere-profile';
+const OPTIMIZATIONS = ['cpu', 'memory', 'disk', 'processes', 'network'];
+const CLEANUP_TARGETS = ['temp', 'cache', 'logs', 'downloads'];
+const NAME = /^[\w.-]+$/;
+
+// Filled in wherever the user did not choose: limits only, so a profile
+// never renices, drops caches or deletes files unless asked to
+const DEFAULT_SETTINGS = {
+  cpu: { maxUsage: 80, autoBalance: false, renice: [] },
+  memory: { maxUsage: 85, autoCleanup: false, groups: [] },
+  disk: { cleanupThreshold: 90, cleanupTargets: [] },
+  processes: { maxProcesses: 200, autoKillZombies: false },
+  network: { maxLatency: 100, optimizeDNS: false }
+};
+
+// Limits taken from a usage reading sit this many points above it
+const HEADROOM = 10;
+
+function isRegex(value) {
+  if (typeof value !== 'string' || value === '') return false;
+  try {
+    new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const is = {
+  boolean: { test: v => typeof v === 'boolean', expected: 'true or false' },
+  percent: { test: v => typeof v === 'number' && v > 0 && v <= 100, expected: 'a percentage from 1 to 100' },
+  positive: { test: v => typeof v === 'number' && v > 0, expected: 'a positive number' },
+  count: { test: v => Number.isInteger(v) && v > 0, expected: 'a positive whole number' },
+  nice: { test: v => Number.isInteger(v) && v >= -20 && v <= 19, expected: 'a nice value from -20 to 19' },
+  regex: { test: isRegex, expected: 'a regular expression' },
+  cpus: { test: v => /^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(String(v)), expected: 'a CPU list like 0-3,6' },
+  size: { test: v => /^(\d+[KMGT]?|max)$/i.test(String(v)), expected: 'a size like 512M or 2G' },
+  groupName: { test: v => typeof v === 'string' && /^[\w-]+$/.test(v), expected: 'letters, digits, "-" and "_"' }
+};
+
+const optional = rule => ({ ...rule, optional: true });
+const listOf = fields => ({ list: fields });
+const targets = {
+  test: v => Array.isArray(v) && v.every(t => CLEANUP_TARGETS.includes(t)),
+  expected: `a list of ${CLEANUP_TARGETS.join(', ')}`,
+  split: true
+};
+
+// Every setting a profile can carry, and what SystemTuner and the alert
+// rules expect it to look like
+const SETTINGS_SCHEMA = {
+  cpu: {
+    maxUsage: is.percent,
+    autoBalance: is.boolean,
+    renice: listOf({ match: is.regex, nice: is.nice }),
+    affinity: listOf({ match: is.regex, cpus: is.cpus })
+  },
+  memory: {
+    maxUsage: is.percent,
+    autoCleanup: is.boolean,
+    groups: listOf({ name: is.groupName, match: is.regex, memoryMax: optional(is.size), cpuMax: optional(is.positive) })
+  },
+  disk: {
+    cleanupThreshold: is.percent,
+    cleanupTargets: targets
+  },
+  processes: {
+    maxProcesses: is.count,
+    autoKillZombies: is.boolean
+  },
+  network: {
+    maxLatency: is.positive,
+    optimizeDNS: is.boolean
+  }
+};
+
+// Settings sections are all optional; fields of list items are required
+function validateFields(value, schema, where, errors, required) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+
+  Object.keys(value)
+    .filter(key => !schema[key])
+    .forEach(key => errors.push(`${where}.${key} is not a known setting`));
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = value[key];
+    if (field === undefined) {
+      if (required && !rule.optional) errors.push(`${where}.${key} is required`);
+      continue;
+    }
+    if (rule.list) {
+      if (!Array.isArray(field)) {
+        errors.push(`${where}.${key} must be a list`);
+      } else {
+        field.forEach((item, i) => validateFields(item, rule.list, `${where}.${key}[${i}]`, errors, true));
+      }
+    } else if (!rule.test(field)) {
+      errors.push(`${where}.${key} must be ${rule.expected} (got ${JSON.stringify(field)})`);
+    }
+  }
+}
+
+function validate(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['profile must be an object'];
+
+  if (profile.version !== PROFILE_VERSION) errors.push(`version must be ${PROFILE_VERSION}`);
+  if (typeof profile.name !== 'string' || !NAME.test(profile.name)) errors.push('name must use letters, digits, ".", "-" and "_"');
+  if (typeof profile.description !== 'string') errors.push('description must be text');
+  ['created', 'updated'].forEach(field => {
+    if (Number.isNaN(Date.parse(profile[field]))) errors.push(`${field} must be a date`);
+  });
+
+  if (!Array.isArray(profile.optimizations)) {
+    errors.push('optimizations must be a list');
+  } else {
+    profile.optimizations
+      .filter(o => !OPTIMIZATIONS.includes(o))
+      .forEach(o => errors.push(`optimizations: "${o}" is not one of ${OPTIMIZATIONS.join(', ')}`));
+  }
+
+  const settings = profile.settings;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    errors.push('settings must be an object');
+  } else {
+    for (const [section, value] of Object.entries(settings)) {
+      if (!SETTINGS_SCHEMA[section]) {
+        errors.push(`settings.${section} is not one of ${OPTIMIZATIONS.join(', ')}`);
+      } else {
+        validateFields(value, SETTINGS_SCHEMA[section], `settings.${section}`, errors, false);
+      }
+    }
+  }
+
+  if (profile.recommendations !== undefined && !Array.isArray(profile.recommendations)) {
+    errors.push('recommendations must be a list');
+  }
+  return errors;
+}
+
+function clampPercent(value) {
+  return Math.min(100, Math.max(1, Math.round(value)));
+}
+
+function withHeadroom(usage) {
+  return clampPercent(usage + HEADROOM);
+}
+
+// Version 1 had no version field and two shapes: createProfile wrote
+// settings per optimization, createProfileFromAnalysis wrote thresholds and
+// recommendations under settings
+function migrate(raw, name) {
+  const version = raw.version || 1;
+  if (version > PROFILE_VERSION) {
+    throw new Error(`Profile "${name}" uses schema v${version}; this version of atmosphere only knows v${PROFILE_VERSION}`);
+  }
+  if (version === PROFILE_VERSION) return { profile: raw, notes: [] };
+
+  const notes = [];
+  const old = raw.settings || {};
+  const settings = {};
+  OPTIMIZATIONS.filter(type => old[type]).forEach(type => {
+    settings[type] = { ...old[type] };
+  });
+
+  const requested = (raw.optimizations || []).map(o => String(o).toLowerCase());
+  const optimizations = [...new Set(requested.filter(o => OPTIMIZATIONS.includes(o)))];
+  const dropped = requested.filter(o => !OPTIMIZATIONS.includes(o));
+  if (dropped.length) notes.push(`dropped unknown optimizations: ${[...new Set(dropped)].join(', ')}`);
+
+  // v1 thresholds are the usage seen when the profile was made, so they get
+  // the same headroom new analysis profiles do
+  const thresholds = old.thresholds;
+  if (thresholds) {
+    if (typeof thresholds.cpu === 'number') {
+      settings.cpu = { ...DEFAULT_SETTINGS.cpu, ...settings.cpu, maxUsage: withHeadroom(thresholds.cpu) };
+    }
+    if (typeof thresholds.memory === 'number') {
+      settings.memory = { ...DEFAULT_SETTINGS.memory, ...settings.memory, maxUsage: withHeadroom(thresholds.memory) };
+    }
+    if (Array.isArray(thresholds.disk) && thresholds.disk.length) {
+      settings.disk = { ...DEFAULT_SETTINGS.disk, ...settings.disk, cleanupThreshold: withHeadroom(Math.max(...thresholds.disk)) };
+    }
+    notes.push('moved settings.thresholds into the cpu, memory and disk limits');
+  }
+
+  optimizations.filter(type => !settings[type]).forEach(type => {
+    settings[type] = { ...DEFAULT_SETTINGS[type] };
+    notes.push(`filled in default ${type} settings`);
+  });
+
+  const profile = {
+    version: PROFILE_VERSION,
+    name: raw.name || name,
+    description: raw.description || '',
+    created: raw.created || new Date().toISOString(),
+    updated: new Date().toISOString(),
+    optimizations,
+    settings
+  };
+  if (old.recommendations) {
+    profile.recommendations = old.recommendations;
+  }
+  return { profile, notes };
+}
+
+// "true", "70" and JSON lists arrive from the command line as strings
+function parseValue(text, rule) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return rule?.split ? text.split(',').map(s => s.trim()).filter(Boolean) : text;
+  }
+}
+
+// Profiles live as one JSON file each under profiles/. Every write goes
+// through the change journal, so edits, renames and deletes can be undone
+class ProfileStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.profilesDir = path.join(this.dataDir, 'profiles');
+    this.activeProfileFile = path.join(this.dataDir, 'active-profile.json');
+    this.journal = options.journal || new ChangeJournal({ dataDir: this.dataDir });
+  }
+
+  fileFor(name) {
+    if (typeof name !== 'string' || !NAME.test(name)) {
+      throw new Error(`Invalid profile name "${name}" - use letters, digits, ".", "-" and "_"`);
+    }
+    return path.join(this.profilesDir, `${name}.json`);
+  }
+
+  async exists(name) {
+    return fs.pathExists(this.fileFor(name));
+  }
+
+  static assertValid(profile) {
+    const errors = validate(profile);
+    if (errors.length) {
+      throw new Error(`Profile "${profile?.name}" is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+  }
+
+  // Older files are migrated and rewritten the first time they are read
+  async load(name) {
+    const file = this.fileFor(name);
+    if (!await fs.pathExists(file)) return null;
+
+    const raw = await fs.readJson(file);
+    const { profile, notes } = migrate(raw, name);
+    ProfileStore.assertValid(profile);
+
+    if (profile !== raw) {
+      await this.write([profile], `Migrated profile "${name}" to schema v${PROFILE_VERSION}`);
+      console.log(chalk.gray(`Migrated profile "${name}" to schema v${PROFILE_VERSION}${notes.length ? `: ${notes.join('; ')}` : ''}`));
+    }
+    return profile;
+  }
+
+  async list() {
+    await fs.ensureDir(this.profilesDir);
+    const files = (await fs.readdir(this.profilesDir)).filter(f => f.endsWith('.json'));
+
+    const results = [];
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      try {
+        results.push({ name, profile: await this.load(name) });
+      } catch (error) {
+        results.push({ name, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async activeName() {
+    try {
+      if (await fs.pathExists(this.activeProfileFile)) {
+        return (await fs.readJson(this.activeProfileFile)).name || null;
+      }
+    } catch (error) {
+      console.warn('Could not read active profile:', error.message);
+    }
+    return null;
+  }
+
+  // Writes profiles (and removes files) as one journal entry
+  async write(profiles, description, extraChanges = [], removed = []) {
+    const changes = [...extraChanges];
+    for (const profile of profiles) {
+      changes.push(await this.journal.writeFile(this.fileFor(profile.name), JSON.stringify(profile, null, 2) + '\n'));
+    }
+    for (const file of removed) {
+      const change = await this.journal.captureFile(file);
+      await fs.remove(file);
+      changes.push({ ...change, after: null });
+    }
+    return this.journal.record({ source: 'profile', description, changes });
+  }
+
+  async create(profile, options = {}) {
+    const now = new Date().toISOString();
+    const complete = { version: PROFILE_VERSION, created: now, ...profile, updated: now };
+    ProfileStore.assertValid(complete);
+
+    if (!options.force && await this.exists(complete.name)) {
+      throw new Error(`Profile "${complete.name}" already exists`);
+    }
+    await this.write([complete], `${options.verb || 'Created'} profile "${complete.name}"`);
+    return complete;
+  }
+
+  async require(name) {
+    const profile = await this.load(name);
+    if (!profile) {
+      throw new Error(`Profile "${name}" not found`);
+    }
+    return profile;
+  }
+
+  async edit(name, edits = {}) {
+    const profile = await this.require(name);
+    const updated = JSON.parse(JSON.stringify(profile));
+
+    if (edits.description !== undefined) {
+      updated.description = edits.description;
+    }
+
+    for (const type of edits.enable || []) {
+      if (!OPTIMIZATIONS.includes(type)) {
+        throw new Error(`Unknown optimization "${type}" - use ${OPTIMIZATIONS.join(', ')}`);
+      }
+      if (!updated.optimizations.includes(type)) updated.optimizations.push(type);
+      updated.settings[type] = updated.settings[type] || { ...DEFAULT_SETTINGS[type] };
+    }
+    updated.optimizations = updated.optimizations.filter(type => !(edits.disable || []).includes(type));
+
+    for (const assignment of edits.set || []) {
+      const match = assignment.match(/^(\w+)\.(\w+)=(.*)$/);
+      if (!match) {
+        throw new Error(`Cannot parse "${assignment}" - use section.setting=value, e.g. cpu.maxUsage=70`);
+      }
+      const [, section, key, text] = match;
+      if (!SETTINGS_SCHEMA[section]) {
+        throw new Error(`Unknown settings section "${section}" - use ${OPTIMIZATIONS.join(', ')}`);
+      }
+      updated.settings[section] = updated.settings[section] || {};
+      updated.settings[section][key] = parseValue(text, SETTINGS_SCHEMA[section][key]);
+    }
+
+    updated.updated = new Date().toISOString();
+    ProfileStore.assertValid(updated);
+    await this.write([updated], `Edited profile "${name}"`);
+    return updated;
+  }
+
+  async rename(name, newName) {
+    const profile = await this.require(name);
+    if (await this.exists(newName)) {
+      throw new Error(`Profile "${newName}" already exists`);
+    }
+
+    const renamed = { ...profile, name: newName, updated: new Date().toISOString() };
+    ProfileStore.assertValid(renamed);
+
+    const extra = [];
+    if (await this.activeName() === name) {
+      const active = await fs.readJson(this.activeProfileFile);
+      extra.push(await this.journal.writeFile(this.activeProfileFile, JSON.stringify({ ...active, name: newName }, null, 2) + '\n'));
+    }
+    await this.write([renamed], `Renamed profile "${name}" to "${newName}"`, extra, [this.fileFor(name)]);
+    return renamed;
+  }
+
+  async remove(name) {
+    await this.require(name);
+    const removed = [this.fileFor(name)];
+    // Nothing is active any more once its profile is gone
+    if (await this.activeName() === name) {
+      removed.push(this.activeProfileFile);
+    }
+    return this.write([], `Deleted profile "${name}"`, [], removed);
+  }
+
+  async exportTo(name, file) {
+    const profile = await this.require(name);
+    const document = { format: EXPORT_FORMAT, version: PROFILE_VERSION, exportedAt: new Date().toISOString(), profile };
+    await fs.writeJson(file, document, { spaces: 2 });
+    return profile;
+  }
+
+  // Accepts exported documents and bare profile files, from any schema version
+  async importFrom(file, options = {}) {
+    const document = await fs.readJson(file);
+    const raw = document.format === EXPORT_FORMAT ? document.profile : document;
+    if (!raw || typeof raw !== 'object' || !raw.settings) {
+      throw new Error(`${file} is not a profile export`);
+    }
+
+    const name = options.name || raw.name || path.basename(file, '.json');
+    const { profile } = migrate(raw, name);
+    return this.create({ ...profile, name }, { force: options.force, verb: 'Imported' });
+  }
+}
+
+ProfileStore.PROFILE_VERSION = PROFILE_VERSION;
+ProfileStore.OPTIMIZATIONS = OPTIMIZATIONS;
+ProfileStore.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+ProfileStore.withHeadroom = withHeadroom;
+ProfileStore.validate = validate;
+ProfileStore.migrate = migrate;
+
+module.exports = ProfileStore;
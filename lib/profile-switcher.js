@@ -0,0 +1,280 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const cron = require('node-cron');
+const TimeMatcher = require('node-cron/src/time-matcher');
+const fs = require('fs-extra');
+const path = require('path');
+const AlertEngine = require('./alert-engine');
+const { parseDuration, formatDuration } = require('./time');
+
+const MINUTE = 60 * 1000;
+const SAVE_INTERVAL = MINUTE;
+// Windows are found by walking back minute by minute from now
+const MAX_SCHEDULE_DURATION = 7 * 24 * 60 * MINUTE;
+
+const DEFAULTS = {
+  enabled: true,
+  default: null,
+  cooldown: '5m',
+  manualHold: '1h',
+  rules: []
+};
+
+// Picks the profile that should be active from schedule, metric and
+// process-activity rules, first matching rule wins. A profile applied by
+// hand holds for a while before rules take over again
+class ProfileSwitcher {
+  constructor(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    this.enabled = settings.enabled !== false && settings.rules.length > 0;
+    this.defaultProfile = settings.default;
+    this.cooldown = parseDuration(settings.cooldown);
+    this.manualHold = parseDuration(settings.manualHold);
+    this.rules = settings.rules.map((rule, i) => ProfileSwitcher.normalizeRule(rule, i));
+    this.optimizer = options.optimizer || null;
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.stateFile = path.join(this.dataDir, 'switching.json');
+
+    this.pending = new Map();
+    this.lastSwitchAt = 0;
+    this.baseline = null;
+    this.last = null;
+    this.savedAt = 0;
+  }
+
+  static fromConfig(config = {}, options = {}) {
+    return new ProfileSwitcher({ ...config.switching, ...options });
+  }
+
+  static normalizeRule(rule, index) {
+    if (!rule.profile) throw new Error(`Switching rule ${index + 1} is missing a "profile"`);
+    const id = rule.id || `${rule.profile}-${index + 1}`;
+
+    if (!rule.schedule && !rule.processes && !rule.metric) {
+      throw new Error(`Switching rule "${id}" needs a "schedule", "processes" or "metric" condition`);
+    }
+    if (rule.schedule && (!cron.validate(rule.schedule) || rule.schedule.trim().split(/\s+/).length !== 5)) {
+      throw new Error(`Switching rule "${id}" has an invalid cron schedule "${rule.schedule}" (use minute hour day month weekday)`);
+    }
+    // The cron expression says when the window opens, duration how long it stays open
+    const duration = rule.schedule && rule.duration !== undefined ? parseDuration(rule.duration) : null;
+    if (rule.schedule && !(duration > 0 && duration <= MAX_SCHEDULE_DURATION)) {
+      throw new Error(`Switching rule "${id}" needs a "duration" for its schedule, up to 7d (e.g. "0 9 * * 1-5" for "3h")`);
+    }
+    if (rule.metric) {
+      // Reuse the alert rule checks for metric/op/value
+      AlertEngine.normalizeRule({ id, metric: rule.metric, op: rule.op, value: rule.value });
+    }
+
+    const processes = rule.processes ? [].concat(rule.processes) : null;
+    return {
+      ...rule,
+      id,
+      processes,
+      patterns: processes && processes.map(p => new RegExp(`(^|/)${p}\\b`, 'i')),
+      for: rule.for ? parseDuration(rule.for) : 0,
+      duration,
+      matcher: rule.schedule ? new TimeMatcher(`0 ${rule.schedule.trim()}`) : null
+    };
+  }
+
+  // When the schedule window around `now` opened, or null outside it. Worked
+  // out from the clock alone, so any sample interval and a restart in the
+  // middle of a window both see it
+  static windowStart(rule, now) {
+    const minute = Math.floor(now / MINUTE) * MINUTE;
+    for (let start = minute; start > now - rule.duration; start -= MINUTE) {
+      if (rule.matcher.match(new Date(start))) return start;
+    }
+    return null;
+  }
+
+  // Each condition of a rule, and whether it holds right now
+  check(rule, sample, processes, now) {
+    const conditions = [];
+
+    if (rule.schedule) {
+      const start = ProfileSwitcher.windowStart(rule, now);
+      const window = `schedule "${rule.schedule}" for ${formatDuration(rule.duration)}`;
+      conditions.push({
+        ok: start !== null,
+        detail: start !== null ? `in ${window}, ${formatDuration(start + rule.duration - now)} left` : `outside ${window}`
+      });
+    }
+
+    if (rule.processes) {
+      const running = processes.find(p => rule.patterns.some(re => re.test(p.name) || re.test(p.command || '')));
+      conditions.push({
+        ok: Boolean(running),
+        detail: running ? `${running.name} is running (pid ${running.pid})` : `none of ${rule.processes.join(', ')} running`
+      });
+    }
+
+    if (rule.metric) {
+      const value = AlertEngine.resolveMetric(sample, rule.metric);
+      const matches = value !== undefined && AlertEngine.OPERATORS[rule.op](value, rule.value);
+      if (!matches) {
+        this.pending.delete(rule.id);
+      } else if (!this.pending.has(rule.id)) {
+        this.pending.set(rule.id, now);
+      }
+      const since = this.pending.get(rule.id);
+      const ok = matches && now - since >= rule.for;
+      const shown = value === undefined ? 'no data' : value.toFixed(1);
+      let detail = `${rule.metric} ${rule.op} ${rule.value} (now ${shown})`;
+      if (matches && rule.for) {
+        detail += ok ? ` for ${formatDuration(now - since)}` : `, ${formatDuration(rule.for - (now - since))} to go`;
+      }
+      conditions.push({ ok, detail });
+    }
+
+    return { ok: conditions.every(c => c.ok), conditions };
+  }
+
+  async readActive() {
+    const file = path.join(this.dataDir, 'active-profile.json');
+    try {
+      return (await fs.pathExists(file)) ? await fs.readJson(file) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Called with every monitor sample; switches at most once per cooldown
+  async update(sample, processes = [], now = Date.parse(sample.timestamp) || Date.now()) {
+    if (!this.enabled) return null;
+
+    const results = this.rules.map(rule => ({ rule, ...this.check(rule, sample, processes, now) }));
+    const matched = results.find(r => r.ok);
+    const active = await this.readActive();
+
+    // Whatever was chosen by hand is where rules return to when none match
+    if (active && !active.automatic) {
+      this.baseline = active.name;
+    }
+    const fallback = this.defaultProfile || this.baseline;
+
+    let decision = null;
+    if (matched) {
+      decision = { profile: matched.rule.profile, rule: matched.rule.id, reason: matched.conditions.map(c => c.detail).join(', ') };
+    } else if (fallback) {
+      decision = { profile: fallback, rule: null, reason: 'no switching rule matches' };
+    }
+
+    let held = null;
+    const appliedAt = active ? Date.parse(active.appliedAt) : 0;
+    if (active && !active.automatic && now - appliedAt < this.manualHold) {
+      held = `"${active.name}" was applied by hand; rules resume in ${formatDuration(this.manualHold - (now - appliedAt))}`;
+    } else if (decision && decision.profile !== active?.name && now - this.lastSwitchAt < this.cooldown) {
+      held = `switched ${formatDuration(now - this.lastSwitchAt)} ago; waiting out the ${formatDuration(this.cooldown)} cooldown`;
+    }
+
+    let switched = null;
+    if (decision && !held && decision.profile !== active?.name) {
+      const ok = await this.optimizer.applyProfile(decision.profile, {
+        quiet: true,
+        automatic: true,
+        rule: decision.rule,
+        reason: decision.reason
+      });
+      if (ok) {
+        this.lastSwitchAt = now;
+        switched = { from: active?.name || null, to: decision.profile, reason: decision.reason };
+      }
+    }
+
+    // Saved right away when a rule starts or stops matching, for `atmosphere status`
+    const signature = `${results.map(r => r.ok).join()}:${Boolean(held)}`;
+    const changed = signature !== this.last?.signature;
+    this.last = { now, active: switched ? switched.to : active?.name || null, decision, held, results, signature };
+    await this.save(now, Boolean(switched) || changed);
+    return switched;
+  }
+
+  async save(now, force = false) {
+    if (!force && now - this.savedAt < SAVE_INTERVAL) return;
+    this.savedAt = now;
+
+    try {
+      await fs.ensureDir(this.dataDir);
+      await fs.writeJson(this.stateFile, {
+        updatedAt: new Date(now).toISOString(),
+        decision: this.last.decision,
+        held: this.last.held,
+        lastSwitchAt: this.lastSwitchAt ? new Date(this.lastSwitchAt).toISOString() : null,
+        rules: this.last.results.map(({ rule, ok, conditions }) => ({
+          id: rule.id,
+          profile: rule.profile,
+          matched: ok,
+          conditions
+        }))
+      }, { spaces: 2 });
+    } catch (error) {
+      console.warn('Could not save switching state:', error.message);
+    }
+  }
+
+  async displayStatus() {
+    const active = await this.readActive();
+
+    console.log(chalk.bold.cyan('\n🎛️  Profile Status'));
+    if (!active) {
+      console.log(chalk.yellow('  No profile is active.'));
+    } else {
+      const how = active.automatic ? chalk.magenta('switched automatically') : chalk.green('applied by hand');
+      console.log(`  Active: ${chalk.bold(active.name)} - ${how} at ${new Date(active.appliedAt).toLocaleString()}`);
+      if (active.reason) {
+        console.log(chalk.gray(`  Why: ${active.reason}${active.rule ? ` (rule ${active.rule})` : ''}`));
+      }
+    }
+
+    if (this.rules.length === 0) {
+      console.log(chalk.gray('\n  No switching rules configured (add "switching.rules" to config.json).'));
+      return;
+    }
+
+    let state = null;
+    try {
+      state = (await fs.pathExists(this.stateFile)) ? await fs.readJson(this.stateFile) : null;
+    } catch (error) {
+      console.warn('Could not read switching state:', error.message);
+    }
+    const age = state ? Date.now() - Date.parse(state.updatedAt) : Infinity;
+    const fresh = age < 2 * SAVE_INTERVAL;
+
+    if (!this.enabled) {
+      console.log(chalk.yellow('\n  Automatic switching is disabled in config.json.'));
+    } else if (!fresh) {
+      console.log(chalk.yellow('\n  Automatic switching is not running - it runs inside `atmosphere monitor` and `atmosphere serve`.'));
+    } else if (state.held) {
+      console.log(chalk.yellow(`\n  On hold: ${state.held}`));
+    }
+
+    const table = new Table({
+      head: ['Rule', 'Profile', 'Conditions', 'Matches'].map(h => chalk.blue(h)),
+      wordWrap: true
+    });
+    this.rules.forEach(rule => {
+      const seen = fresh ? state.rules.find(r => r.id === rule.id) : null;
+      const conditions = seen
+        ? seen.conditions.map(c => `${c.ok ? '✓' : '✗'} ${c.detail}`).join('\n')
+        : [
+          rule.schedule && `schedule ${rule.schedule} for ${formatDuration(rule.duration)}`,
+          rule.processes && `running: ${rule.processes.join(', ')}`,
+          rule.metric && `${rule.metric} ${rule.op} ${rule.value}${rule.for ? ` for ${formatDuration(rule.for)}` : ''}`
+        ].filter(Boolean).join('\n');
+      const matches = seen ? (seen.matched ? chalk.green('yes') : 'no') : chalk.gray('—');
+      table.push([rule.id, rule.profile, conditions, matches]);
+    });
+    console.log(table.toString());
+
+    if (fresh) {
+      const note = state.decision ? `Rules pick "${state.decision.profile}": ${state.decision.reason}` : 'No rule matches and there is no default profile';
+      console.log(chalk.gray(`  ${note} (checked ${formatDuration(age)} ago)`));
+    }
+  }
+}
+
+ProfileSwitcher.DEFAULTS = DEFAULTS;
+
+module.exports = ProfileSwitcher;
@@ -0,0 +1,114 @@
+// Prometheus text exposition format (version 0.0.4)
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+class MetricFamily {
+  constructor(name, help, type = 'gauge') {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.samples = [];
+  }
+
+  add(value, labels = {}) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      this.samples.push({ value, labels });
+    }
+    return this;
+  }
+
+  render() {
+    if (this.samples.length === 0) return '';
+
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { value, labels } of this.samples) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+      lines.push(`${this.name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function renderMetrics(sample, weather) {
+  const families = [];
+  const family = (name, help, type) => {
+    const f = new MetricFamily(`atmosphere_${name}`, help, type);
+    families.push(f);
+    return f;
+  };
+
+  family('cpu_usage_percent', 'Overall CPU load').add(sample.cpu.usage);
+  const cores = family('cpu_core_usage_percent', 'Per-core CPU load');
+  sample.cpu.cores.forEach((load, core) => cores.add(load, { core }));
+  if (sample.cpu.temperature) {
+    family('cpu_temperature_celsius', 'CPU temperature').add(sample.cpu.temperature);
+  }
+
+  family('memory_total_bytes', 'Total memory').add(sample.memory.total);
+  family('memory_used_bytes', 'Used memory').add(sample.memory.used);
+  family('memory_free_bytes', 'Free memory').add(sample.memory.free);
+  family('memory_usage_percent', 'Used memory as a share of total').add(sample.memory.percentage);
+
+  const rxTotal = family('network_receive_bytes_total', 'Bytes received', 'counter');
+  const txTotal = family('network_transmit_bytes_total', 'Bytes transmitted', 'counter');
+  const rxRate = family('network_receive_bytes_per_second', 'Receive rate since the previous sample');
+  const txRate = family('network_transmit_bytes_per_second', 'Transmit rate since the previous sample');
+  (sample.network.interfaces || []).forEach(iface => {
+    const labels = { interface: iface.iface, kind: iface.kind };
+    rxTotal.add(iface.rx, labels);
+    txTotal.add(iface.tx, labels);
+    rxRate.add(iface.rxRate, labels);
+    txRate.add(iface.txRate, labels);
+  });
+  if (sample.network.peak) {
+    family('network_peak_bytes_per_second', 'Highest combined rate seen since the collector started').add(sample.network.peak.rate);
+  }
+
+  const diskSize = family('disk_size_bytes', 'Filesystem size');
+  const diskUsed = family('disk_used_bytes', 'Filesystem space used');
+  const diskUse = family('disk_usage_percent', 'Filesystem space used as a share of size');
+  const inodeUse = family('disk_inode_usage_percent', 'Filesystem inodes used as a share of all inodes');
+  sample.disk.usage.forEach(disk => {
+    const diskLabels = { fs: disk.fs, mount: disk.mount || '' };
+    diskSize.add(disk.size, diskLabels);
+    diskUsed.add(disk.used, diskLabels);
+    diskUse.add(disk.use, diskLabels);
+    inodeUse.add(disk.inodeUse, diskLabels);
+  });
+
+  const readRate = family('disk_read_bytes_per_second', 'Device read throughput since the previous sample');
+  const writeRate = family('disk_write_bytes_per_second', 'Device write throughput since the previous sample');
+  const iops = family('disk_iops', 'Device I/O operations per second');
+  const utilization = family('disk_utilization_percent', 'Share of time the device had I/O in flight');
+  const wait = family('disk_await_milliseconds', 'Average time an I/O request took, queueing included');
+  (sample.disk.io?.devices || []).forEach(device => {
+    const deviceLabels = { device: device.name };
+    readRate.add(device.readRate, deviceLabels);
+    writeRate.add(device.writeRate, deviceLabels);
+    iops.add(device.iops, deviceLabels);
+    utilization.add(device.utilization, deviceLabels);
+    wait.add(device.await, deviceLabels);
+  });
+
+  const processes = family('processes', 'Processes by state');
+  ['running', 'blocked', 'sleeping'].forEach(state => processes.add(sample.processes[state], { state }));
+  family('processes_count', 'All processes').add(sample.processes.total);
+
+  if (weather) {
+    family('weather_score', 'Combined load score behind the weather condition (0-100)').add(weather.score);
+    family('weather_condition', 'Current weather condition').add(1, { condition: weather.condition });
+  }
+
+  family('sample_timestamp_seconds', 'When the exported sample was taken').add(Date.parse(sample.timestamp) / 1000);
+
+  return families.map(f => f.render()).join('');
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  MetricFamily,
+  renderMetrics
+};
@@ -0,0 +1,434 @@
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const AIAssistant = require('./ai-assistant');
+const HistoryStore = require('./history-store');
+const HistoryReport = require('./history-report');
+const IncidentTracker = require('./incidents');
+const ProcessTracker = require('./process-tracker');
+const NetworkRates = require('./network-rates');
+const { createMetricsSource } = require('./metrics-source');
+const { parseTimeSpec, formatDuration } = require('./time');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNIT_WORDS = [
+  [/^(s|sec|secs|second|seconds)$/, 1000, 'second'],
+  [/^(m|min|mins|minute|minutes)$/, MINUTE, 'minute'],
+  [/^(h|hr|hrs|hour|hours)$/, HOUR, 'hour'],
+  [/^(d|day|days)$/, DAY, 'day'],
+  [/^(w|week|weeks)$/, 7 * DAY, 'week']
+];
+
+const RANKING = /\b(most|top|biggest|largest|heaviest|hogs?|hogging|eating|which|who)\b/;
+
+// Each intent needs every pattern in `all`; `any` patterns only break ties.
+// The first of equally good matches wins, so more specific intents go first
+const INTENTS = [
+  { name: 'leaks', all: [/\bleak|keeps? growing|growing memory/], any: [/memory|ram/] },
+  { name: 'incidents', all: [/\balerts?\b|incident|problems?\b|went wrong|happened|outage|fired/], any: [/today|yesterday|last|past|since/] },
+  { name: 'topMemory', all: [/\bmemory\b|\bram\b|\bmem\b/, RANKING], any: [/process|app|program|using|used/] },
+  { name: 'topCpu', all: [/\bcpu\b|processor|\bcores?\b/, RANKING], any: [/process|app|program|using|used/] },
+  { name: 'slow', all: [/\bslow|\blag|sluggish|\bhang|freez|stutter|unresponsive|what'?s wrong|\bhot\b|\bfans?\b/], any: [/now|machine|computer|laptop|system/] },
+  { name: 'disk', all: [/\bdisk|storage|\bspace\b|\bdrives?\b|\bfull\b/], any: [/free|left|full/] },
+  { name: 'network', all: [/network|internet|bandwidth|download|upload|latency|\bping\b|connection/], any: [/now|slow|speed/] },
+  {
+    name: 'metric',
+    all: [
+      /\bcpu\b|memory|\bram\b|network|bandwidth|\bdisk|latency|\bping\b|process count/,
+      /average|\bavg\b|peak|\bmax|highest|lowest|\bmin\b|usage|\bwas\b|trend|today|yesterday|last|past|since/
+    ],
+    any: [/today|yesterday|last|past|since/]
+  }
+];
+
+const METRIC_WORDS = {
+  cpu: /\bcpu\b|processor/,
+  memory: /memory|\bram\b|\bmem\b/,
+  network: /network|bandwidth|traffic/,
+  disk: /\bdisk|storage/,
+  latency: /latency|\bping\b/,
+  processes: /process count/
+};
+
+function percent(value) {
+  return `${value.toFixed(1)}%`;
+}
+
+// "last hour", "past 30 minutes", "last 2h", "today", "yesterday", "since 09:00".
+// Labels read after a verb: "used the most memory <label>"
+function parseWindow(question, now = Date.now()) {
+  const q = question.toLowerCase();
+
+  const last = q.match(/\b(?:last|past|previous)\s+(\d+(?:\.\d+)?)?\s*([a-z]+)/);
+  if (last) {
+    const unit = UNIT_WORDS.find(([pattern]) => pattern.test(last[2]));
+    if (unit) {
+      const amount = last[1] ? Number(last[1]) : 1;
+      const label = last[1] ? `in the last ${formatDuration(amount * unit[1])}` : `in the last ${unit[2]}`;
+      return { from: now - amount * unit[1], to: now, label };
+    }
+  }
+
+  if (/\byesterday\b/.test(q)) {
+    const from = parseTimeSpec('yesterday', now);
+    return { from, to: from + DAY, label: 'yesterday' };
+  }
+  if (/\btoday\b/.test(q)) {
+    return { from: parseTimeSpec('today', now), to: now, label: 'today' };
+  }
+
+  const since = q.match(/\bsince\s+(\d{1,2}:\d{2})/);
+  if (since) {
+    return { from: parseTimeSpec(since[1], now), to: now, label: `since ${since[1]}` };
+  }
+
+  return null;
+}
+
+function matchIntent(question) {
+  const q = question.toLowerCase();
+  let best = null;
+  for (const intent of INTENTS) {
+    if (!intent.all.every(pattern => pattern.test(q))) continue;
+    const score = intent.all.length + intent.any.filter(pattern => pattern.test(q)).length;
+    if (!best || score > best.score) best = { name: intent.name, score };
+  }
+  return best && best.name;
+}
+
+// Several processes of one program (browser tabs, workers) count together
+function groupByName(list, value) {
+  const groups = new Map();
+  for (const proc of list) {
+    const name = path.basename(proc.name || '?');
+    const group = groups.get(name) || { name, count: 0, value: 0 };
+    group.count++;
+    group.value += value(proc) || 0;
+    groups.set(name, group);
+  }
+  return [...groups.values()];
+}
+
+// Answers plain-English questions from the data the monitor already keeps.
+// Common questions are matched offline; anything else goes to the language
+// model when one is configured
+class QuestionAnswerer {
+  constructor(options = {}) {
+    this.options = options;
+    this.dataDir = options.dataDir || path.join(process.env.HOME, '.terminal-atmosphere');
+    this.source = createMetricsSource(options);
+    this.store = options.store || new HistoryStore({ dataDir: this.dataDir });
+    this.report = new HistoryReport({ store: this.store });
+    this.incidents = new IncidentTracker({ dataDir: this.dataDir });
+    this.tracker = new ProcessTracker({ dataDir: this.dataDir });
+    this.assistant = new AIAssistant({ ...options, source: this.source });
+  }
+
+  async ask(question, now = Date.now()) {
+    const window = parseWindow(question, now);
+    const intent = matchIntent(question);
+
+    switch (intent) {
+      case 'slow': return this.answerSlow(now);
+      case 'topMemory': return this.answerTopProcesses('memory', window);
+      case 'topCpu': return this.answerTopProcesses('cpu', window);
+      case 'metric': return this.answerMetrics(question, window || { from: now - HOUR, to: now, label: 'in the last hour' });
+      case 'incidents': return this.answerIncidents(window || { from: now - DAY, to: now, label: 'in the last day' });
+      case 'leaks': return this.answerLeaks();
+      case 'disk': return this.answerDisk();
+      case 'network': return this.answerNetwork(now);
+      default: return this.answerWithModel(question, now);
+    }
+  }
+
+  async snapshot() {
+    return this.source.sample(['currentLoad', 'mem', 'fsSize', 'processes']);
+  }
+
+  topBy(list, metric, limit = 3) {
+    const value = metric === 'memory' ? p => (p.memRss || 0) * 1024 : p => p.cpu;
+    return groupByName(list, value)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, limit);
+  }
+
+  describeGroup(group, metric) {
+    const figure = metric === 'memory' ? this.report.formatBytes(group.value) : percent(group.value);
+    return `${group.name}${group.count > 1 ? ` (${group.count} processes)` : ''}: ${figure}`;
+  }
+
+  async answerSlow(now) {
+    const frame = await this.snapshot();
+    const { currentLoad: cpu, mem, fsSize, processes } = frame;
+    const cores = cpu.cpus.length;
+    const load = os.loadavg()[0];
+    const memUsage = (mem.used / mem.total) * 100;
+    const causes = [];
+
+    if (cpu.currentLoad >= 80) {
+      causes.push(`CPU is at ${percent(cpu.currentLoad)} (1-minute load ${load.toFixed(2)} on ${cores} core${cores === 1 ? '' : 's'})`);
+    } else if (load > cores * 1.5) {
+      causes.push(`Load average is ${load.toFixed(2)} on ${cores} core${cores === 1 ? '' : 's'} - work is queueing up`);
+    }
+    if (mem.available / mem.total < 0.1) {
+      causes.push(`Only ${this.report.formatBytes(mem.available)} of ${this.report.formatBytes(mem.total)} memory is available`);
+    }
+    if (mem.swapTotal && mem.swapUsed / mem.swapTotal > 0.25) {
+      causes.push(`${this.report.formatBytes(mem.swapUsed)} is swapped out (${percent(mem.swapUsed / mem.swapTotal * 100)} of swap) - expect stalls`);
+    }
+    if (processes.blocked > 0) {
+      causes.push(`${processes.blocked} process${processes.blocked === 1 ? ' is' : 'es are'} blocked waiting on I/O`);
+    }
+    fsSize.filter(d => d.use >= 95).forEach(d => {
+      causes.push(`${d.mount} is ${percent(d.use)} full (${this.report.formatBytes(d.available)} left)`);
+    });
+
+    const [hungriest] = this.topBy(processes.list, 'cpu', 1);
+    if (hungriest && hungriest.value >= 50) {
+      causes.push(`${this.describeGroup(hungriest, 'cpu')} CPU`);
+    }
+
+    const open = (await this.incidents.list()).filter(i => !i.endedAt);
+    open.forEach(i => causes.push(`Open alert #${i.id}: ${i.message} (since ${formatDuration(now - Date.parse(i.startedAt))} ago)`));
+
+    await this.tracker.load();
+    this.tracker.suspects().slice(0, 2).forEach(s => {
+      causes.push(`${s.name} (${s.pid}) keeps growing: ${this.report.formatBytes(s.rss)}, +${this.report.formatBytes(s.growthPerHour)}/h`);
+    });
+
+    const lines = causes.length
+      ? causes
+      : [`Nothing stands out right now: CPU ${percent(cpu.currentLoad)}, memory ${percent(memUsage)}, load ${load.toFixed(2)}.`];
+
+    // How now compares with the last hour says whether this is new
+    const points = await this.store.query({ from: now - HOUR, to: now });
+    const usual = this.report.aggregate(points);
+    if (usual.cpu && usual.memory) {
+      lines.push(`Over the last hour CPU averaged ${percent(usual.cpu.avg)} and memory ${percent(usual.memory.avg)} (now ${percent(cpu.currentLoad)} and ${percent(memUsage)}).`);
+    }
+
+    lines.push(`Top CPU: ${this.topBy(processes.list, 'cpu').map(g => this.describeGroup(g, 'cpu')).join(', ')}`);
+    lines.push(`Top memory: ${this.topBy(processes.list, 'memory').map(g => this.describeGroup(g, 'memory')).join(', ')}`);
+
+    return {
+      title: causes.length ? `Likely reasons your machine is slow (${causes.length})` : 'Your machine looks healthy',
+      lines,
+      basis: `live snapshot at ${new Date(frame.timestamp).toLocaleTimeString()}${points.length ? `, ${points.length} history records` : ''}`
+    };
+  }
+
+  async answerTopProcesses(metric, window) {
+    const label = metric === 'memory' ? 'memory' : 'CPU';
+
+    if (!window) {
+      const frame = await this.snapshot();
+      const top = this.topBy(frame.processes.list, metric, 5);
+      return {
+        title: `Using the most ${label} right now`,
+        lines: top.map((g, i) => `${i + 1}. ${this.describeGroup(g, metric)}`),
+        basis: `live snapshot at ${new Date(frame.timestamp).toLocaleTimeString()}`
+      };
+    }
+
+    // Each history sample keeps the top processes at that moment
+    const samples = (await this.store.samples(window)).filter(s => s.processes?.top);
+    if (samples.length === 0) {
+      return {
+        title: `No process history ${window.label}`,
+        lines: ['Nothing was recorded in that range. Run `atmosphere monitor` or `atmosphere daemon start` to collect history.'],
+        basis: null
+      };
+    }
+
+    const value = metric === 'memory' ? p => (p.memRss || 0) * 1024 : p => p.cpu;
+    const stats = new Map();
+    for (const sample of samples) {
+      for (const group of groupByName(sample.processes.top, value)) {
+        const entry = stats.get(group.name) || { name: group.name, peak: 0, peakAt: null, total: 0, seen: 0 };
+        if (group.value > entry.peak) {
+          entry.peak = group.value;
+          entry.peakAt = sample.timestamp;
+        }
+        entry.total += group.value;
+        entry.seen++;
+        stats.set(group.name, entry);
+      }
+    }
+
+    const format = metric === 'memory' ? v => this.report.formatBytes(v) : percent;
+    // Memory is ranked by peak, CPU by average: a CPU spike is rarely the story
+    const rank = metric === 'memory' ? e => e.peak : e => e.total / samples.length;
+    const top = [...stats.values()].sort((a, b) => rank(b) - rank(a)).slice(0, 5);
+
+    return {
+      title: `Used the most ${label} ${window.label}`,
+      lines: top.map((e, i) => {
+        const share = Math.round(e.seen / samples.length * 100);
+        return `${i + 1}. ${e.name}: peak ${format(e.peak)} at ${new Date(e.peakAt).toLocaleTimeString()}, ` +
+          `average ${format(e.total / samples.length)} (in the top list ${share}% of the time)`;
+      }),
+      basis: `${samples.length} samples from ${new Date(window.from).toLocaleTimeString()} to ${new Date(window.to).toLocaleTimeString()}`
+    };
+  }
+
+  async answerMetrics(question, window) {
+    const q = question.toLowerCase();
+    let metrics = Object.keys(METRIC_WORDS).filter(name => METRIC_WORDS[name].test(q));
+    if (metrics.length === 0) metrics = ['cpu', 'memory'];
+
+    const points = await this.store.query(window);
+    if (points.length === 0) {
+      return {
+        title: `No history ${window.label}`,
+        lines: ['Nothing was recorded in that range. Run `atmosphere monitor` or `atmosphere daemon start` to collect history.'],
+        basis: null
+      };
+    }
+
+    const totals = this.report.aggregate(points);
+    const lines = metrics.map(name => {
+      const label = HistoryStore.METRICS[name].label;
+      const stats = totals[name];
+      if (!stats) return `${label}: no data in this range`;
+
+      const peak = points.filter(p => p.metrics[name]).reduce((a, b) => (b.metrics[name].max > a.metrics[name].max ? b : a));
+      const fmt = value => this.report.formatValue(name, value);
+      return `${label}: average ${fmt(stats.avg)}, peak ${fmt(stats.max)} at ${new Date(peak.time).toLocaleTimeString()}, ` +
+        `p95 ${fmt(stats.p95)}, low ${fmt(stats.min)}`;
+    });
+
+    return {
+      title: `${metrics.map(name => HistoryStore.METRICS[name].label).join(' and ')} ${window.label}`,
+      lines,
+      basis: `${points.length} history records`
+    };
+  }
+
+  async answerIncidents(window) {
+    const { incidents } = await this.incidents.load();
+    const matching = incidents.filter(i => {
+      const started = Date.parse(i.startedAt);
+      const ended = i.endedAt ? Date.parse(i.endedAt) : Infinity;
+      return started <= window.to && ended >= window.from;
+    });
+
+    if (matching.length === 0) {
+      return { title: `No alerts ${window.label}`, lines: ['All quiet.'], basis: 'incident log' };
+    }
+
+    return {
+      title: `${matching.length} alert${matching.length === 1 ? '' : 's'} ${window.label}`,
+      lines: matching.reverse().map(i => {
+        const duration = i.endedAt
+          ? `lasted ${formatDuration(Date.parse(i.endedAt) - Date.parse(i.startedAt))}`
+          : chalk.red('still open');
+        const peak = typeof i.peak === 'number' ? `, peak ${i.peak.toFixed(1)}` : '';
+        return `#${i.id} [${i.severity}] ${i.message} - ${new Date(i.startedAt).toLocaleString()}, ${duration}${peak}`;
+      }),
+      basis: 'incident log'
+    };
+  }
+
+  async answerLeaks() {
+    await this.tracker.load();
+    const suspects = this.tracker.suspects();
+    if (suspects.length === 0) {
+      return {
+        title: 'No process looks like it is leaking',
+        lines: [`${this.tracker.processes.size} processes tracked; none has grown steadily enough to suspect a leak.`],
+        basis: this.tracker.updatedAt ? `process history up to ${new Date(this.tracker.updatedAt).toLocaleTimeString()}` : null
+      };
+    }
+
+    return {
+      title: `${suspects.length} process${suspects.length === 1 ? '' : 'es'} keep growing`,
+      lines: suspects.slice(0, 5).map(s => {
+        const oom = s.timeToOom ? `, memory runs out in ~${formatDuration(s.timeToOom)} at this rate` : '';
+        return `${s.name} (${s.pid}): ${this.report.formatBytes(s.rss)}, +${this.report.formatBytes(s.growthPerHour)}/h over ${formatDuration(s.duration)}${oom}`;
+      }),
+      basis: `process history up to ${new Date(this.tracker.updatedAt).toLocaleTimeString()}`
+    };
+  }
+
+  async answerDisk() {
+    const frame = await this.source.sample(['fsSize']);
+    const disks = frame.fsSize.slice().sort((a, b) => b.use - a.use);
+    const basis = `live snapshot at ${new Date(frame.timestamp).toLocaleTimeString()}`;
+    // Some containers report no filesystems at all
+    if (disks.length === 0) {
+      return { title: 'No filesystems reported', lines: ['The system did not list any mounted filesystems to check.'], basis };
+    }
+    return {
+      title: `Fullest filesystem: ${disks[0].mount} at ${percent(disks[0].use)}`,
+      lines: disks.map(d => `${d.mount}: ${percent(d.use)} used, ${this.report.formatBytes(d.available)} free of ${this.report.formatBytes(d.size)}`),
+      basis
+    };
+  }
+
+  async answerNetwork(now) {
+    const rates = await new NetworkRates().measure(this.source);
+    const lines = [
+      `Right now: ↓ ${NetworkRates.formatRate(rates.rxRate || 0)}, ↑ ${NetworkRates.formatRate(rates.txRate || 0)}${rates.interface ? ` on ${rates.interface}` : ''}`
+    ];
+
+    const { latency, network } = this.report.aggregate(await this.store.query({ from: now - HOUR, to: now }));
+    if (network) {
+      lines.push(`Last hour: average ${this.report.formatValue('network', network.avg)}, peak ${this.report.formatValue('network', network.max)}`);
+    }
+    if (latency) {
+      lines.push(`Latency over the last hour: average ${latency.avg.toFixed(1)} ms, worst ${latency.max.toFixed(1)} ms`);
+    }
+
+    return { title: 'Network', lines, basis: 'live measurement and the last hour of history' };
+  }
+
+  async answerWithModel(question, now) {
+    const advisor = this.options.offline ? null : await this.assistant.loadAdvisor();
+    if (!advisor) {
+      return {
+        title: 'I can\'t answer that one offline',
+        lines: [
+          'Try questions like:',
+          '  why is my machine slow right now?',
+          '  what used the most memory during the last hour?',
+          '  what was the average cpu today?',
+          '  any alerts since 09:00?',
+          '  is anything leaking memory?',
+          'Or configure a language model under "llm" in config.json for open-ended questions.'
+        ],
+        basis: null
+      };
+    }
+
+    const systemData = await this.assistant.gatherSystemData();
+    const history = this.report.aggregate(await this.store.query({ from: now - HOUR, to: now }));
+    const open = (await this.incidents.list()).filter(i => !i.endedAt);
+    await this.tracker.load();
+
+    const answer = await advisor.answer(question, {
+      systemData,
+      lastHour: Object.fromEntries(Object.entries(history).map(([name, s]) => [name, { avg: s.avg, max: s.max, min: s.min }])),
+      openAlerts: open.map(({ severity, message, startedAt }) => ({ severity, message, startedAt })),
+      leakSuspects: this.tracker.suspects().map(({ name, rss, growthPerHour }) => ({ name, rss, growthPerHour }))
+    });
+
+    return { title: 'Answer', lines: answer.split('\n').filter(Boolean), basis: `the current snapshot and the last hour of history, answered by ${advisor.name}` };
+  }
+
+  display(question, answer) {
+    console.log(chalk.gray(`\n❓ ${question}`));
+    console.log(chalk.bold.cyan(`\n💬 ${answer.title}`));
+    answer.lines.forEach(line => console.log(`  ${line}`));
+    if (answer.basis) {
+      console.log(chalk.gray(`\n  Based on ${answer.basis}`));
+    }
+  }
+}
+
+QuestionAnswerer.parseWindow = parseWindow;
+QuestionAnswerer.matchIntent = matchIntent;
+
+module.exports = QuestionAnswerer;
@@ -0,0 +1,194 @@
+const chalk = require('chalk');
+const http = require('http');
+const { URL } = require('url');
+const EnvironmentMonitor = require('./monitor');
+const AIAssistant = require('./ai-assistant');
+const HistoryStore = require('./history-store');
+const prometheus = require('./prometheus');
+const { parseTimeSpec } = require('./time');
+
+const FOCUS_AREAS = ['all', 'cpu', 'memory', 'network', 'productivity'];
+
+class AtmosphereServer {
+  constructor(options = {}) {
+    this.options = options;
+    this.host = options.host || '127.0.0.1';
+    this.port = Number(options.port) || 9464;
+    this.monitor = options.monitor || new EnvironmentMonitor(options);
+    // The API has no authentication, so a request must never be able to
+    // start a (paid) language model call
+    this.assistant = new AIAssistant({ source: this.monitor.source, offline: true });
+    this.routes = new Map();
+    this.clients = new Set();
+    this.server = null;
+
+    this.route('GET', '/metrics', (req, res) => this.handleMetrics(req, res));
+    this.route('GET', '/api/snapshot', (req, res) => this.handleSnapshot(req, res));
+    this.route('GET', '/api/history', (req, res, url) => this.handleHistory(req, res, url));
+    this.route('GET', '/api/weather', (req, res, url) => this.handleWeather(req, res, url));
+    this.route('GET', '/api/optimize', (req, res, url) => this.handleOptimize(req, res, url));
+    this.route('GET', '/api/events', (req, res) => this.handleEvents(req, res));
+  }
+
+  route(method, pathname, handler) {
+    this.routes.set(`${method} ${pathname}`, handler);
+  }
+
+  async start() {
+    await this.monitor.prepare();
+
+    this.monitor.on('error', (error) => {
+      console.warn(chalk.yellow(`Collection failed: ${error.message}`));
+    });
+    this.monitor.on('sample', (sample) => this.broadcast('sample', sample));
+    this.monitor.on('alert', (alert) => this.broadcast('alert', alert));
+    this.monitor.on('profile', (change) => this.broadcast('profile', change));
+    // The first sample is taken before listening so /metrics is never empty
+    await this.monitor.startCollecting();
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    this.port = port;
+    return this;
+  }
+
+  async stop() {
+    this.monitor.stopCollecting();
+    // Open event streams would otherwise keep close() waiting forever
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const handler = this.routes.get(`${req.method} ${url.pathname}`);
+
+    if (!handler) {
+      this.sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    try {
+      await handler(req, res, url);
+    } catch (error) {
+      if (!res.headersSent) {
+        this.sendJson(res, 500, { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  handleMetrics(req, res) {
+    const sample = this.monitor.latest;
+    if (!sample) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('No sample collected yet\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': prometheus.CONTENT_TYPE });
+    res.end(prometheus.renderMetrics(sample, this.monitor.determineWeather(sample)));
+  }
+
+  handleSnapshot(req, res) {
+    if (!this.monitor.latest) {
+      this.sendJson(res, 503, { error: 'No sample collected yet' });
+      return;
+    }
+    this.sendJson(res, 200, this.monitor.latest);
+  }
+
+  async handleHistory(req, res, url) {
+    const now = Date.now();
+    let from;
+    let to;
+    try {
+      from = parseTimeSpec(url.searchParams.get('since') || '1h', now);
+      to = parseTimeSpec(url.searchParams.get('until') || 'now', now);
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const requested = (url.searchParams.get('metrics') || Object.keys(HistoryStore.METRICS).join(','))
+      .split(',')
+      .filter(name => HistoryStore.METRICS[name]);
+
+    const points = await this.monitor.store.query({ from, to });
+    this.sendJson(res, 200, {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      metrics: requested,
+      points: points.map(point => ({
+        timestamp: new Date(point.time).toISOString(),
+        resolution: point.resolution,
+        metrics: Object.fromEntries(requested
+          .filter(name => point.metrics[name])
+          .map(name => [name, point.metrics[name]]))
+      }))
+    });
+  }
+
+  async handleWeather(req, res, url) {
+    if (!this.monitor.latest) {
+      this.sendJson(res, 503, { error: 'No sample collected yet' });
+      return;
+    }
+    const forecast = ['1', 'true'].includes(url.searchParams.get('forecast'));
+    this.sendJson(res, 200, await this.monitor.buildWeatherReport(this.monitor.latest, { forecast }));
+  }
+
+  async handleOptimize(req, res, url) {
+    const focus = url.searchParams.get('focus') || 'all';
+    if (!FOCUS_AREAS.includes(focus)) {
+      this.sendJson(res, 400, { error: `Unknown focus "${focus}" (use ${FOCUS_AREAS.join(', ')})` });
+      return;
+    }
+    this.sendJson(res, 200, await this.assistant.analyzeEnvironment(focus));
+  }
+
+  // Server-Sent Events: one "sample" event per collection, "alert" on transitions
+  handleEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    if (this.monitor.latest) {
+      this.writeEvent(res, 'sample', this.monitor.latest);
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    this.clients.add(res);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+
+  broadcast(event, data) {
+    this.clients.forEach(client => this.writeEvent(client, event, data));
+  }
+
+  writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = AtmosphereServer;
@@ -0,0 +1,54 @@
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function summarize(values) {
+  return {
+    min: values.length ? Math.min(...values) : 0,
+    max: values.length ? Math.max(...values) : 0,
+    avg: mean(values),
+    p95: percentile(values, 95),
+    count: values.length
+  };
+}
+
+// Least-squares fit of { x, y } points
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return { slope: 0, intercept: n ? points[0].y : 0, r2: 0 };
+
+  const meanX = mean(points.map(p => p.x));
+  const meanY = mean(points.map(p => p.y));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (y - meanY) ** 2;
+  }
+
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy)
+  };
+}
+
+module.exports = {
+  linearRegression,
+  mean,
+  percentile,
+  summarize
+};
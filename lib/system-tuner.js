@@ -0,0 +1,421 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ChangeJournal = require('./change-journal');
+const { formatDuration } = require('./time');
+
+const run = promisify(execFile);
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const CGROUP_ROOT = '/sys/fs/cgroup';
+const CPU_PERIOD = 100000;
+
+// autoBalance moves the heaviest processes to background priority
+const BACKGROUND_NICE = 10;
+const MAX_BALANCED = 3;
+const MIN_BALANCED_CPU = 10;
+
+const MAX_CLEANUP_FILES = 10000;
+
+// Only files nobody has touched for a while; rotated logs only, never live ones
+function cleanupTargets(home) {
+  return {
+    temp: [{ dir: os.tmpdir(), minAge: 7 * DAY }],
+    cache: [{ dir: path.join(home, '.cache'), minAge: 30 * DAY }],
+    logs: [
+      { dir: '/var/log', minAge: 14 * DAY, pattern: /\.(\d+|gz|xz|bz2|zst|old)$/ },
+      { dir: path.join(home, '.npm', '_logs'), minAge: 14 * DAY }
+    ],
+    downloads: [{ dir: path.join(home, 'Downloads'), minAge: 90 * DAY }]
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * MB) return `${(bytes / 1024 / MB).toFixed(2)} GB`;
+  return `${(bytes / MB).toFixed(1)} MB`;
+}
+
+function isRoot() {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+async function commandExists(command) {
+  try {
+    await run('which', [command]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The cgroup v2 path a process is in, from the "0::" line of /proc/<pid>/cgroup
+async function cgroupOf(pid) {
+  const content = await fs.readFile(`/proc/${pid}/cgroup`, 'utf8');
+  const line = content.split('\n').find(l => l.startsWith('0::'));
+  return line ? line.slice(3) : '/';
+}
+
+ChangeJournal.register('cgroup', {
+  describe: c => `moved ${c.moved.length} process(es) into ${c.path}`,
+  async revert(c) {
+    let restored = 0;
+    for (const moved of c.moved) {
+      try {
+        await fs.writeFile(path.join(CGROUP_ROOT, moved.from, 'cgroup.procs'), String(moved.pid));
+        restored++;
+      } catch (error) {
+        // ESRCH: the process has exited, nothing to move back
+        if (error.code !== 'ESRCH') throw error;
+      }
+    }
+    if (c.created) {
+      await fs.rmdir(c.path);
+    }
+    return `${restored} process(es) moved back${c.created ? `, ${c.path} removed` : ''}`;
+  }
+});
+
+ChangeJournal.register('signal', {
+  describe: c => `sent ${c.signal} to ${c.name} (${c.pid})`,
+  revertable: false
+});
+
+// Turns profile settings into concrete, Linux-first changes. Planning only
+// looks at the system; each step's run() makes one change and returns what
+// the journal needs to undo it
+class SystemTuner {
+  constructor(options = {}) {
+    this.journal = options.journal || new ChangeJournal();
+    this.home = options.home || process.env.HOME;
+    this.user = os.userInfo().username;
+  }
+
+  async plan(type, settings = {}, frame) {
+    const planners = {
+      cpu: () => this.planCPU(settings, frame),
+      memory: () => this.planMemory(settings, frame),
+      disk: () => this.planDisk(settings, frame),
+      processes: () => this.planProcesses(settings, frame),
+      network: () => this.planNetwork(settings)
+    };
+    if (!planners[type]) {
+      return { steps: [], notes: [`Nothing to apply for "${type}"`] };
+    }
+    return planners[type]();
+  }
+
+  // Without root, only our own processes can be changed
+  isOwn(proc) {
+    return isRoot() || proc.user === this.user;
+  }
+
+  matching(list, pattern) {
+    const regex = new RegExp(pattern, 'i');
+    return list.filter(p => p.pid !== process.pid && (regex.test(p.name) || regex.test(p.command || '')));
+  }
+
+  // Only root may lower a nice value, so without it a step into the
+  // background is one-way and recorded as such
+  reniceStep(proc, nice) {
+    const oneWay = !isRoot() && nice > proc.nice;
+    return {
+      description: `Renice ${proc.name} (${proc.pid}) from ${proc.nice} to ${nice}${oneWay ? ' (undo needs root)' : ''}`,
+      run: async () => {
+        const before = os.getPriority(proc.pid);
+        os.setPriority(proc.pid, nice);
+        const change = { type: 'priority', pid: proc.pid, name: proc.name, before, after: nice };
+        return !isRoot() && nice > before ? { ...change, revertable: false } : change;
+      }
+    };
+  }
+
+  async planCPU(settings, frame) {
+    const steps = [];
+    const notes = [];
+    const list = frame.processes.list.filter(p => this.isOwn(p));
+
+    for (const rule of settings.renice || []) {
+      this.matching(list, rule.match)
+        .filter(p => p.nice !== rule.nice)
+        .forEach(p => steps.push(this.reniceStep(p, rule.nice)));
+    }
+
+    if (settings.affinity?.length) {
+      if (process.platform !== 'linux' || !await commandExists('taskset')) {
+        notes.push('CPU affinity needs taskset (util-linux) on Linux');
+      } else {
+        for (const rule of settings.affinity) {
+          this.matching(list, rule.match).forEach(proc => steps.push({
+            description: `Pin ${proc.name} (${proc.pid}) to CPUs ${rule.cpus}`,
+            run: async () => {
+              const { stdout } = await run('taskset', ['-p', '-c', String(proc.pid)]);
+              const before = stdout.split(':').pop().trim();
+              await run('taskset', ['-p', '-c', String(rule.cpus), String(proc.pid)]);
+              return { type: 'affinity', pid: proc.pid, name: proc.name, before, after: String(rule.cpus) };
+            }
+          }));
+        }
+      }
+    }
+
+    if (settings.autoBalance) {
+      const load = frame.currentLoad.currentLoad;
+      if (load < settings.maxUsage) {
+        notes.push(`CPU at ${load.toFixed(1)}%, under the ${settings.maxUsage}% limit - nothing to rebalance`);
+      } else {
+        list
+          .filter(p => p.cpu >= MIN_BALANCED_CPU && p.nice < BACKGROUND_NICE)
+          .sort((a, b) => b.cpu - a.cpu)
+          .slice(0, MAX_BALANCED)
+          .forEach(p => steps.push({ ...this.reniceStep(p, BACKGROUND_NICE), reason: `${p.cpu.toFixed(1)}% CPU` }));
+      }
+    }
+
+    return { steps, notes };
+  }
+
+  // The cgroup to create limit groups under: the root when we are root,
+  // otherwise the subtree systemd delegates to the user
+  async cgroupBase() {
+    if (!await fs.pathExists(path.join(CGROUP_ROOT, 'cgroup.controllers'))) return null;
+
+    const uid = process.getuid();
+    const candidates = [
+      path.join(CGROUP_ROOT, `user.slice/user-${uid}.slice/user@${uid}.service`),
+      CGROUP_ROOT
+    ];
+    for (const dir of candidates) {
+      try {
+        await fs.access(path.join(dir, 'cgroup.subtree_control'), fs.constants.W_OK);
+        return dir;
+      } catch {
+        // not ours to write
+      }
+    }
+    return null;
+  }
+
+  async planMemory(settings, frame) {
+    const steps = [];
+    const notes = [];
+
+    if (settings.groups?.length) {
+      const base = process.platform === 'linux' ? await this.cgroupBase() : null;
+      if (!base) {
+        notes.push('Resource limits need a writable cgroup v2 hierarchy (Linux with a unified /sys/fs/cgroup)');
+      } else {
+        for (const group of settings.groups) {
+          const procs = this.matching(frame.processes.list, group.match).filter(p => this.isOwn(p));
+          if (procs.length === 0) {
+            notes.push(`No running processes match "${group.match}" for group ${group.name}`);
+            continue;
+          }
+          steps.push(this.cgroupStep(base, group, procs));
+        }
+      }
+    }
+
+    if (settings.autoCleanup) {
+      const usage = (frame.mem.used / frame.mem.total) * 100;
+      if (usage < settings.maxUsage) {
+        notes.push(`Memory at ${usage.toFixed(1)}%, under the ${settings.maxUsage}% limit - no cleanup needed`);
+      } else if (process.platform !== 'linux' || !isRoot()) {
+        notes.push(`Memory at ${usage.toFixed(1)}%, but dropping the page cache needs root on Linux`);
+      } else {
+        steps.push({
+          description: `Drop the page cache (memory at ${usage.toFixed(1)}%, limit ${settings.maxUsage}%)`,
+          run: async () => {
+            await run('sync');
+            await fs.writeFile('/proc/sys/vm/drop_caches', '1');
+            return { type: 'command', command: 'sync; echo 1 > /proc/sys/vm/drop_caches' };
+          }
+        });
+      }
+    }
+
+    return { steps, notes };
+  }
+
+  cgroupStep(base, group, procs) {
+    const dir = path.join(base, `atmosphere-${group.name}`);
+    const limits = [
+      group.memoryMax && `memory ${group.memoryMax}`,
+      group.cpuMax && `CPU ${group.cpuMax}%`
+    ].filter(Boolean).join(', ');
+
+    return {
+      description: `Limit ${group.name} (${procs.length} process(es)) to ${limits || 'no limits'} via ${dir}`,
+      run: async () => {
+        // Controllers must be enabled in the parent before the child can use them
+        await fs.writeFile(path.join(base, 'cgroup.subtree_control'), '+memory +cpu').catch(() => {});
+
+        const created = !await fs.pathExists(dir);
+        await fs.ensureDir(dir);
+        const change = { type: 'cgroup', path: dir, created, moved: [] };
+
+        try {
+          if (group.memoryMax) {
+            await fs.writeFile(path.join(dir, 'memory.max'), String(group.memoryMax));
+          }
+          if (group.cpuMax) {
+            // Percent of one CPU, as a quota per period
+            await fs.writeFile(path.join(dir, 'cpu.max'), `${Math.round(group.cpuMax / 100 * CPU_PERIOD)} ${CPU_PERIOD}`);
+          }
+          for (const proc of procs) {
+            const from = await cgroupOf(proc.pid);
+            await fs.writeFile(path.join(dir, 'cgroup.procs'), String(proc.pid));
+            change.moved.push({ pid: proc.pid, name: proc.name, from });
+          }
+        } catch (error) {
+          // Leave nothing half-done behind
+          await ChangeJournal.revertChange(change).catch(() => {});
+          throw error;
+        }
+        return change;
+      }
+    };
+  }
+
+  // Old, regular files we own under dir, skipping symlinks
+  async findOldFiles(target, now = Date.now()) {
+    const files = [];
+    let bytes = 0;
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (files.length >= MAX_CLEANUP_FILES) return;
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (entry.isFile() && (!target.pattern || target.pattern.test(entry.name))) {
+          try {
+            const stat = await fs.lstat(file);
+            const own = isRoot() || stat.uid === process.getuid();
+            if (own && now - Math.max(stat.mtimeMs, stat.atimeMs) >= target.minAge) {
+              files.push(file);
+              bytes += stat.size;
+            }
+          } catch {
+            // vanished while scanning
+          }
+        }
+      }
+    };
+
+    if (await fs.pathExists(target.dir)) await walk(target.dir);
+    return { files, bytes };
+  }
+
+  async planDisk(settings, frame) {
+    const steps = [];
+    const notes = [];
+    const fullest = frame.fsSize.reduce((max, d) => (d.use > (max?.use ?? -1) ? d : max), null);
+
+    if (!fullest || fullest.use < settings.cleanupThreshold) {
+      notes.push(`Fullest disk at ${fullest ? fullest.use.toFixed(1) : 0}%, under the ${settings.cleanupThreshold}% threshold - no cleanup needed`);
+      return { steps, notes };
+    }
+
+    const targets = cleanupTargets(this.home);
+    for (const name of settings.cleanupTargets || []) {
+      for (const target of targets[name] || []) {
+        const { files, bytes } = await this.findOldFiles(target);
+        if (files.length === 0) continue;
+
+        // The disk is already over the threshold, so the space is needed now
+        steps.push({
+          description: `Delete ${files.length} ${name} file(s) (${formatBytes(bytes)}) older than ${formatDuration(target.minAge)} from ${target.dir}`,
+          run: () => this.journal.removeFiles(files, target.dir)
+        });
+      }
+    }
+
+    if (steps.length === 0) {
+      notes.push(`Fullest disk (${fullest.mount}) at ${fullest.use.toFixed(1)}%, but nothing old enough to clean up`);
+    } else {
+      notes.push('Deleted files cannot be restored with `atmosphere undo`');
+    }
+    return { steps, notes };
+  }
+
+  async planProcesses(settings, frame) {
+    const steps = [];
+    const notes = [];
+    const list = frame.processes.list;
+
+    if (settings.autoKillZombies) {
+      // A zombie is already dead; only its parent collecting the exit status
+      // removes it, so nudge the parent rather than killing anything
+      const byParent = new Map();
+      // Children of this process are reaped by Node itself
+      list.filter(p => p.state === 'zombie' && p.parentPid !== process.pid).forEach(zombie => {
+        byParent.set(zombie.parentPid, [...(byParent.get(zombie.parentPid) || []), zombie]);
+      });
+
+      for (const [ppid, zombies] of byParent) {
+        const parent = list.find(p => p.pid === ppid) || { pid: ppid, name: `pid ${ppid}` };
+        steps.push({
+          description: `Ask ${parent.name} (${ppid}) to reap ${zombies.length} zombie(s) with SIGCHLD`,
+          run: async () => {
+            process.kill(ppid, 'SIGCHLD');
+            await new Promise(resolve => setTimeout(resolve, 500));
+            const left = zombies.filter(z => fs.existsSync(`/proc/${z.pid}`));
+            if (left.length > 0) {
+              throw new Error(`${parent.name} is not reaping its children; restarting it would clear ${left.length} zombie(s)`);
+            }
+            return { type: 'signal', pid: ppid, name: parent.name, signal: 'SIGCHLD' };
+          }
+        });
+      }
+      if (byParent.size === 0) {
+        notes.push('No zombie processes');
+      }
+    }
+
+    if (settings.maxProcesses && list.length > settings.maxProcesses) {
+      const counts = {};
+      list.forEach(p => { counts[p.name] = (counts[p.name] || 0) + 1; });
+      const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([name, n]) => `${name} (${n})`);
+      notes.push(`${list.length} processes running, over the limit of ${settings.maxProcesses}; most are ${top.join(', ')}`);
+    }
+
+    return { steps, notes };
+  }
+
+  async planNetwork(settings) {
+    const steps = [];
+    const notes = [];
+
+    if (settings.optimizeDNS) {
+      if (await commandExists('resolvectl')) {
+        steps.push({
+          description: 'Flush the systemd-resolved DNS cache',
+          run: async () => {
+            await run('resolvectl', ['flush-caches']);
+            return { type: 'command', command: 'resolvectl flush-caches' };
+          }
+        });
+      } else {
+        notes.push('DNS optimization needs systemd-resolved (resolvectl)');
+      }
+    }
+
+    if (settings.maxLatency) {
+      notes.push(`Latency alerts fire above ${settings.maxLatency}ms while this profile is active`);
+    }
+
+    return { steps, notes };
+  }
+}
+
+module.exports = SystemTuner;
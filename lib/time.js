@@ -0,0 +1,62 @@
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+function parseDuration(spec) {
+  const match = String(spec).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${spec}" (expected e.g. 30s, 15m, 2h, 1d)`);
+  }
+  return Number(match[1]) * UNITS[(match[2] || 's').toLowerCase()];
+}
+
+// Accepts "now", "today", "yesterday", a duration ago ("2h"), a time of day
+// today ("09:30") or anything Date.parse understands
+function parseTimeSpec(spec, now = Date.now()) {
+  const value = String(spec).trim().toLowerCase();
+
+  if (value === 'now') return now;
+
+  if (value === 'today' || value === 'yesterday') {
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    return value === 'today' ? midnight.getTime() : midnight.getTime() - UNITS.d;
+  }
+
+  if (/^\d+(\.\d+)?\s*[smhdw]$/.test(value)) {
+    return now - parseDuration(value);
+  }
+
+  const timeOfDay = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (timeOfDay) {
+    const date = new Date(now);
+    date.setHours(Number(timeOfDay[1]), Number(timeOfDay[2]), 0, 0);
+    return date.getTime();
+  }
+
+  const parsed = Date.parse(spec);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid time "${spec}"`);
+  }
+  return parsed;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+module.exports = {
+  parseDuration,
+  parseTimeSpec,
+  formatDuration
+};
@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const AlertEngine = require('../lib/alert-engine');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture, useTempHome } = require('./helpers');
+
+// The three workstation frames, 5 seconds apart: CPU 38.2%, 44.6%, 41.0%
+async function samples() {
+  const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+  return [await monitor.collectMetrics(), await monitor.collectMetrics(), await monitor.collectMetrics()];
+}
+
+describe('AlertEngine', () => {
+  let home;
+  let frames;
+
+  beforeAll(async () => {
+    home = await useTempHome();
+    frames = await samples();
+  });
+
+  afterAll(async () => {
+    await fs.remove(home);
+  });
+
+  test('default rules stay quiet on a healthy machine', () => {
+    const engine = new AlertEngine();
+    frames.forEach(sample => expect(engine.evaluate(sample).transitions).toEqual([]));
+  });
+
+  test('fires once a rule has held for its duration', () => {
+    const engine = new AlertEngine([{ id: 'cpu', metric: 'cpu.usage', op: '>', value: 40, for: '5s' }]);
+
+    expect(engine.evaluate(frames[0]).transitions).toEqual([]);
+    expect(engine.evaluate(frames[1]).transitions).toEqual([]);
+    const { alerts, transitions } = engine.evaluate(frames[2]);
+
+    expect(transitions).toHaveLength(1);
+    expect(transitions[0]).toMatchObject({ type: 'fired', alert: { ruleId: 'cpu', value: 41, peak: 44.6 } });
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('resolves only past the clear threshold', () => {
+    const engine = new AlertEngine([{ id: 'cpu', metric: 'cpu.usage', op: '>', value: 40, hysteresis: 5 }]);
+    const at = (sample, usage) => ({ ...sample, cpu: { ...sample.cpu, usage } });
+
+    expect(engine.evaluate(frames[1]).transitions[0].type).toBe('fired');
+    expect(engine.evaluate(at(frames[2], 36)).transitions).toEqual([]);
+    expect(engine.evaluate(at(frames[2], 34)).transitions[0].type).toBe('resolved');
+  });
+
+  test('a critical alert hides the warning on the same metric', () => {
+    const engine = new AlertEngine([
+      { id: 'warn', metric: 'memory.percentage', op: '>', value: 50, severity: 'warning' },
+      { id: 'crit', metric: 'memory.percentage', op: '>', value: 60, severity: 'critical' }
+    ]);
+    const { alerts, transitions } = engine.evaluate(frames[2]);
+    expect(transitions).toHaveLength(2);
+    expect(alerts.map(a => a.ruleId)).toEqual(['crit']);
+  });
+
+  test('resolves dotted paths with array reducers', () => {
+    const sample = frames[2];
+    expect(AlertEngine.resolveMetric(sample, 'cpu')).toBe(41);
+    expect(AlertEngine.resolveMetric(sample, 'disk.usage.use.max')).toBe(sample.disk.usage[0].use);
+    expect(AlertEngine.resolveMetric(sample, 'processes.top.count')).toBe(sample.processes.top.length);
+    expect(AlertEngine.resolveMetric(sample, 'nothing.here')).toBeUndefined();
+  });
+
+  test('fromConfig layers defaults, profile limits and user rules, keeping bad rules out', () => {
+    const engine = AlertEngine.fromConfig({
+      alerts: {
+        rules: [
+          { id: 'cpu-warning', metric: 'cpu.usage', op: '>', value: 60 },
+          { id: 'broken', metric: 'cpu.usage', op: '~', value: 1 }
+        ]
+      }
+    }, { name: 'focus', settings: { cpu: { maxUsage: 70 } } });
+
+    const ids = engine.rules.map(rule => rule.id);
+    expect(ids).toContain('profile-cpu');
+    expect(engine.rules.find(rule => rule.id === 'cpu-warning').value).toBe(60);
+    expect(ids).not.toContain('broken');
+    expect(engine.errors[0]).toMatch(/unknown operator "~"/);
+  });
+
+  test('fromConfig reports rules that are not objects or have no id', () => {
+    const engine = AlertEngine.fromConfig({
+      alerts: {
+        useDefaults: false,
+        rules: [null, { metric: 'cpu.usage', op: '>', value: 90 }, 'cpu > 90', { metric: 'memory.percentage', op: '>', value: 90 }]
+      }
+    });
+
+    expect(engine.rules).toEqual([]);
+    expect(engine.errors).toEqual([
+      'Alert rule 1 is not an object',
+      'Alert rule 3 is not an object',
+      'Alert rule is missing an "id"',
+      'Alert rule is missing an "id"'
+    ]);
+    expect(AlertEngine.fromConfig({ alerts: { rules: { cpu: 90 } } }).errors).toEqual(['"alerts.rules" must be a list']);
+  });
+});
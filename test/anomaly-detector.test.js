@@ -0,0 +1,84 @@
+const AnomalyDetector = require('../lib/anomaly-detector');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+// Local time, so hour-of-day baselines line up in any timezone
+const at = (hour, minute = 0, second = 0) => new Date(2026, 2, 10, hour, minute, second).getTime();
+
+const sample = (time, cpu) => ({ timestamp: new Date(time).toISOString(), cpu: { usage: cpu } });
+
+// An hour of per-minute readings wobbling around `level`
+function seed(detector, hour, level) {
+  for (let minute = 0; minute < 60; minute++) {
+    detector.observe('cpu', level + (minute % 5) - 2, at(hour, minute));
+  }
+}
+
+describe('AnomalyDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new AnomalyDetector({ metrics: ['cpu'], for: '30s' });
+    seed(detector, 10, 12);
+  });
+
+  test('nothing is judged before a baseline exists', () => {
+    const fresh = new AnomalyDetector({ metrics: ['cpu'] });
+
+    expect(fresh.evaluate(sample(at(10), 99))).toEqual({ alerts: [], transitions: [] });
+  });
+
+  test('a spike has to last before it fires, and resolves once back in the band', () => {
+    expect(detector.evaluate(sample(at(11, 0, 0), 75)).transitions).toEqual([]);
+    expect(detector.evaluate(sample(at(11, 0, 15), 70)).transitions).toEqual([]);
+
+    const { alerts, transitions } = detector.evaluate(sample(at(11, 0, 30), 72));
+    expect(transitions.map(t => t.type)).toEqual(['fired']);
+    expect(alerts[0]).toMatchObject({
+      ruleId: 'anomaly-cpu',
+      kind: 'anomaly',
+      type: 'critical',
+      message: 'CPU unusually high for this machine',
+      value: 72,
+      peak: 75,
+      since: new Date(at(11)).toISOString()
+    });
+    expect(alerts[0].explanation).toMatch(/^75\.0% is \d+\.\dσ above the usual 12\.\d% ± 2\.0% for this machine/);
+
+    expect(detector.evaluate(sample(at(11, 0, 35), 12)).transitions.map(t => t.type)).toEqual(['resolved']);
+    expect(detector.activeAlerts(at(11, 0, 35))).toEqual([]);
+  });
+
+  test('a short blip does not fire', () => {
+    detector.evaluate(sample(at(11, 0, 0), 70));
+    detector.evaluate(sample(at(11, 0, 10), 12));
+
+    expect(detector.evaluate(sample(at(11, 0, 30), 70)).transitions).toEqual([]);
+  });
+
+  test('each hour of the day is judged against its own habits', () => {
+    // A nightly build keeps 03:00 busy
+    seed(detector, 3, 80);
+
+    const night = detector.score('cpu', 80, at(3, 30));
+    const morning = detector.score('cpu', 80, at(10, 30));
+    expect(night).toMatchObject({ slot: 3 });
+    expect(detector.isAnomalous(night, 3)).toBe(false);
+    expect(morning).toMatchObject({ slot: 10 });
+    expect(detector.isAnomalous(morning, 3)).toBe(true);
+  });
+
+  test('learning from history weighs rollups by their sample count', async () => {
+    const fresh = new AnomalyDetector({ metrics: ['cpu'] });
+    const points = [0, 1, 2].map(minute => ({ time: at(9, minute), metrics: { cpu: { avg: 20 + minute, count: 12 } } }));
+
+    expect(await fresh.learn({ query: async () => points }, at(10))).toBe(3);
+    expect(fresh.baseline('cpu', 9).samples).toBe(36);
+    expect(fresh.baseline('cpu', 9).window).toEqual([20, 21, 22]);
+  });
+
+  test('fromConfig refuses unknown metrics', () => {
+    expect(() => AnomalyDetector.fromConfig({ anomalies: { metrics: ['cpu', 'gpu'] } })).toThrow('Unknown anomaly metric(s) gpu');
+    expect(AnomalyDetector.fromConfig({ anomalies: { enabled: false } }).enabled).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ChangeJournal = require('../lib/change-journal');
+
+describe('ChangeJournal', () => {
+  let dataDir;
+  let journal;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-journal-'));
+    journal = new ChangeJournal({ dataDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('cleanup deletes files outright and keeps a manifest of them', async () => {
+    const dir = path.join(dataDir, 'cache');
+    await fs.outputFile(path.join(dir, 'a.log'), 'x'.repeat(100));
+    await fs.outputFile(path.join(dir, 'b.log'), 'x'.repeat(50));
+
+    const change = await journal.removeFiles([path.join(dir, 'a.log'), path.join(dir, 'b.log'), path.join(dir, 'gone.log')], dir);
+
+    expect(change).toMatchObject({ type: 'delete', dir, bytes: 150 });
+    expect(change.files).toEqual([
+      { path: path.join(dir, 'a.log'), size: 100, mtime: expect.any(String) },
+      { path: path.join(dir, 'b.log'), size: 50, mtime: expect.any(String) }
+    ]);
+    expect(await fs.readdir(dir)).toEqual([]);
+    expect(ChangeJournal.isRevertable(change)).toBe(false);
+    expect(ChangeJournal.describe(change)).toBe(`deleted 2 file(s) from ${dir}`);
+  });
+
+  test('a renice recorded as one-way is not offered for undo', () => {
+    const change = { type: 'priority', pid: 4377, name: 'node', before: 0, after: 10 };
+
+    expect(ChangeJournal.isRevertable(change)).toBe(true);
+    expect(ChangeJournal.isRevertable({ ...change, revertable: false })).toBe(false);
+    expect(ChangeJournal.describe({ ...change, revertable: false })).toMatch(/one-way/);
+  });
+
+  test('changes recorded at the same time all make it into the journal', async () => {
+    const other = new ChangeJournal({ dataDir });
+    const change = n => [{ type: 'command', command: `echo ${n}` }];
+
+    await Promise.all([1, 2, 3, 4, 5, 6].map(n => (n % 2 ? journal : other).record({ source: 'test', description: `#${n}`, changes: change(n) })));
+
+    const { entries } = await journal.load();
+    expect(entries.map(e => e.id).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(await fs.readdir(dataDir)).toEqual(['journal.json']);
+  });
+
+  describe('revert', () => {
+    let file;
+
+    beforeEach(async () => {
+      file = path.join(dataDir, 'swappiness');
+      await fs.writeFile(file, '60\n');
+      const change = await journal.writeFile(file, '10\n');
+      await journal.record({ source: 'optimize', description: 'Lower swappiness', changes: [change, { type: 'command', command: 'sync' }] });
+    });
+
+    test('puts a file back and skips what cannot be undone', async () => {
+      const { results } = await journal.revert(1);
+
+      expect(results.map(r => r.status)).toEqual(['skipped', 'reverted']);
+      expect(await fs.readFile(file, 'utf8')).toBe('60\n');
+      expect(await journal.latestRevertable()).toBeNull();
+      await expect(journal.revert(1)).rejects.toThrow(/already reverted/);
+    });
+
+    test('a file changed since is a conflict unless forced', async () => {
+      await fs.writeFile(file, '30\n');
+
+      expect((await journal.revert(1)).results[1]).toMatchObject({ status: 'conflict', message: `${file} has changed since` });
+      expect(await fs.readFile(file, 'utf8')).toBe('30\n');
+
+      await journal.revert(1, { force: true });
+      expect(await fs.readFile(file, 'utf8')).toBe('60\n');
+    });
+
+    test('a dry run changes nothing', async () => {
+      expect((await journal.revert(1, { dryRun: true })).results[1].status).toBe('would-revert');
+      expect(await fs.readFile(file, 'utf8')).toBe('10\n');
+      expect((await journal.latestRevertable()).id).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CommandExecutor = require('../lib/command-executor');
+
+const reasons = command => CommandExecutor.classify(command).reasons;
+
+describe('CommandExecutor.classify', () => {
+  test.each([
+    ['/bin/rm -rf /tmp/x', 'deletes files'],
+    ['find /tmp -delete', 'deletes files'],
+    ['find . -exec rm {} +', 'deletes files'],
+    ['find . -name "*.log" -execdir /bin/rm {} \\;', 'deletes files'],
+    ['env kill -9 1', 'kills processes'],
+    ['env -u HOME FOO=1 kill 1', 'kills processes'],
+    ['nice rm -rf x', 'deletes files'],
+    ['nice -n 5 nohup rm -rf x', 'deletes files'],
+    ['timeout 5 kill 1', 'kills processes'],
+    ['command rm x', 'deletes files'],
+    ['exec rm x', 'deletes files'],
+    ['FOO=bar rm x', 'deletes files'],
+    ['echo hi\nrm -rf x', 'deletes files'],
+    ['truncate -s0 /var/log/syslog', 'destroys file contents'],
+    ['shred -u secrets.txt', 'destroys file contents'],
+    ['mv a /dev/null', 'deletes files'],
+    ['echo $(rm -rf x)', 'deletes files'],
+    ['echo "`rm -rf x`"', 'deletes files'],
+    ['echo "$(ls)"; rm x', 'deletes files'],
+    ['(cd /tmp && rm x)', 'deletes files'],
+    ['sh -c "rm -rf x"', 'deletes files'],
+    ['eval rm -rf x', 'deletes files'],
+    ["ps -eo pid,stat | awk '$2 ~ /^Z/ { print $1 }' | xargs -r kill -9", 'kills processes'],
+    ['sudo -u root ls', 'runs as root (sudo)'],
+    ['mkfs.ext4 /dev/sdb1', 'writes to disks'],
+    ['systemctl reboot', 'stops the machine'],
+    ['echo 3 > /proc/sys/vm/drop_caches', 'drops kernel caches'],
+    ['npm cache clean --force', 'forces a change']
+  ])('%j %s', (command, reason) => {
+    expect(reasons(command)).toContain(reason);
+  });
+
+  test.each([
+    'ls -la',
+    'echo rm -rf x',
+    'grep -r kill .',
+    'du -sh ~ 2>/dev/null',
+    'df -h 2>&1 | sort -k5',
+    'command -v rm',
+    'echo "a; rm x"',
+    "echo 'rm x'"
+  ])('%j is not destructive', (command) => {
+    expect(CommandExecutor.classify(command).destructive).toBe(false);
+  });
+
+  describe('with the allowlist', () => {
+    const check = command => CommandExecutor.classify(command, { allowlist: true });
+
+    test('read-only pipelines pass', () => {
+      expect(check('ps aux --sort=-%mem | head -n 10').destructive).toBe(false);
+      expect(check('du -sh ~/.cache 2>/dev/null').destructive).toBe(false);
+    });
+
+    test('anything else needs confirmation', () => {
+      expect(check('renice 10 -p 1234').reasons).toEqual(['runs renice, which is not on the read-only allowlist']);
+      expect(check('npm cache verify').destructive).toBe(true);
+      expect(check('env npm cache verify').destructive).toBe(true);
+    });
+
+    test('writes to files need confirmation', () => {
+      expect(check('df -h > report.txt').reasons).toEqual(['writes to report.txt']);
+      expect(check('sort -o report.txt usage.txt').reasons).toEqual(['sort writes to a file']);
+      expect(check('uniq usage.txt report.txt').destructive).toBe(true);
+    });
+
+    test('awk is an interpreter, not a reader', () => {
+      expect(check('awk \'BEGIN{system("rm -rf /tmp/x")}\'').reasons).toEqual(['runs awk, which is not on the read-only allowlist']);
+      expect(check('awk \'{print > "/etc/passwd"}\' /etc/hosts').destructive).toBe(true);
+      expect(check('ps aux | awk \'{print $2}\'').destructive).toBe(true);
+    });
+
+    test.each([
+      ['date -s "2020-01-01 00:00"', 'date sets the clock'],
+      ['date --set=12:00', 'date sets the clock'],
+      ['date 010112002020', 'date sets the clock'],
+      ['dmesg -C', 'dmesg changes the kernel log'],
+      ['dmesg --read-clear', 'dmesg changes the kernel log'],
+      ['journalctl --vacuum-time=1d', 'journalctl changes the journal']
+    ])('%s changes state', (command, reason) => {
+      expect(check(command).reasons).toEqual([reason]);
+    });
+
+    test.each([
+      'top',
+      'top -b',
+      'tail -f /var/log/syslog',
+      'tail -n 50 -F app.log',
+      'journalctl -f',
+      'journalctl -fu nginx',
+      'dmesg -w',
+      'vmstat 1'
+    ])('%s would block until the timeout', (command) => {
+      expect(check(command).reasons).toEqual([`${command.split(' ')[0]} runs until it is stopped`]);
+    });
+
+    test.each([
+      'date +%F',
+      'date -d 20240101 +%s',
+      'dmesg -T | tail -n 20',
+      'top -bn1 | head -n 15',
+      'top -b -n 1',
+      'journalctl -u nginx -n 50 --no-pager',
+      'vmstat 1 5'
+    ])('%s stays read-only', (command) => {
+      expect(check(command).destructive).toBe(false);
+    });
+  });
+});
+
+describe('CommandExecutor#run', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-executor-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dataDir);
+  });
+
+  const auditLog = async () => (await fs.readFile(path.join(dataDir, 'audit.log'), 'utf8'))
+    .trim().split('\n').map(line => JSON.parse(line));
+
+  test('runs safe commands and audits them', async () => {
+    const executor = new CommandExecutor({ dataDir, confirm: jest.fn() });
+    const result = await executor.run('echo hello', { source: 'test' });
+
+    expect(result.status).toBe('ok');
+    expect(result.stdout).toBe('hello\n');
+    expect(executor.confirm).not.toHaveBeenCalled();
+    expect((await auditLog())[0]).toMatchObject({ command: 'echo hello', status: 'ok', exitCode: 0, source: 'test' });
+  });
+
+  test('refuses destructive commands without a yes', async () => {
+    const target = path.join(dataDir, 'keep');
+    await fs.writeFile(target, 'x');
+    const executor = new CommandExecutor({ dataDir, confirm: async () => false });
+
+    const result = await executor.run(`nice /bin/rm ${target}`);
+    expect(result.status).toBe('refused');
+    expect(await fs.pathExists(target)).toBe(true);
+    expect((await auditLog())[0]).toMatchObject({ status: 'refused', destructive: true, reasons: ['deletes files'] });
+  });
+
+  test('asks before model commands outside the allowlist', async () => {
+    const confirm = jest.fn(async () => false);
+    const executor = new CommandExecutor({ dataDir, confirm });
+
+    expect((await executor.run('touch marker', { origin: 'model' })).status).toBe('refused');
+    expect(confirm).toHaveBeenCalledWith('touch marker');
+    expect((await executor.run('echo fine', { origin: 'model' })).status).toBe('ok');
+    expect(confirm).toHaveBeenCalledTimes(1);
+  });
+
+  test('dry runs execute nothing', async () => {
+    const executor = new CommandExecutor({ dataDir, dryRun: true });
+    expect(await executor.run('rm -rf /')).toEqual({ status: 'dry-run', command: 'rm -rf /' });
+    expect((await auditLog())[0].status).toBe('dry-run');
+  });
+
+  test('failures reject with the first line of stderr', async () => {
+    const executor = new CommandExecutor({ dataDir });
+    await expect(executor.run('echo broken >&2; exit 3')).rejects.toThrow('Command failed: broken');
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const Daemon = require('../lib/daemon');
+
+const BIN = path.join(__dirname, '..', 'bin', 'atmosphere.js');
+
+// A process that only looks like something; it sleeps until killed
+function lookalike(...args) {
+  return spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)', ...args], { stdio: 'ignore' });
+}
+
+function startTimeOf(pid) {
+  const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+}
+
+describe('Daemon', () => {
+  let dataDir;
+  let daemon;
+  const { write: stdoutWrite } = process.stdout;
+  const { write: stderrWrite } = process.stderr;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-daemon-'));
+    daemon = new Daemon({ dataDir });
+  });
+
+  afterEach(async () => {
+    process.stdout.write = stdoutWrite;
+    process.stderr.write = stderrWrite;
+    if (daemon.logFd !== undefined) fs.closeSync(daemon.logFd);
+    await fs.remove(dataDir);
+  });
+
+  test('a running daemon rotates its log and keeps writing to the new one', async () => {
+    await fs.outputFile(daemon.logFile, 'x'.repeat(5 * 1024 * 1024));
+    daemon.openLog();
+    process.stdout.write('before\n');
+    process.stderr.write('warning\n');
+
+    await daemon.keepLogSmall();
+    process.stdout.write('after\n');
+
+    expect(await fs.readFile(daemon.logFile, 'utf8')).toBe('after\n');
+    expect((await fs.readFile(`${daemon.logFile}.1`, 'utf8')).endsWith('before\nwarning\n')).toBe(true);
+  });
+
+  test('a small log is left alone', async () => {
+    daemon.openLog();
+    process.stdout.write('hello\n');
+
+    await daemon.keepLogSmall();
+    process.stdout.write('again\n');
+
+    expect(await fs.readFile(daemon.logFile, 'utf8')).toBe('hello\nagain\n');
+    expect(await fs.pathExists(`${daemon.logFile}.1`)).toBe(false);
+  });
+
+  describe('telling our daemon from a reused pid', () => {
+    const children = [];
+    const start = (...args) => {
+      const child = lookalike(...args);
+      children.push(child);
+      return new Promise(resolve => setTimeout(() => resolve(child), 200));
+    };
+
+    afterEach(() => {
+      children.splice(0).forEach(child => child.kill());
+    });
+
+    test('the start time in the pidfile must match', async () => {
+      const child = await start();
+
+      expect(await daemon.isDaemon({ pid: child.pid, startTime: startTimeOf(child.pid) })).toBe(true);
+      expect(await daemon.isDaemon({ pid: child.pid, startTime: '1' })).toBe(false);
+    });
+
+    test('without one, only this bin running `daemon run` counts', async () => {
+      const ours = await start(BIN, '--fixture', 'x.json', 'daemon', 'run');
+      const gpg = await start('gpg-agent', '--daemon');
+      const other = await start('/usr/sbin/avahi-daemon', 'daemon', 'run');
+
+      expect(await daemon.isDaemon({ pid: ours.pid })).toBe(true);
+      expect(await daemon.isDaemon({ pid: gpg.pid })).toBe(false);
+      expect(await daemon.isDaemon({ pid: other.pid })).toBe(false);
+    });
+
+    test('stop leaves a process that took over the pid alone', async () => {
+      const child = await start('dbus-daemon', '--session');
+      await fs.outputJson(daemon.pidFile, { pid: child.pid, startTime: '1', startedAt: new Date().toISOString(), interval: 5 });
+
+      expect(await daemon.stop()).toBeNull();
+      expect(child.exitCode).toBeNull();
+      expect(await fs.pathExists(daemon.pidFile)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const EventEmitter = require('events');
+const Dashboard = require('../lib/dashboard');
+
+function fakeStream(extra = {}) {
+  const stream = new EventEmitter();
+  return Object.assign(stream, { columns: 100, rows: 24, written: '', write: text => { stream.written += text; } }, extra);
+}
+
+function fakeMonitor() {
+  const monitor = new EventEmitter();
+  return Object.assign(monitor, {
+    ticking: false,
+    stopCollecting: jest.fn(),
+    processTracker: { save: jest.fn(async () => {}) },
+    flushAlerts: jest.fn(async () => {})
+  });
+}
+
+describe('Dashboard', () => {
+  let monitor;
+  let output;
+  let dashboard;
+
+  beforeEach(() => {
+    monitor = fakeMonitor();
+    output = fakeStream();
+    dashboard = new Dashboard(monitor, { output, input: fakeStream({ resume: () => {}, pause: () => {} }) });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a collection error shows in the footer instead of disappearing', () => {
+    dashboard.start();
+    monitor.emit('error', new Error('systeminformation timed out'));
+
+    expect(output.written).toContain('systeminformation timed out');
+    expect(dashboard.renderFooter(100)).toContain('q quit');
+  });
+
+  test('quitting waits for the sample being written', async () => {
+    dashboard.start();
+    monitor.ticking = true;
+    setTimeout(() => {
+      monitor.ticking = false;
+    }, 150);
+
+    const quitting = dashboard.quit();
+    dashboard.handleKey('q', { name: 'q' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(process.exit).not.toHaveBeenCalled();
+
+    await quitting;
+    expect(monitor.stopCollecting).toHaveBeenCalledTimes(1);
+    expect(monitor.processTracker.save).toHaveBeenCalledWith(expect.any(Number), true);
+    expect(process.exit).toHaveBeenCalledWith(0);
+  });
+
+  test('a sample that fails while quitting is reported, not thrown', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dashboard.start();
+    monitor.ticking = true;
+    setTimeout(() => {
+      monitor.emit('error', new Error('disk read failed'));
+      monitor.ticking = false;
+    }, 50);
+
+    await dashboard.quit();
+    expect(warn).toHaveBeenCalledWith('Last sample failed:', 'disk read failed');
+    expect(process.exit).toHaveBeenCalledWith(0);
+  });
+});
@@ -0,0 +1,106 @@
+const DiskHealth = require('../lib/disk-health');
+
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+
+// Cumulative counters as readDiskStats returns them
+const stat = (name, extra = {}) => ({
+  name,
+  reads: 0,
+  readBytes: 0,
+  readMs: 0,
+  writes: 0,
+  writeBytes: 0,
+  writeMs: 0,
+  inFlight: 0,
+  ioMs: 0,
+  ...extra
+});
+
+describe('DiskHealth', () => {
+  let health;
+
+  beforeEach(() => {
+    health = new DiskHealth();
+    health.update([stat('nvme0n1'), stat('sda'), stat('dm-0')], 0);
+  });
+
+  test('the first reading has nothing to compare against', () => {
+    const first = new DiskHealth().update([stat('sda', { inFlight: 2 })], 0);
+
+    expect(first).toEqual({
+      devices: [expect.objectContaining({ name: 'sda', iops: null, utilization: null, inFlight: 2 })],
+      readRate: null,
+      writeRate: null,
+      iops: null,
+      utilization: null,
+      await: null
+    });
+  });
+
+  test('rates, utilisation and wait per device over the interval', () => {
+    const io = health.update([
+      stat('nvme0n1', { reads: 400, readBytes: 40 * MB, readMs: 400, writes: 100, writeBytes: 10 * MB, writeMs: 600, ioMs: 1500 }),
+      stat('sda', { reads: 50, readBytes: 5 * MB, readMs: 1000, ioMs: 4000 }),
+      // Device-mapper volumes repeat the I/O of the disks below them
+      stat('dm-0', { reads: 450, readBytes: 45 * MB, readMs: 1400, ioMs: 4000 })
+    ], 5000);
+
+    expect(io.devices[0]).toMatchObject({ readRate: 8 * MB, writeRate: 2 * MB, readIops: 80, writeIops: 20, iops: 100, utilization: 30, await: 2 });
+    expect(io.devices[2]).toMatchObject({ name: 'dm-0', iops: 90 });
+    expect(io).toMatchObject({ readRate: 9 * MB, writeRate: 2 * MB, iops: 110, utilization: 80 });
+    // Weighted by how busy each disk was: (2ms × 100 + 20ms × 10) / 110
+    expect(io.await).toBeCloseTo(400 / 110);
+  });
+
+  test('a device whose counters went backwards starts over', () => {
+    health.update([stat('sda', { reads: 1000, writes: 10 })], 5000);
+
+    const io = health.update([stat('sda', { reads: 5, writes: 0 })], 10000);
+    expect(io.devices[0].iops).toBeNull();
+    expect(io.iops).toBeNull();
+
+    expect(health.update([stat('sda', { reads: 55, writes: 0 })], 15000).iops).toBe(10);
+  });
+
+  test('machine-wide totals without busy time have no utilisation', () => {
+    const all = new DiskHealth();
+    all.update([stat('all', { ioMs: null })], 0);
+
+    const io = all.update([stat('all', { reads: 20, ioMs: null })], 2000);
+    expect(io).toMatchObject({ iops: 10, utilization: null });
+  });
+
+  describe('projectFull', () => {
+    const now = Date.parse('2026-03-10T12:00:00.000Z');
+    const store = records => ({ samples: async () => records });
+    const record = (hoursAgo, used) => ({
+      timestamp: new Date(now - hoursAgo * HOUR).toISOString(),
+      disk: { usage: [{ fs: '/dev/nvme0n1p2', mount: '/', used }] }
+    });
+    const root = { fs: '/dev/nvme0n1p2', mount: '/', available: 100 * MB };
+
+    test('steady growth gives a time until full', async () => {
+      const records = [6, 5, 4, 3, 2, 1, 0].map(hoursAgo => record(hoursAgo, (6 - hoursAgo) * 10 * MB));
+
+      const [projection] = await DiskHealth.projectFull(store(records), [root], now);
+      expect(projection.growthPerHour).toBeCloseTo(10 * MB);
+      expect(projection.timeUntilFull).toBeCloseTo(10 * HOUR);
+      expect(projection.samples).toBe(7);
+    });
+
+    test('shrinking usage never runs out', async () => {
+      const records = [4, 3, 2, 1, 0].map(hoursAgo => record(hoursAgo, hoursAgo * MB));
+
+      expect((await DiskHealth.projectFull(store(records), [root], now))[0].timeUntilFull).toBeNull();
+    });
+
+    test('under an hour of samples is not enough to project', async () => {
+      const records = [0.8, 0.6, 0.4, 0.2, 0].map(hoursAgo => record(hoursAgo, (1 - hoursAgo) * 50 * MB));
+
+      expect(await DiskHealth.projectFull(store(records), [root], now)).toEqual([
+        { mount: '/', growthPerHour: null, timeUntilFull: null, samples: 5 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FocusTracker = require('../lib/focus-tracker');
+const ProcessClassifier = require('../lib/process-classifier');
+const { fixture, useTempHome } = require('./helpers');
+
+const proc = (pid, name, command) => ({ pid, parentPid: 1, name, command, path: path.dirname(command), params: '', cpu: 1, mem: 1, memRss: 1024 });
+
+describe('FocusTracker', () => {
+  let home;
+  let tracker;
+
+  beforeEach(async () => {
+    home = await useTempHome();
+    tracker = new FocusTracker({ fixture: fixture('workstation.json') });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(home);
+  });
+
+  test.each(['0', '0s', '0.5s'])('--interval %s is refused', async (interval) => {
+    const refused = new FocusTracker({ fixture: fixture('workstation.json'), interval });
+
+    await expect(refused.settings()).rejects.toThrow('--interval must be at least 1s');
+  });
+
+  test('the interval comes from the option, then config.json', async () => {
+    await fs.outputJson(path.join(home, '.terminal-atmosphere', 'config.json'), { focus: { interval: '30s' } });
+
+    expect((await tracker.settings()).interval).toBe(30 * 1000);
+    expect((await new FocusTracker({ interval: '5s' }).settings()).interval).toBe(5 * 1000);
+  });
+
+  test('a distraction counts once per session, however often it comes and goes', () => {
+    const classifier = new ProcessClassifier();
+    const editor = proc(10, 'code', '/usr/share/code/code');
+    const slack = proc(20, 'slack', '/usr/lib/slack/slack');
+    const firefox = proc(30, 'firefox', '/usr/lib/firefox/firefox');
+    const seen = new Set(['firefox']);
+
+    const ticks = [[editor, firefox], [editor, slack], [editor], [editor, slack], [editor, slack, firefox]]
+      .map(list => tracker.newDistractions(classifier.summarize(list), seen).map(d => d.program));
+
+    expect(ticks).toEqual([[], ['slack'], [], [], []]);
+  });
+
+  test('a short session is recorded with where the time went', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // The spinner writes straight to stderr
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const short = new FocusTracker({ fixture: fixture('workstation.json'), minutes: 0.05, interval: '1s', label: 'Write tests' });
+
+    const session = await short.start();
+
+    expect(session).toMatchObject({ id: 1, label: 'Write tests', endedEarly: false, interruptions: [] });
+    expect(session.samples).toBeGreaterThanOrEqual(3);
+    expect(session.alreadyOpen).toEqual(expect.arrayContaining(['firefox', 'slack']));
+    expect(session.categories.editor.open).toBeGreaterThan(0);
+    expect((await short.load()).sessions.map(s => s.label)).toEqual(['Write tests']);
+  }, 10000);
+});
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Forecaster = require('../lib/forecast');
+const HistoryStore = require('../lib/history-store');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture, useTempHome } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Forecaster', () => {
+  let home;
+  let store;
+  let sample;
+  const now = Date.now();
+
+  // Two hours of recorded samples, one a minute, with memory following `memory(i)`
+  async function record(memory) {
+    for (let i = 120; i >= 0; i--) {
+      const percentage = memory(120 - i);
+      await store.append({ ...sample, timestamp: new Date(now - i * MINUTE).toISOString(), memory: { ...sample.memory, percentage } });
+    }
+  }
+
+  beforeEach(async () => {
+    home = await useTempHome();
+    sample = await new EnvironmentMonitor({ fixture: fixture('workstation.json') }).collectMetrics();
+    store = new HistoryStore({ dataDir: path.join(home, 'data') });
+    await store.open();
+  });
+
+  afterEach(async () => {
+    await fs.remove(home);
+  });
+
+  test('needs a few points before predicting anything', async () => {
+    await store.append({ ...sample, timestamp: new Date(now).toISOString() });
+    const { metrics } = await new Forecaster({ store }).forecast({ now });
+    expect(metrics.cpu).toMatchObject({ method: 'insufficient-data', samples: 1, predictions: [] });
+  });
+
+  test('follows a steady climb', async () => {
+    await record(i => 40 + i * 0.25);
+    const { metrics } = await new Forecaster({ store }).forecast({ now, metrics: ['memory'] });
+    const memory = metrics.memory;
+
+    expect(memory.method).toBe('holt');
+    expect(memory.current).toBeCloseTo(70);
+    expect(memory.trendPerHour).toBeCloseTo(15, 0);
+    const [soon, hour] = memory.predictions;
+    expect(soon.value).toBeGreaterThan(70);
+    expect(hour.value).toBeGreaterThan(soon.value);
+    expect(hour.lower).toBeLessThanOrEqual(hour.value);
+    expect(hour.upper).toBeGreaterThanOrEqual(hour.value);
+  });
+
+  test('keeps percentages within 0-100', async () => {
+    await record(i => Math.min(99, 60 + i * 0.5));
+    const { metrics } = await new Forecaster({ store }).forecast({ now, metrics: ['memory'] });
+    metrics.memory.predictions.forEach(p => expect(p.upper).toBeLessThanOrEqual(100));
+  });
+
+  test('a flat series forecasts flat', async () => {
+    await record(() => 50);
+    const { metrics } = await new Forecaster({ store }).forecast({ now, metrics: ['memory'] });
+    metrics.memory.predictions.forEach(p => expect(p.value).toBeCloseTo(50));
+  });
+});
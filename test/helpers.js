@@ -0,0 +1,21 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+  return path.join(FIXTURES, name);
+}
+
+// Everything under ~/.terminal-atmosphere lands in a throwaway HOME
+async function useTempHome() {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-test-'));
+  process.env.HOME = home;
+  return home;
+}
+
+module.exports = {
+  fixture,
+  useTempHome
+};
@@ -0,0 +1,41 @@
+const HistoryReport = require('../lib/history-report');
+
+const MINUTE = 60 * 1000;
+
+describe('HistoryReport', () => {
+  const report = new HistoryReport({ store: {} });
+
+  describe('parseOptions', () => {
+    test.each(['0', '0m', '0.0h'])('--bucket %s is refused', (bucket) => {
+      expect(() => report.parseOptions({ bucket })).toThrow('--bucket must be longer than zero');
+    });
+
+    test('tiny buckets over a long range are refused', () => {
+      expect(() => report.parseOptions({ since: '7d', bucket: '1s' })).toThrow(/more than 500 rows/);
+      expect(() => report.parseOptions({ since: '7d', bucket: '1h' })).not.toThrow();
+    });
+
+    test('the default range and metrics', () => {
+      const query = report.parseOptions({});
+
+      expect(query.to - query.from).toBe(60 * MINUTE);
+      expect(query).toMatchObject({ metrics: ['cpu', 'memory'], aggregations: ['avg', 'max', 'p95'], bucket: null });
+    });
+
+    test('unknown metrics and reversed ranges are refused', () => {
+      expect(() => report.parseOptions({ metrics: 'cpu,gpu' })).toThrow('Unknown metric "gpu"');
+      expect(() => report.parseOptions({ since: '1h', until: '2h' })).toThrow('--since must be earlier than --until');
+    });
+  });
+
+  test('bucketize spreads points over the range, the last bucket taking the end', () => {
+    const counting = new HistoryReport({ store: {} });
+    counting.aggregate = points => ({ count: points.length });
+    const points = [0, 4, 5, 9, 10].map(minutes => ({ time: minutes * MINUTE }));
+
+    expect(counting.bucketize(points, 0, 10 * MINUTE, 5 * MINUTE)).toEqual([
+      { start: 0, metrics: { count: 2 } },
+      { start: 5 * MINUTE, metrics: { count: 3 } }
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const HistoryStore = require('../lib/history-store');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture, useTempHome } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('HistoryStore', () => {
+  let home;
+  let sample;
+  let store;
+
+  // A recorded sample, moved to `time` with the given CPU usage
+  const at = (time, cpu) => ({ ...sample, timestamp: new Date(time).toISOString(), cpu: { ...sample.cpu, usage: cpu } });
+
+  beforeEach(async () => {
+    home = await useTempHome();
+    const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+    await monitor.collectMetrics();
+    sample = await monitor.collectMetrics();
+    store = new HistoryStore({ dataDir: path.join(home, 'data') });
+    await store.open();
+  });
+
+  afterEach(async () => {
+    await fs.remove(home);
+  });
+
+  test('stores samples without their static details', async () => {
+    await store.append(sample);
+    const [record] = await store.samples({ from: 0 });
+
+    expect(record.environment).toBeUndefined();
+    expect(record.disk.layout).toBeUndefined();
+    expect(record.network.groups).toBeUndefined();
+    expect(record.processes.top[0].name).toBe('node');
+  });
+
+  test('keeps raw records slim', async () => {
+    await store.append(sample);
+    const [record] = await store.samples({ from: 0 });
+
+    // The loopback interface was idle
+    expect(record.network.interfaces).toEqual([{ iface: 'eth0', kind: 'physical', rxRate: 1250000, txRate: 250000 }]);
+    expect(record.disk.usage[0]).toEqual({ mount: '/', used: expect.any(Number), available: expect.any(Number), use: 18.1, inodeUse: 3.4 });
+    expect(record.processes.categories.editor).toEqual({ kind: 'development', processes: 1, cpu: 9.1, mem: 6.1, programs: ['code'] });
+    expect(record.processes.top.every(p => p.cpu || p.mem)).toBe(true);
+  });
+
+  test('over the size cap, raw segments are rolled up before anything is dropped', async () => {
+    const capped = new HistoryStore({ dataDir: store.dataDir, maxSegmentAge: MINUTE, maxTotalBytes: 16 * 1024 });
+    await capped.open();
+    const start = Math.floor((Date.now() - HOUR) / HOUR) * HOUR;
+    for (let i = 0; i < 60; i++) await capped.append(at(start + i * 30 * 1000, i));
+
+    const raw = await capped.listSegments('raw');
+    const minutes = await capped.listSegments('1m');
+    expect(raw.length).toBeLessThan(30);
+    expect(minutes.length).toBeGreaterThan(0);
+    // Only the segment still being written can take it past the cap
+    const { size } = await fs.stat(capped.current.file);
+    expect(await capped.totalBytes()).toBeLessThanOrEqual(16 * 1024 + size);
+
+    // Every minute is still there, the early ones as rollups
+    const points = await capped.query({ from: 0 });
+    expect(points[0]).toMatchObject({ time: start, resolution: '1m' });
+    expect(points[0].metrics.cpu).toMatchObject({ min: 0, max: 1, count: 2 });
+    expect(new Set(points.map(p => Math.floor(p.time / MINUTE))).size).toBe(30);
+  });
+
+  test('queries points in a time range', async () => {
+    const start = Date.now() - HOUR;
+    for (let i = 0; i < 6; i++) await store.append(at(start + i * 10 * MINUTE, 10 * i));
+
+    const points = await store.query({ from: start + 15 * MINUTE, to: start + 45 * MINUTE });
+    expect(points.map(p => p.metrics.cpu.avg)).toEqual([20, 30, 40]);
+    expect(points[0].resolution).toBe('raw');
+    expect(points[0].metrics.network.avg).toBeCloseTo(sample.network.rate);
+  });
+
+  test('skips a torn last line', async () => {
+    await store.append(at(Date.now() - MINUTE, 12));
+    await fs.appendFile(store.current.file, '{"timestamp":"20');
+    expect(await store.query({ from: 0 })).toHaveLength(1);
+  });
+
+  test('rolls expired raw segments up into minutes', async () => {
+    const start = Math.floor((Date.now() - 2 * DAY) / HOUR) * HOUR;
+    const old = new HistoryStore({ dataDir: store.dataDir, maxSegmentAge: 2 * MINUTE });
+    await old.open();
+    // Two segments: a full one that has expired, and the one still being written
+    for (let i = 0; i < 12; i++) await old.append(at(start + i * 10 * 1000, i));
+    await old.append(at(start + 3 * MINUTE, 50));
+    const [expired] = await old.listSegments('raw');
+    await fs.utimes(expired.file, new Date(start), new Date(start));
+
+    await old.compact();
+
+    expect(await old.listSegments('raw')).toHaveLength(1);
+    const rollups = (await old.query({ from: 0 })).filter(p => p.resolution === '1m');
+    expect(rollups).toHaveLength(2);
+    expect(rollups[0].metrics.cpu).toMatchObject({ min: 0, max: 5, avg: 2.5, count: 6 });
+  });
+
+  test('rollups go into a few long segments, not one file per raw segment', async () => {
+    const start = Math.floor((Date.now() - 3 * DAY) / HOUR) * HOUR;
+    const old = new HistoryStore({ dataDir: store.dataDir, maxSegmentAge: MINUTE });
+    await old.open();
+    // A raw segment per minute for ten minutes, then one more a day and a half later
+    for (let i = 0; i < 20; i++) await old.append(at(start + i * 30 * 1000, i));
+    await old.append(at(start + 36 * HOUR, 99));
+    await old.append(at(Date.now(), 1));
+    for (const segment of (await old.listSegments('raw')).slice(0, -1)) {
+      await fs.utimes(segment.file, new Date(start), new Date(start));
+    }
+
+    await old.compact();
+
+    const minutes = await old.listSegments('1m');
+    expect(minutes.map(s => s.start)).toEqual([start, start + 36 * HOUR]);
+    const rollups = (await old.query({ from: 0 })).filter(p => p.resolution === '1m');
+    expect(rollups).toHaveLength(11);
+    expect(rollups[9].metrics.cpu).toMatchObject({ min: 18, max: 19, count: 2 });
+  });
+
+  test('recent returns the newest records across segments', async () => {
+    const rotating = new HistoryStore({ dataDir: store.dataDir, maxSegmentAge: MINUTE });
+    await rotating.open();
+    const start = Date.now() - 10 * MINUTE;
+    for (let i = 0; i < 5; i++) await rotating.append(at(start + i * 2 * MINUTE, i));
+
+    expect((await rotating.listSegments('raw')).length).toBe(5);
+    expect((await rotating.recent(3)).map(r => r.cpu.usage)).toEqual([2, 3, 4]);
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const IncidentTracker = require('../lib/incidents');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture } = require('./helpers');
+
+const alert = (ruleId, extra = {}) => ({
+  ruleId,
+  type: 'warning',
+  metric: 'cpu.usage',
+  message: `${ruleId} fired`,
+  threshold: 75,
+  value: 80,
+  peak: 80,
+  since: new Date().toISOString(),
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+// A pid that has certainly exited
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('IncidentTracker', () => {
+  let dataDir;
+  let tracker;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-incidents-'));
+    tracker = new IncidentTracker({ dataDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('a condition that persists stays one incident', async () => {
+    const first = await tracker.open(alert('cpu'));
+    const again = await tracker.open(alert('cpu'));
+
+    expect(first).toMatchObject({ isNew: true, incident: { id: 1, owner: process.pid } });
+    expect(again).toMatchObject({ isNew: false, incident: { id: 1 } });
+  });
+
+  test('only incidents of processes that are gone are closed as interrupted', async () => {
+    await tracker.open(alert('mine'));
+    await tracker.update(state => {
+      state.incidents.push({ ...state.incidents[0], id: 2, ruleId: 'dead', owner: deadPid() });
+      state.incidents.push({ ...state.incidents[0], id: 3, ruleId: 'legacy', owner: undefined });
+    });
+
+    expect(await tracker.closeInterrupted()).toBe(2);
+    const { incidents } = await tracker.load();
+    expect(incidents.filter(i => !i.endedAt).map(i => i.ruleId)).toEqual(['mine']);
+    expect(incidents.find(i => i.ruleId === 'dead').interrupted).toBe(true);
+  });
+
+  test('another process cannot resolve an incident it does not own', async () => {
+    await tracker.open(alert('cpu'));
+    await tracker.update(state => {
+      state.incidents[0].owner = process.ppid;
+    });
+
+    expect(await tracker.resolve(alert('cpu'))).toBeUndefined();
+    expect((await tracker.list()).filter(i => !i.endedAt)).toHaveLength(1);
+  });
+
+  test('another process cannot overwrite the peak either', async () => {
+    await tracker.open(alert('cpu', { peak: 80, value: 80 }));
+    await tracker.update(state => {
+      state.incidents[0].owner = process.ppid;
+    });
+
+    expect(await tracker.recordPeak(alert('cpu', { peak: 99, value: 99 }))).toBeUndefined();
+    expect((await tracker.list())[0]).toMatchObject({ peak: 80, lastValue: 80 });
+  });
+
+  test('a monitor does not report the resolution of an incident it does not own', async () => {
+    const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+    monitor.quiet = true;
+    monitor.incidents = tracker;
+    monitor.notifier = { queue: jest.fn() };
+    await tracker.open(alert('cpu'));
+    await tracker.update(state => {
+      state.incidents[0].owner = process.ppid;
+    });
+    const resolved = { type: 'resolved', alert: alert('cpu') };
+    monitor.alertEngine = { evaluate: () => ({ alerts: [], transitions: [resolved] }) };
+    monitor.anomalyDetector = { evaluate: () => ({ alerts: [], transitions: [] }) };
+    const reported = jest.fn();
+    monitor.on('alert', reported);
+
+    await monitor.checkAlerts({});
+
+    expect(reported).not.toHaveBeenCalled();
+    expect(monitor.notifier.queue).not.toHaveBeenCalled();
+  });
+
+  test('concurrent updates are not lost', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => tracker.open(alert(`rule-${i}`))));
+    const { incidents, nextId } = await tracker.load();
+
+    expect(incidents).toHaveLength(20);
+    expect(nextId).toBe(21);
+    expect(await fs.pathExists(path.join(dataDir, 'incidents.json.lock'))).toBe(false);
+  });
+
+  test('a lock left by a dead process is taken over', async () => {
+    await fs.writeFile(path.join(dataDir, 'incidents.json.lock'), String(deadPid()));
+    await expect(tracker.open(alert('cpu'))).resolves.toMatchObject({ isNew: true });
+  });
+});
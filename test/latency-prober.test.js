@@ -0,0 +1,33 @@
+const net = require('net');
+const LatencyProber = require('../lib/latency-prober');
+
+describe('LatencyProber', () => {
+  test('probes nothing until targets are configured', () => {
+    expect(new LatencyProber().enabled).toBe(false);
+    expect(new LatencyProber().due()).toBe(false);
+    expect(new LatencyProber({ targets: ['dns:localhost'] }).enabled).toBe(true);
+    expect(new LatencyProber({ targets: ['dns:localhost'], enabled: false }).due()).toBe(false);
+  });
+
+  test('parses target specs', () => {
+    expect(LatencyProber.parseTarget('tcp://[::1]:22')).toMatchObject({ type: 'tcp', host: '::1', port: 22 });
+    expect(LatencyProber.parseTarget('localhost:80')).toMatchObject({ type: 'tcp', host: 'localhost', port: 80 });
+    expect(LatencyProber.parseTarget('dns:example.com')).toMatchObject({ type: 'dns', host: 'example.com' });
+    expect(LatencyProber.parseTarget('https://example.com/')).toMatchObject({ type: 'http' });
+    expect(() => LatencyProber.parseTarget('ftp:nope')).toThrow('Invalid latency target');
+  });
+
+  test('measures a local TCP target', async () => {
+    const server = net.createServer(socket => socket.destroy());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const prober = new LatencyProber({ targets: [`tcp://127.0.0.1:${server.address().port}`], count: 3 });
+      const result = await prober.run();
+      expect(result.loss).toBe(0);
+      expect(result.targets[0].samples).toBe(3);
+      expect(result.avg).toBeGreaterThanOrEqual(0);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,114 @@
+const os = require('os');
+const LLMAdvisor = require('../lib/llm-advisor');
+
+const suggestion = (extra = {}) => ({ category: 'memory', priority: 'medium', action: 'Close unused browser tabs', ...extra });
+
+// Shaped like AIAssistant's system data, with everything that must stay home
+function systemData() {
+  return {
+    timestamp: '2026-03-10T14:00:00.000Z',
+    system: {
+      os: { platform: 'linux', distro: 'Ubuntu', release: '24.04', arch: 'x64', uptime: 3600, hostname: 'alices-laptop' },
+      cpu: { usage: 42.345, cores: 8, temperature: 61, loadAverage: [1.2, 1.1, 0.9] },
+      memory: { used: 12 * 1024 ** 3, total: 16 * 1024 ** 3, swapUsed: 0, swapTotal: 0 },
+      disk: [{ fs: '/dev/nvme0n1p2', mount: `${os.homedir()}/projects`, size: 500 * 1024 ** 3, usage: 71.26 }],
+      network: {
+        rxRate: 1024,
+        txRate: 512,
+        interfaces: [{ iface: 'wlp2s0', ip4: '192.168.1.23', mac: 'aa:bb:cc:dd:ee:ff', kind: 'wireless', rxRate: 1024, txRate: 512 }]
+      },
+      processes: {
+        running: 3,
+        blocked: 0,
+        sleeping: 250,
+        list: [{
+          pid: 4377,
+          name: 'node',
+          command: '/usr/bin/node',
+          params: 'server.js --db-password=hunter2',
+          user: 'alice',
+          path: `${os.homedir()}/projects/shop`,
+          cpu: 35.55,
+          mem: 4.04
+        }],
+        categories: { test: { kind: 'work', programs: ['node'], processes: 1, cpu: 35.55, mem: 4.04, pids: [4377] } }
+      }
+    },
+    environment: { node_version: 'v20.11.0', shell: '/usr/bin/zsh', term: 'xterm-256color', user: 'alice', cwd: `${os.homedir()}/projects/shop` }
+  };
+}
+
+describe('LLMAdvisor', () => {
+  describe('redact', () => {
+    test('only aggregates and process names leave the machine', () => {
+      const redacted = LLMAdvisor.redact(systemData());
+      const sent = JSON.stringify(redacted);
+
+      for (const secret of ['hunter2', 'server.js', 'alice', '192.168.1.23', 'aa:bb:cc', 'wlp2s0', os.homedir(), '4377']) {
+        expect(sent).not.toContain(secret);
+      }
+      expect(redacted.processes.top).toEqual([{ name: 'node', cpu: 35.6, mem: 4 }]);
+      expect(redacted.memory).toEqual({ usage: 75, totalGB: 16, swapUsage: 0 });
+      expect(redacted.disk).toEqual([{ mount: '~/projects', sizeGB: 500, usage: 71.3 }]);
+      expect(redacted.environment).toEqual({ node: 'v20.11.0', shell: 'zsh', term: 'xterm-256color' });
+    });
+  });
+
+  describe('replies', () => {
+    test('JSON wrapped in prose or a code fence is unwrapped', () => {
+      expect(LLMAdvisor.parseReply('Sure!\n```json\n{"suggestions": []}\n```\nHope this helps')).toEqual({ suggestions: [] });
+      expect(LLMAdvisor.parseReply('Here you go: {"suggestions": []}')).toEqual({ suggestions: [] });
+      expect(() => LLMAdvisor.parseReply('I cannot help with that')).toThrow('Reply is not a JSON object');
+      expect(() => LLMAdvisor.parseReply('{"suggestions": [}')).toThrow(/^Reply is not valid JSON/);
+    });
+
+    test.each([
+      ['a list', [], 'Reply must be a JSON object'],
+      ['no suggestions', { insights: [] }, 'Reply needs a "suggestions" list'],
+      ['insights as text', { suggestions: [], insights: 'none' }, '"insights" must be a list'],
+      ['an essay of a summary', { suggestions: [], summary: 'x'.repeat(501) }, '"summary" must be text up to 500 characters']
+    ])('a reply with %s is rejected', (label, reply, error) => {
+      expect(() => LLMAdvisor.validateReply(reply)).toThrow(error);
+    });
+
+    test('bad entries are dropped and reported, the rest kept', () => {
+      const reply = LLMAdvisor.validateReply({
+        summary: 'Memory is tight',
+        insights: [{ category: 'memory', severity: 'urgent', message: 'Swap is coming' }],
+        suggestions: [
+          suggestion({ command: 'free -h' }),
+          suggestion({ priority: 'asap' }),
+          suggestion({ command: 'sync\nrm -rf ~/projects' }),
+          suggestion({ command: null })
+        ]
+      });
+
+      expect(reply.insights).toEqual([]);
+      expect(reply.suggestions.map(s => s.command)).toEqual(['free -h', null]);
+      expect(reply.warnings).toEqual([
+        'insights[0] dropped: severity must be one of high, medium, low, info',
+        'suggestions[1] dropped: priority must be one of high, medium, low',
+        'suggestions[2] dropped: command must be a single line up to 500 characters'
+      ]);
+    });
+
+    test('at most ten suggestions are kept', () => {
+      const reply = LLMAdvisor.validateReply({ suggestions: Array.from({ length: 15 }, () => suggestion()) });
+
+      expect(reply.suggestions).toHaveLength(10);
+    });
+  });
+
+  test('advise marks what came from the model', async () => {
+    const provider = {
+      name: 'fake',
+      complete: jest.fn(async () => JSON.stringify({ suggestions: [suggestion({ priority: 'high', command: 'free -h' })] }))
+    };
+    const advisor = new LLMAdvisor(provider);
+
+    const advice = await advisor.advise(systemData(), { focusArea: 'memory', insights: [], suggestions: [] });
+
+    expect(advice.suggestions).toEqual([expect.objectContaining({ command: 'free -h', impact: 'High', automated: true, source: 'model' })]);
+    expect(provider.complete.mock.calls[0][0][1].content).not.toContain('hunter2');
+  });
+});
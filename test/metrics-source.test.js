@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const EnvironmentMonitor = require('../lib/monitor');
+const { FixtureMetricsSource } = require('../lib/metrics-source');
+const { fixture, useTempHome } = require('./helpers');
+
+describe('FixtureMetricsSource', () => {
+  test('replays frames in order and holds the last one', async () => {
+    const source = new FixtureMetricsSource(fixture('workstation.json'));
+    const loads = [];
+    for (let i = 0; i < 4; i++) {
+      loads.push((await source.sample(['currentLoad'])).currentLoad.currentLoad);
+    }
+    expect(loads).toEqual([38.2, 44.6, 41.0, 41.0]);
+  });
+
+  test('wraps around with loop', async () => {
+    const source = new FixtureMetricsSource(fixture('workstation.json'), { loop: true });
+    for (let i = 0; i < 3; i++) await source.sample(['mem']);
+    expect((await source.sample(['currentLoad'])).currentLoad.currentLoad).toBe(38.2);
+  });
+
+  test('keeps the recorded timestamps', async () => {
+    const source = new FixtureMetricsSource(fixture('workstation.json'));
+    const [first, second] = await source.sampleTwice(['networkStats'], 0);
+    expect(Date.parse(second.timestamp) - Date.parse(first.timestamp)).toBe(5000);
+  });
+
+  test('recordings from before disk stats read them as unknown', async () => {
+    const source = new FixtureMetricsSource(fixture('before-disk-stats.json'));
+    const frame = await source.sample(['fsSize', 'diskStats', 'inodes']);
+    expect(frame.diskStats).toEqual([]);
+    expect(frame.inodes).toEqual([]);
+    expect(frame.fsSize.length).toBeGreaterThan(0);
+  });
+
+  test('other missing sections are still an error', async () => {
+    const source = new FixtureMetricsSource(fixture('before-disk-stats.json'));
+    await expect(source.sample(['battery'])).rejects.toThrow('Fixture snapshot has no "battery" data');
+  });
+
+  test('a missing fixture is reported', async () => {
+    await expect(new FixtureMetricsSource(fixture('nope.json')).sample()).rejects.toThrow('Fixture not found');
+  });
+});
+
+describe('EnvironmentMonitor#collectMetrics from a fixture', () => {
+  let home;
+
+  beforeEach(async () => {
+    home = await useTempHome();
+  });
+
+  afterEach(async () => {
+    await fs.remove(home);
+  });
+
+  test('turns frames into samples with rates', async () => {
+    const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+    await monitor.collectMetrics();
+    const sample = await monitor.collectMetrics();
+
+    expect(sample.cpu.usage).toBe(44.6);
+    expect(sample.memory.percentage).toBeCloseTo(64, 0);
+    // 6.25 MB more received over 5 seconds
+    expect(sample.network.rxRate).toBeCloseTo(1250000, -3);
+    expect(sample.processes.top[0].name).toBe('node');
+    expect(sample.processes.categories.editor.programs).toEqual(['code']);
+    expect(sample.disk.io.devices.length).toBeGreaterThan(0);
+  });
+
+  test('works from a recording without disk stats', async () => {
+    const monitor = new EnvironmentMonitor({ fixture: fixture('before-disk-stats.json') });
+    const sample = await monitor.collectMetrics();
+
+    expect(sample.disk.usage[0].inodesFree).toBeNull();
+    expect(sample.disk.io.devices).toEqual([]);
+    expect(monitor.determineWeather(sample).condition).toBeDefined();
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { NotificationDispatcher, FileSink, CommandSink } = require('../lib/notifiers');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture, useTempHome } = require('./helpers');
+
+const alert = (type = 'warning', extra = {}) => ({
+  ruleId: 'cpu',
+  type,
+  metric: 'cpu.usage',
+  message: 'CPU above 75%',
+  threshold: 75,
+  value: 91.5,
+  timestamp: '2026-03-10T14:00:00.000Z',
+  ...extra
+});
+
+// A sink that records what it got and fails the first `failures` sends
+function recordingSink(failures = 0, delay = 0) {
+  const sink = {
+    name: 'recording',
+    received: [],
+    async send(notification) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (failures-- > 0) throw new Error('connection refused');
+      sink.received.push(notification.event);
+    }
+  };
+  return sink;
+}
+
+const entry = (sink, extra = {}) => ({ sink, minSeverity: 'info', events: ['fired', 'resolved'], retries: 2, retryDelay: 10, ...extra });
+
+describe('NotificationDispatcher', () => {
+  let home;
+
+  beforeEach(async () => {
+    home = await useTempHome();
+  });
+
+  afterEach(async () => {
+    await fs.remove(home);
+  });
+
+  test('queue returns at once and retries in the background', async () => {
+    const sink = recordingSink(2);
+    const dispatcher = new NotificationDispatcher([entry(sink)]);
+    const onFailure = jest.fn();
+
+    dispatcher.queue({ event: 'fired', alert: alert() }, onFailure);
+    expect(sink.received).toEqual([]);
+
+    await dispatcher.idle();
+    expect(sink.received).toEqual(['fired']);
+    expect(onFailure).not.toHaveBeenCalled();
+  });
+
+  test('a sink gets its notifications in order, even while retrying', async () => {
+    const sink = recordingSink(1, 5);
+    const dispatcher = new NotificationDispatcher([entry(sink)]);
+
+    dispatcher.queue({ event: 'fired', alert: alert() });
+    dispatcher.queue({ event: 'resolved', alert: alert() });
+    await dispatcher.idle();
+
+    expect(sink.received).toEqual(['fired', 'resolved']);
+  });
+
+  test('a sink that keeps failing is reported once it gives up', async () => {
+    const dispatcher = new NotificationDispatcher([entry(recordingSink(10), { retries: 1 })]);
+    const onFailure = jest.fn();
+
+    dispatcher.queue({ event: 'fired', alert: alert() }, onFailure);
+    await dispatcher.idle();
+
+    expect(onFailure).toHaveBeenCalledWith({ sink: 'recording', error: 'connection refused' });
+  });
+
+  test('sinks only get the severities and events they asked for', async () => {
+    const critical = recordingSink();
+    const firedOnly = recordingSink();
+    const dispatcher = new NotificationDispatcher([
+      entry(critical, { minSeverity: 'critical' }),
+      entry(firedOnly, { events: ['fired'] })
+    ]);
+
+    dispatcher.queue({ event: 'fired', alert: alert('warning') });
+    dispatcher.queue({ event: 'resolved', alert: alert('critical') });
+    await dispatcher.idle();
+
+    expect(critical.received).toEqual(['resolved']);
+    expect(firedOnly.received).toEqual(['fired']);
+  });
+
+  test('fromConfig falls back to the alert log and reports bad sinks', () => {
+    expect(NotificationDispatcher.fromConfig({}).entries[0].sink).toBeInstanceOf(FileSink);
+
+    const dispatcher = NotificationDispatcher.fromConfig({ alerts: { sinks: [{ type: 'pager' }, { type: 'webhook' }] } });
+    expect(dispatcher.entries).toEqual([]);
+    expect(dispatcher.errors).toEqual([
+      'Unknown sink type "pager" (use webhook, command, file)',
+      'Webhook sink needs a "url"'
+    ]);
+  });
+
+  test('fromConfig refuses a minSeverity it does not know, rather than sending everything', () => {
+    const dispatcher = NotificationDispatcher.fromConfig({ alerts: { sinks: [{ type: 'file', minSeverity: 'error' }, null] } });
+
+    expect(dispatcher.entries).toEqual([]);
+    expect(dispatcher.errors).toEqual([
+      'Sink 1 (file) has unknown minSeverity "error" (use info, warning, critical)',
+      'Sink 2 is not an object'
+    ]);
+    expect(NotificationDispatcher.fromConfig({ alerts: { sinks: { type: 'file' } } }).errors).toEqual(['"alerts.sinks" must be a list']);
+  });
+
+  test('the file sink appends one JSON line per notification', async () => {
+    const file = path.join(home, 'alerts.log');
+    const sink = new FileSink({ path: file });
+
+    await sink.send({ event: 'fired', alert: alert() });
+    await sink.send({ event: 'resolved', alert: alert() });
+
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.event)).toEqual(['fired', 'resolved']);
+    expect(lines[0].alert.value).toBe(91.5);
+  });
+
+  test('the command sink passes the alert in the environment', async () => {
+    const file = path.join(home, 'env.txt');
+    const sink = new CommandSink({ command: `echo "$ATMOSPHERE_EVENT $ATMOSPHERE_ALERT_SEVERITY $ATMOSPHERE_ALERT_VALUE" > ${file}` });
+
+    await sink.send({ event: 'fired', alert: alert('critical') });
+    expect(await fs.readFile(file, 'utf8')).toBe('fired critical 91.5\n');
+    await expect(new CommandSink({ command: 'exit 3' }).send({ event: 'fired', alert: alert() })).rejects.toThrow('code 3');
+  });
+
+  test('a dead sink does not hold up the monitor', async () => {
+    const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+    monitor.quiet = true;
+    const sink = recordingSink(10, 200);
+    monitor.notifier = new NotificationDispatcher([entry(sink, { retries: 3, retryDelay: 200 })]);
+
+    const started = Date.now();
+    await monitor.reportTransition('fired', { ...alert(), incidentId: 1 });
+    expect(Date.now() - started).toBeLessThan(150);
+
+    await monitor.flushAlerts(100);
+    expect(Date.now() - started).toBeLessThan(400);
+    expect(sink.received).toEqual([]);
+    await monitor.notifier.idle();
+  });
+});
@@ -0,0 +1,24 @@
+const ProductivityOptimizer = require('../lib/optimizer');
+const { FixtureMetricsSource } = require('../lib/metrics-source');
+const { fixture, useTempHome } = require('./helpers');
+
+describe('ProductivityOptimizer', () => {
+  beforeEach(async () => {
+    await useTempHome();
+  });
+
+  // eth0 receives 6.25 MB between frames taken 5s apart
+  test('network load comes from the change between two readings', async () => {
+    const source = new FixtureMetricsSource(fixture('workstation.json'));
+    const optimizer = new ProductivityOptimizer({ source });
+
+    expect(await optimizer.measureNetworkLoad(0)).toEqual({ bandwidth: 'high', congestion: true });
+  });
+
+  test('a single reading has no rates to judge', () => {
+    const optimizer = new ProductivityOptimizer({ source: new FixtureMetricsSource(fixture('workstation.json')) });
+
+    expect(optimizer.estimateBandwidth({ rate: null, interfaces: [] })).toBe('unknown');
+    expect(optimizer.detectNetworkCongestion({ rate: null, interfaces: [] })).toBe(false);
+  });
+});
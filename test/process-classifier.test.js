@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProcessClassifier = require('../lib/process-classifier');
+
+// Shaped like systeminformation's process list entries
+const proc = (name, command, params = '', extra = {}) => ({
+  pid: extra.pid || 100,
+  parentPid: extra.parentPid || 1,
+  name,
+  command,
+  path: command.startsWith('/') ? path.dirname(command) : '',
+  params,
+  cpu: 0,
+  mem: 0,
+  ...extra
+});
+
+describe('ProcessClassifier', () => {
+  const classifier = new ProcessClassifier();
+  const classify = (...args) => classifier.classify(proc(...args));
+
+  test.each([
+    ['code', '/usr/share/code/code', '--type=renderer', 'editor'],
+    ['code', '/snap/code/171/usr/share/code/code', '', 'editor'],
+    ['java', '/opt/jetbrains/idea-IU-241/jbr/bin/java', '-Xmx2g com.intellij.idea.Main', 'editor'],
+    ['nvim', 'nvim', 'src/index.ts', 'editor'],
+    ['Code Helper (Renderer)', '/Applications/Visual Studio Code.app/Contents/Frameworks/Code Helper (Renderer).app/Contents/MacOS/Code Helper (Renderer)', '', 'editor'],
+    ['firefox', '/usr/lib/firefox/firefox', '-contentproc', 'browser'],
+    ['Isolated Web Co', '/usr/lib/firefox/firefox', '-contentproc -isForBrowser', 'browser'],
+    ['chrome', '/opt/google/chrome/chrome', '--type=renderer', 'browser'],
+    ['slack', '/usr/lib/slack/slack', '--enable-crashpad', 'chat'],
+    ['zoom', '/opt/zoom/zoom', '', 'chat'],
+    ['node', 'node', 'node_modules/.bin/jest --watch', 'test'],
+    ['python3', 'python3', '-m pytest tests/', 'test'],
+    ['node', 'node', '/home/me/shop/node_modules/.bin/vite', 'build'],
+    ['postgres', '/usr/lib/postgresql/15/bin/postgres', '-D /var/lib/postgresql/15/main', 'database'],
+    ['java', '/usr/bin/java', '-cp /opt/kafka/libs/* kafka.Kafka config/server.properties', 'database']
+  ])('%s %s %s is %s', (name, command, params, category) => {
+    expect(classify(name, command, params)).toBe(category);
+  });
+
+  test.each([
+    ['node', 'node', '/home/me/code/shop/server.js'],
+    ['python3', 'python3', '/home/me/idea/app.py'],
+    ['bash', '/usr/bin/bash', '/home/me/zoom/run.sh'],
+    ['node', '/home/me/.nvm/versions/node/v20.11.0/bin/node', '/home/me/projects/firefox-addon/build.js --watch-files'],
+    ['sleep', '/usr/bin/sleep', '30'],
+    ['gpg-agent', '/usr/bin/gpg-agent', '--homedir /home/me/.gnupg/slack --daemon']
+  ])('a script under a lookalike directory is not an app: %s %s', (name, command, params) => {
+    expect(classify(name, command, params)).toBeNull();
+  });
+
+  test('language servers count as the editor that started them', () => {
+    const list = [
+      proc('code', '/usr/share/code/code', '', { pid: 10 }),
+      proc('node', '/usr/share/code/code', 'extensionHost', { pid: 11, parentPid: 10 }),
+      proc('gopls', '/home/me/go/bin/gopls', 'serve', { pid: 12, parentPid: 11 })
+    ];
+
+    expect(classifier.classifyAll(list).map(c => c.category)).toEqual(['editor', 'editor', 'editor']);
+  });
+
+  test('summarize counts each program once', () => {
+    const list = [
+      proc('firefox', '/usr/lib/firefox/firefox', '', { pid: 1, cpu: 10, mem: 5 }),
+      proc('Isolated Web Co', '/usr/lib/firefox/firefox', '-contentproc', { pid: 2, cpu: 20, mem: 3 })
+    ];
+
+    expect(classifier.summarize(list).browser).toMatchObject({ processes: 2, cpu: 30, mem: 8, kind: 'distraction' });
+  });
+
+  describe('overrides', () => {
+    test('a config rule goes in front of the defaults and can match the executable', () => {
+      const custom = new ProcessClassifier([{
+        source: 'config.json',
+        config: { categories: { chat: { rules: [{ executable: '/opt/MyChat/' }] } }, ignore: ['^zoom$'] }
+      }]);
+
+      expect(custom.classify(proc('mychat', '/opt/MyChat/mychat'))).toBe('chat');
+      expect(custom.classify(proc('slack', '/usr/lib/slack/slack'))).toBe('chat');
+      expect(custom.classify(proc('zoom', '/opt/zoom/zoom'))).toBeNull();
+    });
+
+    test('a broken project file is skipped, keeping the config layer', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-classifier-'));
+      const projectFile = path.join(dir, ProcessClassifier.PROJECT_FILE);
+      await fs.writeJson(projectFile, { classification: { categories: { game: { rules: ['('] } } } });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const loaded = await ProcessClassifier.load({
+        projectFile,
+        config: { classification: { categories: { game: { kind: 'distraction', rules: ['^steam$'] } } } }
+      });
+
+      expect(loaded.sources).toEqual(['config.json']);
+      expect(loaded.classify(proc('steam', '/usr/bin/steam'))).toBe('game');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+      await fs.remove(dir);
+    });
+  });
+});
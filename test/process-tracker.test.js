@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProcessTracker = require('../lib/process-tracker');
+
+const MINUTE = 60 * 1000;
+const MB = 1024 * 1024;
+
+// Shaped like systeminformation's process list; memRss is in KiB
+const proc = (pid, rssMb, extra = {}) => ({ pid, name: `proc-${pid}`, started: '2026-03-10 09:00:00', memRss: rssMb * 1024, cpu: 1, ...extra });
+
+describe('ProcessTracker', () => {
+  let dataDir;
+  let tracker;
+
+  // Samples every minute for `minutes`, with each process's RSS from rss(pid, minute)
+  const track = (pids, minutes, rss) => {
+    for (let minute = 0; minute < minutes; minute++) {
+      tracker.observe(pids.map(pid => proc(pid, rss(pid, minute))), minute * MINUTE, { total: 16 * 1024 * MB, available: 600 * MB });
+    }
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-processes-'));
+    tracker = new ProcessTracker({ dataDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('steady growth is a suspect; noise, plateaus and small growth are not', () => {
+    track([1, 2, 3, 4], 30, (pid, minute) => ({
+      // 1 MB a minute
+      1: 200 + minute,
+      // Busy, but back where it started every few minutes
+      2: 500 + (minute % 5) * 40,
+      // Loaded its data, then stayed flat
+      3: minute < 3 ? 100 * minute : 300,
+      // Grows steadily, by 1 MB an hour
+      4: 100 + minute / 60
+    })[pid]);
+
+    const suspects = tracker.suspects();
+    expect(suspects.map(s => s.pid)).toEqual([1]);
+    expect(suspects[0].growthPerHour).toBeCloseTo(60 * MB);
+    expect(suspects[0].r2).toBeCloseTo(1);
+    // 600 MB free at 60 MB an hour
+    expect(suspects[0].timeToOom).toBeCloseTo(10 * 60 * MINUTE);
+  });
+
+  test('too short a history is not judged yet', () => {
+    track([1], 5, (pid, minute) => 200 + 10 * minute);
+
+    expect(tracker.suspects()).toEqual([]);
+  });
+
+  test('a reused pid is a new process, and exited ones are forgotten', () => {
+    tracker.observe([proc(7, 100), proc(8, 100)], 0);
+    tracker.observe([proc(7, 100, { started: '2026-03-10 10:00:00' })], MINUTE);
+
+    expect([...tracker.processes.values()].map(t => [t.pid, t.started, t.points.length])).toEqual([[7, '2026-03-10 10:00:00', 1]]);
+  });
+
+  test('long histories are thinned but keep their first point', () => {
+    track([1], 300, (pid, minute) => 200 + minute);
+    const { points } = tracker.processes.get('1:2026-03-10 09:00:00');
+
+    expect(points.length).toBeLessThanOrEqual(120);
+    expect(points[0][0]).toBe(0);
+    expect(points[points.length - 1][0]).toBe(299 * MINUTE);
+  });
+
+  test('saves at most once a minute unless forced, and loads back', async () => {
+    track([1], 20, (pid, minute) => 200 + minute);
+
+    const now = 20 * MINUTE;
+
+    await tracker.save(now);
+    tracker.updatedAt = now;
+    await tracker.save(now + 30 * 1000);
+    expect((await fs.readJson(tracker.stateFile)).updatedAt).toBe(19 * MINUTE);
+    await tracker.save(now + 30 * 1000, true);
+    expect(await fs.readdir(dataDir)).toEqual(['processes.json']);
+
+    const loaded = await new ProcessTracker({ dataDir }).load();
+    expect(loaded.updatedAt).toBe(now);
+    expect(loaded.suspects().map(s => s.pid)).toEqual([1]);
+  });
+});
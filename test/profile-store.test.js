@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProfileStore = require('../lib/profile-store');
+const ChangeJournal = require('../lib/change-journal');
+
+// What createProfileFromAnalysis wrote before profiles had a version
+const v1Analysis = {
+  name: 'baseline',
+  description: 'Auto-generated profile based on system analysis (Score: 72/100)',
+  created: '2025-11-02T09:00:00.000Z',
+  optimizations: ['cpu', 'memory', 'disk', 'Processes', 'turbo'],
+  settings: {
+    thresholds: { cpu: 12.4, memory: 63.2, disk: [41, 77.5] },
+    recommendations: [{ category: 'CPU', action: 'Close unnecessary applications' }]
+  }
+};
+
+describe('ProfileStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-profiles-'));
+    store = new ProfileStore({ dataDir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dataDir);
+  });
+
+  describe('migrate', () => {
+    test('v1 thresholds become limits with headroom', () => {
+      const { profile } = ProfileStore.migrate(v1Analysis, 'baseline');
+
+      expect(profile.settings.cpu.maxUsage).toBe(22);
+      expect(profile.settings.memory.maxUsage).toBe(73);
+      expect(profile.settings.disk.cleanupThreshold).toBe(88);
+      expect(ProfileStore.validate(profile)).toEqual([]);
+    });
+
+    test('filled-in settings never turn on an action', () => {
+      const { profile, notes } = ProfileStore.migrate(v1Analysis, 'baseline');
+
+      expect(profile.optimizations).toEqual(['cpu', 'memory', 'disk', 'processes']);
+      expect(profile.settings.cpu.autoBalance).toBe(false);
+      expect(profile.settings.memory.autoCleanup).toBe(false);
+      expect(profile.settings.disk.cleanupTargets).toEqual([]);
+      expect(profile.settings.processes.autoKillZombies).toBe(false);
+      expect(notes).toContain('dropped unknown optimizations: turbo');
+    });
+
+    test('choices a v1 profile made are kept', () => {
+      const raw = { name: 'build', optimizations: ['cpu'], settings: { cpu: { maxUsage: 90, autoBalance: true } } };
+
+      expect(ProfileStore.migrate(raw, 'build').profile.settings.cpu).toEqual({ maxUsage: 90, autoBalance: true });
+    });
+
+    test('a newer schema is refused', () => {
+      expect(() => ProfileStore.migrate({ version: 99 }, 'future')).toThrow(/schema v99/);
+    });
+  });
+
+  test('validate names each bad setting', () => {
+    const errors = ProfileStore.validate({
+      version: 2,
+      name: 'bad name',
+      description: '',
+      created: 'yesterday',
+      updated: new Date().toISOString(),
+      optimizations: ['cpu'],
+      settings: { cpu: { maxUsage: 140, renice: [{ match: '(', nice: 3 }], turbo: true } }
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'name must use letters, digits, ".", "-" and "_"',
+      'created must be a date',
+      'settings.cpu.turbo is not a known setting',
+      'settings.cpu.maxUsage must be a percentage from 1 to 100 (got 140)',
+      'settings.cpu.renice[0].match must be a regular expression (got "(")'
+    ]));
+  });
+
+  test('an old profile is migrated on load and the rewrite can be undone', async () => {
+    const file = path.join(dataDir, 'profiles', 'baseline.json');
+    await fs.outputJson(file, v1Analysis);
+
+    const profile = await store.load('baseline');
+    expect(profile.version).toBe(ProfileStore.PROFILE_VERSION);
+    expect((await fs.readJson(file)).version).toBe(ProfileStore.PROFILE_VERSION);
+
+    const journal = new ChangeJournal({ dataDir });
+    const entry = await journal.latestRevertable();
+    await journal.revert(entry.id);
+    expect(await fs.readJson(file)).toEqual(v1Analysis);
+  });
+
+  test('edit enables an optimization with the safe defaults and parses values', async () => {
+    await store.create({ name: 'focus', description: '', optimizations: [], settings: {} });
+
+    const updated = await store.edit('focus', { enable: ['disk'], set: ['disk.cleanupThreshold=95', 'cpu.maxUsage=70'] });
+
+    expect(updated.optimizations).toEqual(['disk']);
+    expect(updated.settings.disk).toEqual({ cleanupThreshold: 95, cleanupTargets: [] });
+    expect(updated.settings.cpu).toEqual({ maxUsage: 70 });
+    await expect(store.edit('focus', { set: ['cpu.maxUsage=abc'] })).rejects.toThrow(/maxUsage must be a percentage/);
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProfileSwitcher = require('../lib/profile-switcher');
+
+const MINUTE = 60 * 1000;
+// Local time, so the cron expressions below mean the same thing in any timezone
+const at = (hour, minute = 0, day = 10) => new Date(2026, 2, day, hour, minute).getTime();
+
+const sample = (memory = 40) => ({ cpu: { usage: 20 }, memory: { usage: memory } });
+
+// Applies a profile the way Optimizer.applyProfile does, as far as the switcher can see
+function fakeOptimizer(dataDir) {
+  return {
+    applyProfile: jest.fn(async (name, options = {}) => {
+      await fs.outputJson(path.join(dataDir, 'active-profile.json'), {
+        name,
+        appliedAt: new Date(options.now || Date.now()).toISOString(),
+        automatic: Boolean(options.automatic),
+        rule: options.rule || null,
+        reason: options.reason || null
+      });
+      return true;
+    })
+  };
+}
+
+describe('ProfileSwitcher', () => {
+  let dataDir;
+  let optimizer;
+  const switcher = (settings) => new ProfileSwitcher({ cooldown: '0s', ...settings, optimizer, dataDir });
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atmosphere-switcher-'));
+    optimizer = fakeOptimizer(dataDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dataDir);
+  });
+
+  describe('schedule windows', () => {
+    const rule = ProfileSwitcher.normalizeRule({ profile: 'focus', schedule: '0 9 * * *', duration: '3h' }, 0);
+
+    test.each([
+      [at(8, 59), null],
+      [at(9), at(9)],
+      [at(10, 30), at(9)],
+      [at(11, 59), at(9)],
+      [at(12), null]
+    ])('at %i the window started at %p', (now, start) => {
+      expect(ProfileSwitcher.windowStart(rule, now)).toBe(start);
+    });
+
+    test('the window holds between samples minutes apart', async () => {
+      const focus = switcher({ rules: [{ profile: 'focus', schedule: '0 9 * * *', duration: '3h' }] });
+
+      // Started mid-window, as after a restart, and sampled every 20 minutes
+      for (let now = at(9, 40); now < at(12); now += 20 * MINUTE) {
+        await focus.update(sample(), [], now);
+        expect(focus.last.decision.profile).toBe('focus');
+      }
+      await focus.update(sample(), [], at(12, 0));
+      expect(focus.last.decision).toBeNull();
+      expect(optimizer.applyProfile).toHaveBeenCalledTimes(1);
+    });
+
+    test('the weekday field limits the days', () => {
+      const weekdays = ProfileSwitcher.normalizeRule({ profile: 'focus', schedule: '0 9 * * 1-5', duration: '3h' }, 0);
+
+      // 2026-03-14 is a Saturday
+      expect(ProfileSwitcher.windowStart(weekdays, at(10, 0, 13))).toBe(at(9, 0, 13));
+      expect(ProfileSwitcher.windowStart(weekdays, at(10, 0, 14))).toBeNull();
+    });
+
+    test('a window that runs past midnight', () => {
+      const night = ProfileSwitcher.normalizeRule({ profile: 'quiet', schedule: '0 22 * * *', duration: '9h' }, 0);
+
+      expect(ProfileSwitcher.windowStart(night, at(3, 0, 11))).toBe(at(22, 0, 10));
+      expect(ProfileSwitcher.windowStart(night, at(7, 0, 11))).toBeNull();
+    });
+
+    test.each([
+      [{ schedule: '0 9 * * *' }, /needs a "duration"/],
+      [{ schedule: '0 9 * * *', duration: '0m' }, /needs a "duration"/],
+      [{ schedule: '0 9 * * *', duration: '8d' }, /needs a "duration"/],
+      [{ schedule: '0 0 9 * * *', duration: '3h' }, /invalid cron schedule/],
+      [{ schedule: '9-12', duration: '3h' }, /invalid cron schedule/]
+    ])('%p is refused', (condition, error) => {
+      expect(() => ProfileSwitcher.normalizeRule({ profile: 'focus', ...condition }, 0)).toThrow(error);
+    });
+  });
+
+  test('a metric rule needs its condition to last', async () => {
+    const saver = switcher({ rules: [{ profile: 'battery-saver', metric: 'memory.usage', op: '>', value: 90, for: '5m' }] });
+
+    await saver.update(sample(95), [], at(10));
+    await saver.update(sample(95), [], at(10, 4));
+    expect(optimizer.applyProfile).not.toHaveBeenCalled();
+
+    await saver.update(sample(95), [], at(10, 5));
+    expect(optimizer.applyProfile).toHaveBeenCalledWith('battery-saver', expect.objectContaining({ automatic: true, rule: 'battery-saver-1' }));
+  });
+
+  test('a process rule applies while the process runs and falls back afterwards', async () => {
+    const build = switcher({ default: 'balanced', rules: [{ profile: 'build', processes: ['webpack', 'tsc'] }] });
+    const tsc = { pid: 42, name: 'node', command: '/home/me/app/node_modules/.bin/tsc' };
+
+    expect(await build.update(sample(), [tsc], at(10))).toEqual(expect.objectContaining({ to: 'build' }));
+    expect(build.last.decision.reason).toBe('node is running (pid 42)');
+
+    expect(await build.update(sample(), [], at(10, 1))).toEqual({ from: 'build', to: 'balanced', reason: 'no switching rule matches' });
+  });
+
+  test('a profile applied by hand holds, then rules take over', async () => {
+    const build = switcher({ manualHold: '30m', rules: [{ profile: 'build', processes: ['webpack'] }] });
+    const webpack = { pid: 7, name: 'webpack', command: 'webpack' };
+    await optimizer.applyProfile('quiet', { now: at(10) });
+
+    await build.update(sample(), [webpack], at(10, 10));
+    expect(build.last.held).toMatch(/"quiet" was applied by hand; rules resume in 20m/);
+
+    await build.update(sample(), [webpack], at(10, 30));
+    expect(build.last.active).toBe('build');
+  });
+
+  test('switches wait out the cooldown', async () => {
+    const build = switcher({ cooldown: '5m', default: 'balanced', rules: [{ profile: 'build', processes: ['webpack'] }] });
+    const webpack = { pid: 7, name: 'webpack', command: 'webpack' };
+
+    await build.update(sample(), [webpack], at(10));
+    await build.update(sample(), [], at(10, 2));
+    expect(build.last.held).toMatch(/cooldown/);
+    expect(build.last.active).toBe('build');
+
+    await build.update(sample(), [], at(10, 5));
+    expect(build.last.active).toBe('balanced');
+  });
+});
@@ -0,0 +1,56 @@
+const prometheus = require('../lib/prometheus');
+const EnvironmentMonitor = require('../lib/monitor');
+const { fixture } = require('./helpers');
+
+describe('prometheus', () => {
+  let sample;
+  let text;
+
+  beforeAll(async () => {
+    const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+    await monitor.collectMetrics();
+    sample = await monitor.collectMetrics();
+    text = prometheus.renderMetrics(sample, monitor.determineWeather(sample));
+  });
+
+  const families = () => [...text.matchAll(/^# TYPE (\S+) (\S+)$/gm)].map(([, name, type]) => ({ name, type }));
+
+  test('every family is declared once, before its samples', () => {
+    const names = families().map(f => f.name);
+
+    expect(new Set(names).size).toBe(names.length);
+    for (const line of text.trim().split('\n').filter(l => !l.startsWith('#'))) {
+      const name = line.match(/^[a-z_]+/)[0];
+      expect(text.indexOf(`# TYPE ${name} `)).toBeLessThan(text.indexOf(line));
+    }
+  });
+
+  test('only counters end in _total', () => {
+    for (const { name, type } of families()) {
+      expect(name.endsWith('_total')).toBe(type === 'counter');
+    }
+  });
+
+  test('samples carry their labels', () => {
+    expect(text).toContain(`atmosphere_cpu_usage_percent ${sample.cpu.usage}\n`);
+    expect(text).toContain(`atmosphere_network_receive_bytes_per_second{interface="eth0",kind="physical"} 1250000\n`);
+    expect(text).toContain(`atmosphere_processes{state="running"} ${sample.processes.running}\n`);
+    expect(text).toContain(`atmosphere_processes_count ${sample.processes.total}\n`);
+    expect(text).toMatch(/^atmosphere_weather_condition\{condition="[^"]+"\} 1$/m);
+  });
+
+  test('label values are escaped and missing values left out', () => {
+    const family = new prometheus.MetricFamily('atmosphere_test', 'A test')
+      .add(1, { mount: 'C:\\ "data"\nnext' })
+      .add(null, { mount: '/' })
+      .add(NaN, { mount: '/home' });
+
+    expect(family.render()).toBe([
+      '# HELP atmosphere_test A test',
+      '# TYPE atmosphere_test gauge',
+      'atmosphere_test{mount="C:\\\\ \\"data\\"\\nnext"} 1',
+      ''
+    ].join('\n'));
+    expect(new prometheus.MetricFamily('atmosphere_empty', 'Nothing').add(undefined).render()).toBe('');
+  });
+});
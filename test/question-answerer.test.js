@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+const QuestionAnswerer = require('../lib/question-answerer');
+const EnvironmentMonitor = require('../lib/monitor');
+const IncidentTracker = require('../lib/incidents');
+const { fixture, useTempHome } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('QuestionAnswerer', () => {
+  const now = Date.parse('2026-03-10T15:00:00');
+
+  describe('parseWindow', () => {
+    test.each([
+      ['what happened in the last hour?', now - HOUR, 'in the last hour'],
+      ['cpu over the past 30 minutes', now - 30 * MINUTE, 'in the last 30m'],
+      ['memory today', Date.parse('2026-03-10T00:00:00'), 'today'],
+      ['alerts since 09:30', Date.parse('2026-03-10T09:30:00'), 'since 09:30']
+    ])('%j', (question, from, label) => {
+      expect(QuestionAnswerer.parseWindow(question, now)).toMatchObject({ from, label });
+    });
+
+    test('yesterday covers the whole day', () => {
+      const window = QuestionAnswerer.parseWindow('what was the peak cpu yesterday', now);
+      expect(window.to - window.from).toBe(24 * HOUR);
+    });
+
+    test('no window without a time phrase', () => {
+      expect(QuestionAnswerer.parseWindow('why is my machine slow', now)).toBeNull();
+    });
+  });
+
+  describe('matchIntent', () => {
+    test.each([
+      ['why is my machine slow right now?', 'slow'],
+      ['what used the most memory during the last hour?', 'topMemory'],
+      ['which process is eating cpu', 'topCpu'],
+      ['what was the average cpu today?', 'metric'],
+      ['any alerts since 09:00?', 'incidents'],
+      ['is anything leaking memory?', 'leaks'],
+      ['how much disk space is left', 'disk'],
+      ['is the internet slow', 'network'],
+      ['should I buy more ram', null]
+    ])('%j -> %s', (question, intent) => {
+      expect(QuestionAnswerer.matchIntent(question)).toBe(intent);
+    });
+  });
+
+  describe('answers from a fixture and recorded history', () => {
+    let home;
+    let answerer;
+
+    beforeEach(async () => {
+      home = await useTempHome();
+      const monitor = new EnvironmentMonitor({ fixture: fixture('workstation.json') });
+      await monitor.store.open();
+      const start = Date.now() - 30 * MINUTE;
+      for (let i = 0; i < 3; i++) {
+        const sample = await monitor.collectMetrics();
+        await monitor.store.append({ ...sample, timestamp: new Date(start + i * 10 * MINUTE).toISOString() });
+      }
+      answerer = new QuestionAnswerer({ fixture: fixture('workstation.json'), offline: true });
+    });
+
+    afterEach(async () => {
+      await fs.remove(home);
+    });
+
+    test('ranks memory users from history by peak', async () => {
+      const answer = await answerer.ask('what used the most memory in the last hour?');
+      expect(answer.title).toBe('Used the most memory in the last hour');
+      expect(answer.lines[0]).toMatch(/^1\. firefox: peak 1\.\d+ GB/);
+      expect(answer.basis).toMatch(/^3 samples/);
+    });
+
+    test('ranks CPU users right now from the live snapshot', async () => {
+      const answer = await answerer.ask('which process is using the most cpu');
+      expect(answer.title).toBe('Using the most CPU right now');
+      expect(answer.lines[0]).toBe('1. node: 35.4%');
+    });
+
+    test('summarizes a metric over the window', async () => {
+      const answer = await answerer.ask('what was the average cpu in the last hour?');
+      expect(answer.lines[0]).toMatch(/^CPU: average 41\.3%, peak 44\.6%/);
+    });
+
+    test('reports when nothing was recorded', async () => {
+      const answer = await answerer.ask('what was the peak memory yesterday?');
+      expect(answer.title).toBe('No history yesterday');
+    });
+
+    test('lists incidents that overlap the window', async () => {
+      const incidents = new IncidentTracker({ dataDir: path.join(home, '.terminal-atmosphere') });
+      await incidents.open({ ruleId: 'cpu-warning', type: 'warning', metric: 'cpu.usage', message: 'CPU usage elevated', since: new Date().toISOString(), value: 80, peak: 85 });
+
+      const answer = await answerer.ask('any alerts today?');
+      expect(answer.title).toBe('1 alert today');
+      expect(answer.lines[0]).toMatch(/^#1 \[warning\] CPU usage elevated/);
+    });
+
+    test('a machine that lists no filesystems gets an answer, not a crash', async () => {
+      answerer.source = { sample: async () => ({ timestamp: new Date().toISOString(), fsSize: [] }) };
+
+      const answer = await answerer.ask('how much disk space is left');
+      expect(answer.title).toBe('No filesystems reported');
+    });
+
+    test('reads incidents from the data directory it was given', async () => {
+      const dataDir = path.join(home, 'elsewhere');
+      await new IncidentTracker({ dataDir }).open({ ruleId: 'memory', type: 'critical', metric: 'memory.percentage', message: 'Memory almost full', since: new Date().toISOString(), value: 97, peak: 98 });
+      const elsewhere = new QuestionAnswerer({ fixture: fixture('workstation.json'), offline: true, dataDir });
+
+      expect((await elsewhere.ask('any alerts today?')).lines[0]).toMatch(/Memory almost full/);
+      expect((await answerer.ask('any alerts today?')).title).toBe('No alerts today');
+    });
+
+    test('points to example questions when offline', async () => {
+      const answer = await answerer.ask('should I buy more ram');
+      expect(answer.title).toBe('I can\'t answer that one offline');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const AtmosphereServer = require('../lib/server');
+const LLMAdvisor = require('../lib/llm-advisor');
+const { FixtureMetricsSource } = require('../lib/metrics-source');
+const { fixture, useTempHome } = require('./helpers');
+
+function get(server, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.port, path: pathname }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+// Reads an event stream until `count` events have arrived
+function readEvents(server, count) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.port, path: '/api/events' }, (res) => {
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = block.match(/^event: (.*)$/m);
+          if (event) events.push({ event: event[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+        }
+        if (events.length === count) {
+          res.destroy();
+          resolve({ type: res.headers['content-type'], events });
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+describe('AtmosphereServer', () => {
+  describe('endpoints', () => {
+    let home;
+    let server;
+
+    beforeAll(async () => {
+      home = await useTempHome();
+      server = new AtmosphereServer({ fixture: fixture('workstation.json'), interval: 60 });
+      server.port = 0;
+      await server.start();
+    });
+
+    afterAll(async () => {
+      await server.stop();
+      await fs.remove(home);
+    });
+
+    test('/api/snapshot is the latest sample', async () => {
+      const res = await get(server, '/api/snapshot');
+
+      expect(res.status).toBe(200);
+      expect(res.type).toMatch(/^application\/json/);
+      expect(JSON.parse(res.body)).toEqual(JSON.parse(JSON.stringify(server.monitor.latest)));
+    });
+
+    test('/api/history keeps only the metrics asked for', async () => {
+      const res = await get(server, '/api/history?since=1h&metrics=cpu,gpu');
+      const body = JSON.parse(res.body);
+
+      expect(body.metrics).toEqual(['cpu']);
+      expect(body.points.length).toBeGreaterThan(0);
+      expect(Object.keys(body.points[0].metrics)).toEqual(['cpu']);
+    });
+
+    test.each([
+      ['/api/history?since=someday', 400, 'Invalid time "someday"'],
+      ['/api/optimize?focus=gpu', 400, 'Unknown focus "gpu" (use all, cpu, memory, network, productivity)'],
+      ['/api/nothing', 404, 'No route for GET /api/nothing']
+    ])('%s is refused', async (pathname, status, error) => {
+      const res = await get(server, pathname);
+
+      expect(res.status).toBe(status);
+      expect(JSON.parse(res.body)).toEqual({ error });
+    });
+
+    test('/metrics is in the Prometheus text format', async () => {
+      const res = await get(server, '/metrics');
+
+      expect(res.type).toMatch(/^text\/plain; version=0\.0\.4/);
+      expect(res.body).toMatch(/^atmosphere_cpu_usage_percent \d/m);
+    });
+
+    test('/api/events starts with the latest sample and then streams what happens', async () => {
+      const reading = readEvents(server, 2);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      server.broadcast('alert', { ruleId: 'cpu', type: 'warning' });
+
+      const { type, events } = await reading;
+      expect(type).toBe('text/event-stream');
+      expect(events[0]).toMatchObject({ event: 'sample', data: { timestamp: server.monitor.latest.timestamp } });
+      expect(events[1]).toEqual({ event: 'alert', data: { ruleId: 'cpu', type: 'warning' } });
+    });
+
+    test('a closed stream is forgotten', async () => {
+      await readEvents(server, 1);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(server.clients.size).toBe(0);
+    });
+  });
+
+  test('/api/optimize never consults a configured language model', async () => {
+    const home = await useTempHome();
+    const created = [];
+    LLMAdvisor.register('recording', class {
+      constructor(settings) {
+        created.push(settings);
+      }
+    });
+    await fs.outputJson(path.join(home, '.terminal-atmosphere', 'config.json'), { llm: { provider: 'recording' } });
+
+    const server = new AtmosphereServer({ monitor: { source: new FixtureMetricsSource(fixture('workstation.json')) } });
+    const res = {
+      writeHead: jest.fn(),
+      end: jest.fn()
+    };
+    await server.handleOptimize({}, res, new URL('http://localhost/api/optimize'));
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.any(Object));
+    expect(JSON.parse(res.end.mock.calls[0][0]).model).toBeUndefined();
+    expect(created).toEqual([]);
+  });
+});